@@ -1,29 +1,27 @@
 /*
-Source-of-truth content schema used by src/renderer.js + content.json:
-{
-  hero: { titlePrefix, titleSuffix, subtitle, description, focusList: string[], buttons: [{text,link}] },
-  about: { title?, p1, p2, enjoyList: string[], apartList: string[] },
-  projects: [{ title, description, tags?: string[], link?: string, image?: string, featured?: boolean, tag?, stack?, features?: string[], role?: string[] }],
-  skills: [{ category, items }],
-  experience: [{ title, subtitle?, role?, company?, dates?, items: string[], link? }],
-  achievements: [{ title, year?, date?, description?, link?, items?: string[] }],
-  blog: [{ title, date?, summary, excerpt?, slug?, link?, image?, cover?, video?, content?, published? }],
-  contact: { title, subtitle, email, phone?, socials: [{name,link}], formEndpoint? },
-  customSections: [{ id, title, content, style, type?, enabled? }],
-  sectionOrder: string[],
-  theme: { primary, secondary, bg }
-}
+Content schema: see utils/contentSchema.js (shared with the server, which enforces it on every write).
 */
 
+import { findConflicts, mergeContent, parsePath } from '../utils/contentDiff.js';
+import { validateContentUpdate } from '../utils/contentSchema.js';
+import { createMergePatch } from '../utils/jsonPatch.js';
+import { IMAGE_TYPES } from '../utils/imageInfo.js';
+import { escapeHtml } from '../utils/escapeHtml.js';
+
 let currentContent = {};
 let baselineContent = {};
+let contentEtag = null;
+let pendingConflict = null;
 let saveTimer;
 let saving = false;
 
 const byId = (id) => document.getElementById(id);
 const clone = (v) => JSON.parse(JSON.stringify(v || {}));
+// Items saved before Markdown have no format and stay HTML; new ones start as Markdown.
+const FORMAT_OPTIONS = [['markdown', 'Markdown'], ['html', 'HTML'], ['plain', 'Plain text']];
 const toLines = (arr) => Array.isArray(arr) ? arr.join('\n') : '';
 const fromLines = (value) => (value || '').split('\n').map((line) => line.trim()).filter(Boolean);
+const formatValue = (value) => value === undefined ? '—' : escapeHtml(JSON.stringify(value).slice(0, 160));
 
 function showToast(message, isError = false) {
   const toast = byId('toast');
@@ -57,15 +55,23 @@ async function apiFetch(url, options = {}) {
   const res = await fetch(url, {
     credentials: 'include',
     ...options,
-    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    // The admin always works on the draft (loadContentView in server.js)
+    headers: { 'Content-Type': 'application/json', 'X-Content-View': 'draft', ...(options.headers || {}) }
   });
   const data = await res.json().catch(() => ({}));
-  if (!res.ok) throw new Error(data.error || data.message || `HTTP ${res.status}`);
+  if (!res.ok) {
+    const error = new Error(data.error || data.message || `HTTP ${res.status}`);
+    error.status = res.status;
+    error.data = data;
+    throw error;
+  }
+  // Content reads and saves answer with the draft's version; the next save sends it back as If-Match
+  if (url === '/api/content') contentEtag = res.headers.get('ETag');
   return data;
 }
 
 function ensureDefaults() {
-  currentContent.hero ||= { titlePrefix: '', titleSuffix: '', subtitle: '', description: '', focusList: [], buttons: [] };
+  currentContent.hero ||= { titlePrefix: '', titleSuffix: '', subtitle: '', description: '', image: '', focusList: [], buttons: [] };
   currentContent.about ||= { title: 'About Me', p1: '', p2: '', enjoyList: [], apartList: [] };
   currentContent.projects ||= [];
   currentContent.skills ||= [];
@@ -91,6 +97,7 @@ function bindTopLevelInputs() {
   bind('hero-titleSuffix', (v) => { currentContent.hero.titleSuffix = v; });
   bind('hero-subtitle', (v) => { currentContent.hero.subtitle = v; });
   bind('hero-description', (v) => { currentContent.hero.description = v; });
+  bind('hero-image', (v) => { currentContent.hero.image = v; });
 
   bind('about-p1', (v) => { currentContent.about.p1 = v; });
   bind('about-p2', (v) => { currentContent.about.p2 = v; });
@@ -125,20 +132,29 @@ function renderSimpleList(containerId, list, fields, section, onChange = null) {
 
     fields.forEach((field) => {
       const id = `${section}-${field.key}-${index}`;
+      if (field.type === 'tags') {
+        div.appendChild(renderTagPicker(id, field, item));
+        return;
+      }
       const label = document.createElement('label');
-      const input = field.type === 'textarea' ? document.createElement('textarea') : document.createElement('input');
-      if (field.type !== 'textarea') input.type = field.type || 'text';
+      const tag = field.type === 'textarea' || field.type === 'select' ? field.type : 'input';
+      const input = document.createElement(tag);
+      if (tag === 'input') input.type = field.type || 'text';
+      if (field.options) input.innerHTML = field.options.map(([value, text]) => `<option value="${value}">${text}</option>`).join('');
       if (field.placeholder) input.placeholder = field.placeholder;
-      const val = item[field.key];
-      input.value = field.list ? toLines(val) : (val ?? '');
+      const val = item[field.key] ?? field.defaultValue;
+      if (field.type === 'checkbox') input.checked = val === true || val === 'true';
+      else input.value = field.list ? toLines(val) : field.toText ? field.toText(val) : (val ?? '');
       input.id = id;
+      if (field.suggestions) label.appendChild(suggestionList(input, field.suggestions()));
       input.addEventListener('input', () => {
-        item[field.key] = field.list ? fromLines(input.value) : (field.type === 'checkbox' ? input.checked : input.value);
+        item[field.key] = field.list ? fromLines(input.value) : field.fromText ? field.fromText(input.value) : (field.type === 'checkbox' ? input.checked : input.value);
         if (onChange) onChange(item, field.key, input.value);
         updateDirtyStatus();
       });
       label.textContent = field.label;
       label.appendChild(input);
+      if (field.media) label.insertAdjacentHTML('beforeend', `<button type="button" class="secondary media-pick" data-media-pick="${id}">Choose from Library</button>`);
       div.appendChild(label);
     });
 
@@ -146,6 +162,101 @@ function renderSimpleList(containerId, list, fields, section, onChange = null) {
   });
 }
 
+// Gallery images edited as text, one per line: `URL | alt text | caption`.
+function galleryToLines(gallery) {
+  return (Array.isArray(gallery) ? gallery : []).map((image) => [image.src, image.alt, image.caption].map((part) => part || '').join(' | ').replace(/( \| )+$/, '')).join('\n');
+}
+
+function linesToGallery(text) {
+  return fromLines(text).map((line) => {
+    const [src, alt, caption] = line.split('|').map((part) => part.trim());
+    return { src, ...(alt ? { alt } : {}), ...(caption ? { caption } : {}) };
+  }).filter((image) => image.src);
+}
+
+function suggestionList(input, values) {
+  const datalist = document.createElement('datalist');
+  datalist.id = `${input.id}-suggestions`;
+  datalist.innerHTML = values.map((value) => `<option value="${escapeHtml(value)}"></option>`).join('');
+  input.setAttribute('list', datalist.id);
+  return datalist;
+}
+
+// Distinct values across all posts, most used first, e.g. blogValues((post) => post.tags).
+function blogValues(pick) {
+  const counts = new Map();
+  currentContent.blog.flatMap((post) => [].concat(pick(post) ?? [])).forEach((value) => {
+    if (typeof value !== 'string' || !value.trim()) return;
+    const key = value.trim().toLowerCase();
+    const entry = counts.get(key) || { value: value.trim(), count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)).map((entry) => entry.value);
+}
+
+// Chip editor for a string-array field. Enter or comma adds the typed tag,
+// Backspace in the empty input removes the last one, and the datalist
+// autocompletes from `field.suggestions()`.
+function renderTagPicker(id, field, item) {
+  const label = document.createElement('label');
+  label.textContent = field.label;
+  const picker = document.createElement('div');
+  picker.className = 'tag-picker';
+  const chips = document.createElement('span');
+  chips.className = 'tag-chips';
+  const input = document.createElement('input');
+  input.id = id;
+  input.placeholder = 'Add a tag…';
+  const datalist = suggestionList(input, []);
+
+  const tags = () => (Array.isArray(item[field.key]) ? item[field.key] : []);
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const draw = () => {
+    chips.innerHTML = tags().map((tag, i) => `<span class="tag-chip">${escapeHtml(tag)}<button type="button" data-remove-tag="${i}" aria-label="Remove ${escapeHtml(tag)}">×</button></span>`).join('');
+    datalist.innerHTML = field.suggestions()
+      .filter((value) => !tags().some((tag) => same(tag, value)))
+      .map((value) => `<option value="${escapeHtml(value)}"></option>`).join('');
+  };
+  const setTags = (next) => {
+    item[field.key] = next;
+    draw();
+    updateDirtyStatus();
+  };
+  const addTag = () => {
+    const typed = input.value.replace(/,/g, '').trim();
+    input.value = '';
+    if (!typed || tags().some((tag) => same(tag, typed))) return;
+    // Reuse an existing spelling so "JS" and "js" stay one tag
+    setTags([...tags(), field.suggestions().find((value) => same(value, typed)) || typed]);
+  };
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault();
+      addTag();
+    } else if (event.key === 'Backspace' && !input.value && tags().length) {
+      setTags(tags().slice(0, -1));
+    }
+  });
+  // Choosing a datalist option arrives as an input event without typing
+  input.addEventListener('input', (event) => {
+    if (!event.inputType || event.inputType === 'insertReplacementText') addTag();
+  });
+  input.addEventListener('blur', addTag);
+  chips.addEventListener('click', (event) => {
+    const remove = event.target.closest('[data-remove-tag]');
+    if (!remove) return;
+    event.preventDefault();
+    setTags(tags().filter((_, i) => i !== Number(remove.dataset.removeTag)));
+  });
+
+  draw();
+  picker.append(chips, input, datalist);
+  label.appendChild(picker);
+  return label;
+}
+
 function renderHeroEditors() {
   renderSimpleList('hero-focus-list-editor', currentContent.hero.focusList.map((value) => ({ value })), [{ key: 'value', label: 'Focus item' }], 'focus', (item) => {
     currentContent.hero.focusList = Array.from(byId('hero-focus-list-editor').querySelectorAll('input')).map((el) => el.value).filter(Boolean);
@@ -163,11 +274,19 @@ function renderAllLists() {
     { key: 'title', label: 'Title' },
     { key: 'description', label: 'Description', type: 'textarea' },
     { key: 'tag', label: 'Tag' },
-    { key: 'stack', label: 'Stack' },
+    { key: 'stack', label: 'Stack (comma separated; each entry becomes a filter)' },
+    { key: 'date', label: 'Date (used by "Newest" sorting, e.g. 2024-05)' },
+    { key: 'featured', label: 'Featured (pinned first)', type: 'checkbox' },
     { key: 'features', label: 'Features (one per line)', type: 'textarea', list: true },
     { key: 'role', label: 'Role Bullets (one per line)', type: 'textarea', list: true },
-    { key: 'link', label: 'Link' },
-    { key: 'image', label: 'Image URL' }
+    { key: 'slug', label: 'Slug (/projects/…; generated from the title if empty)' },
+    { key: 'format', label: 'Long description format', type: 'select', options: FORMAT_OPTIONS, defaultValue: 'html' },
+    { key: 'content', label: 'Long description (detail page)', type: 'textarea' },
+    { key: 'demo', label: 'Demo URL' },
+    { key: 'repo', label: 'Repository URL' },
+    { key: 'link', label: 'Website / other link' },
+    { key: 'image', label: 'Cover image URL', media: true },
+    { key: 'gallery', label: 'Gallery (one image per line: URL | alt text | caption)', type: 'textarea', toText: galleryToLines, fromText: linesToGallery, media: true }
   ], 'projects');
 
   renderSimpleList('skills-editor', currentContent.skills, [
@@ -196,10 +315,13 @@ function renderAllLists() {
     { key: 'title', label: 'Title' },
     { key: 'date', label: 'Date' },
     { key: 'summary', label: 'Excerpt / Summary', type: 'textarea' },
-    { key: 'slug', label: 'Slug' },
+    { key: 'category', label: 'Category', suggestions: () => blogValues((post) => post.category) },
+    { key: 'tags', label: 'Tags', type: 'tags', suggestions: () => blogValues((post) => post.tags) },
+    { key: 'slug', label: 'Slug (/blog/…; generated from the title if empty)' },
     { key: 'link', label: 'Link' },
-    { key: 'image', label: 'Cover URL' },
-    { key: 'video', label: 'Video URL' },
+    { key: 'image', label: 'Cover URL', media: true },
+    { key: 'video', label: 'Video URL (YouTube, Vimeo, or a /path to an .mp4/.webm file; start times are kept)' },
+    { key: 'format', label: 'Content format', type: 'select', options: FORMAT_OPTIONS, defaultValue: 'html' },
     { key: 'content', label: 'Full content', type: 'textarea' }
   ], 'blog');
 
@@ -211,6 +333,7 @@ function renderAllLists() {
   renderSimpleList('custom-sections-editor', currentContent.customSections, [
     { key: 'id', label: 'Section ID' },
     { key: 'title', label: 'Title' },
+    { key: 'format', label: 'Content format', type: 'select', options: FORMAT_OPTIONS, defaultValue: 'html' },
     { key: 'content', label: 'Content', type: 'textarea' },
     { key: 'style', label: 'Style (card/full/highlight)' },
     { key: 'type', label: 'Type (text/cards/gallery)' },
@@ -248,6 +371,13 @@ function moveItem(list, index, dir) {
 }
 
 function handleDynamicActions(event) {
+  // Reply links open the mail app; the message is marked replied as they do
+  const reply = event.target.closest('[data-message-reply]');
+  if (reply) {
+    updateInbox(() => updateMessage(reply.dataset.messageReply, { replied: true }));
+    return;
+  }
+
   const btn = event.target.closest('button');
   if (!btn) return;
 
@@ -265,6 +395,131 @@ function handleDynamicActions(event) {
     return;
   }
 
+  if (btn.dataset.cancelSchedule) {
+    cancelScheduledPublish(btn.dataset.cancelSchedule);
+    return;
+  }
+
+  if (btn.dataset.commentFilter) {
+    loadComments(btn.dataset.commentFilter);
+    return;
+  }
+
+  if (btn.dataset.commentModerate) {
+    updateComments(() => apiFetch(`/api/admin/comments/${encodeURIComponent(btn.dataset.commentModerate)}`, { method: 'PUT', body: JSON.stringify({ status: btn.dataset.status }) }), `Comment marked ${btn.dataset.status}.`);
+    return;
+  }
+
+  if (btn.dataset.commentDelete) {
+    if (confirm('Delete this comment and all replies to it?')) {
+      updateComments(() => apiFetch(`/api/admin/comments/${encodeURIComponent(btn.dataset.commentDelete)}`, { method: 'DELETE' }), 'Comment deleted.');
+    }
+    return;
+  }
+
+  if (btn.dataset.commentBlock) {
+    blockCommenter(btn.dataset.commentBlock);
+    return;
+  }
+
+  if (btn.dataset.inboxFilter) {
+    loadInbox(btn.dataset.inboxFilter);
+    return;
+  }
+
+  if (btn.dataset.messageUpdate) {
+    updateInbox(() => updateMessage(btn.dataset.messageUpdate, { [btn.dataset.field]: btn.dataset.value === 'true' }));
+    return;
+  }
+
+  if (btn.dataset.messageDelete) {
+    if (confirm('Delete this message permanently?')) {
+      updateInbox(() => apiFetch(`/api/admin/messages/${encodeURIComponent(btn.dataset.messageDelete)}`, { method: 'DELETE' }), 'Message deleted.');
+    }
+    return;
+  }
+
+  if (btn.dataset.newsletterRecipients) {
+    showNewsletterRecipients(btn.dataset.newsletterRecipients);
+    return;
+  }
+
+  if (btn.dataset.newsletterRetry) {
+    updateNewsletter(() => apiFetch(`/api/admin/newsletter/sends/${encodeURIComponent(btn.dataset.newsletterRetry)}/retry`, { method: 'POST' }), 'Retrying failed recipients.');
+    return;
+  }
+
+  if (btn.dataset.subscriberRemove) {
+    if (confirm(`Remove ${btn.dataset.email} from the newsletter? They will need to subscribe again.`)) {
+      updateNewsletter(() => apiFetch(`/api/admin/newsletter/subscribers/${encodeURIComponent(btn.dataset.subscriberRemove)}`, { method: 'DELETE' }), 'Subscriber removed.');
+    }
+    return;
+  }
+
+  if (btn.dataset.spamFilter !== undefined) {
+    loadSpamLog(btn.dataset.spamFilter);
+    return;
+  }
+
+  if (btn.dataset.spamDelete) {
+    updateSpamLog(() => apiFetch(`/api/admin/form-rejections/${encodeURIComponent(btn.dataset.spamDelete)}`, { method: 'DELETE' }));
+    return;
+  }
+
+  if (btn.dataset.spamClear !== undefined) {
+    const scope = spamFilter ? SPAM_FORMS[spamFilter].toLowerCase() : 'all';
+    if (confirm(`Clear ${scope} entries from the spam log?`)) {
+      updateSpamLog(() => apiFetch(`/api/admin/form-rejections?form=${spamFilter}`, { method: 'DELETE' }), 'Spam log cleared.');
+    }
+    return;
+  }
+
+  if (btn.dataset.mediaPick) {
+    openMediaPicker(btn.dataset.mediaPick);
+    return;
+  }
+
+  if (btn.dataset.mediaChoose) {
+    chooseMedia(btn.dataset.mediaChoose, btn.dataset.alt);
+    return;
+  }
+
+  if (btn.dataset.mediaSaveAlt) {
+    const id = btn.dataset.mediaSaveAlt;
+    const alt = document.querySelector(`[data-media-alt="${CSS.escape(id)}"]`).value;
+    apiFetch(`/api/admin/media/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify({ alt }) })
+      .then(() => { showToast('Alt text saved.'); return loadMedia(); })
+      .catch((error) => showToast(`Save failed: ${error.message}`, true));
+    return;
+  }
+
+  if (btn.dataset.mediaCopy) {
+    navigator.clipboard.writeText(btn.dataset.mediaCopy)
+      .then(() => showToast('URL copied.'))
+      .catch(() => showToast(btn.dataset.mediaCopy));
+    return;
+  }
+
+  if (btn.dataset.mediaDelete) {
+    deleteMedia(btn.dataset.mediaDelete);
+    return;
+  }
+
+  if (btn.dataset.unblockCommenter) {
+    updateComments(() => apiFetch(`/api/admin/commenters/blocked/${encodeURIComponent(btn.dataset.unblockCommenter)}`, { method: 'DELETE' }), 'Commenter unblocked.');
+    return;
+  }
+
+  if (btn.dataset.historyDiff) {
+    showDiff(btn.dataset.historyDiff);
+    return;
+  }
+
+  if (btn.dataset.historyRestore) {
+    restoreRevision(Number(btn.dataset.historyRestore));
+    return;
+  }
+
   const layoutToggle = btn.dataset.layoutToggle;
   if (layoutToggle) {
     const i = currentContent.sectionOrder.indexOf(layoutToggle);
@@ -292,6 +547,7 @@ function hydrateForm() {
   byId('hero-titleSuffix').value = currentContent.hero.titleSuffix || '';
   byId('hero-subtitle').value = currentContent.hero.subtitle || '';
   byId('hero-description').value = currentContent.hero.description || '';
+  byId('hero-image').value = currentContent.hero.image || '';
 
   byId('about-p1').value = currentContent.about.p1 || '';
   byId('about-p2').value = currentContent.about.p2 || '';
@@ -319,16 +575,39 @@ async function loadContent() {
   setStatus('Saved');
 }
 
-function validateContact() {
-  const email = currentContent.contact.email || '';
-  if (email && !/^\S+@\S+\.\S+$/.test(email)) {
-    throw new Error('Contact email format is invalid.');
-  }
-  currentContent.contact.socials.forEach((social) => {
-    if (social.link && !/^https?:\/\//.test(social.link) && !social.link.startsWith('mailto:') && !social.link.startsWith('#')) {
-      throw new Error(`Social link must be URL/mailto/hash: ${social.link}`);
-    }
+// Maps a schema error path to the input renderSimpleList / bindTopLevelInputs created for it.
+function fieldIdForPath(path) {
+  const [section, key, index, field] = parsePath(path);
+  if (section === 'hero' && key === 'focusList' && index !== undefined) return `focus-value-${index}`;
+  if (section === 'hero' && key === 'buttons' && field) return `heroButton-${field}-${index}`;
+  if (section === 'contact' && key === 'socials' && field) return `socials-${field}-${index}`;
+  if (typeof key === 'number') return `${section}-${index}-${key}`;
+  return `${section}-${key}`;
+}
+
+function clearFieldErrors() {
+  document.querySelectorAll('.invalid').forEach((el) => el.classList.remove('invalid'));
+  document.querySelectorAll('.field-error').forEach((el) => el.remove());
+}
+
+function markFieldErrors(errors) {
+  clearFieldErrors();
+  errors.forEach(({ path, message }) => {
+    const input = byId(fieldIdForPath(path));
+    if (!input || input.classList.contains('invalid')) return;
+    input.classList.add('invalid');
+    const note = document.createElement('small');
+    note.className = 'field-error';
+    note.textContent = message;
+    input.insertAdjacentElement('afterend', note);
+    input.addEventListener('input', () => {
+      input.classList.remove('invalid');
+      note.remove();
+    }, { once: true });
   });
+  const [first] = errors;
+  showToast(`${errors.length} invalid field(s). ${first.path || 'content'} ${first.message}.`, true);
+  setStatus('Fix invalid fields');
 }
 
 async function saveContent() {
@@ -337,21 +616,41 @@ async function saveContent() {
     return;
   }
 
-  validateContact();
+  // Values the server already stored before a rule existed only warn, as on the server.
+  const { errors, warnings } = validateContentUpdate(baselineContent, currentContent);
+  if (errors.length) {
+    markFieldErrors(errors);
+    return;
+  }
+  clearFieldErrors();
+
   setSavingState(true);
   setStatus('Saving…');
   try {
     const serverContent = await apiFetch('/api/content', {
       method: 'PATCH',
-      body: JSON.stringify(currentContent)
+      headers: { 'Content-Type': 'application/merge-patch+json', ...(contentEtag ? { 'If-Match': contentEtag } : {}) },
+      body: JSON.stringify(createMergePatch(baselineContent, currentContent))
     });
     currentContent = clone(serverContent);
     baselineContent = clone(serverContent);
     hydrateForm();
-    showToast('Saved successfully.');
+    showToast(warnings.length
+      ? `Draft saved. ${warnings.length} older field(s) still need fixing: ${warnings[0].path} ${warnings[0].message}.`
+      : 'Draft saved.');
+    loadPublishStatus();
     clearTimeout(saveTimer);
     saveTimer = setTimeout(refreshPreview, 250);
+    if (byId('panel-history').classList.contains('active')) loadHistory().catch(() => {});
   } catch (error) {
+    if (error.status === 422 && Array.isArray(error.data?.errors)) {
+      markFieldErrors(error.data.errors);
+      return;
+    }
+    if (error.status === 409 && error.data?.current) {
+      handleSaveConflict(error.data);
+      return;
+    }
     showToast(`Save failed: ${error.message}`, true);
     setStatus('Save failed');
   } finally {
@@ -360,6 +659,65 @@ async function saveContent() {
   }
 }
 
+function handleSaveConflict({ current, etag }) {
+  const conflicts = findConflicts(baselineContent, currentContent, current);
+  if (!conflicts.length) {
+    // Nobody touched the same fields: replay our edits on top of theirs and retry.
+    applyServerVersion(current, etag, mergeContent(baselineContent, currentContent, current));
+    showToast('Merged with changes saved by someone else. Saving again…');
+    setTimeout(saveContent, 0);
+    return;
+  }
+
+  pendingConflict = { current, etag, conflicts };
+  setStatus('Conflict');
+  renderConflictView();
+  byId('conflict-view').hidden = false;
+}
+
+function applyServerVersion(serverContent, etag, working = serverContent) {
+  contentEtag = etag;
+  baselineContent = clone(serverContent);
+  currentContent = clone(working);
+  hydrateForm();
+}
+
+function renderConflictView() {
+  const { conflicts } = pendingConflict;
+  byId('conflict-summary').textContent = `${conflicts.length} field(s) were changed both by you and in the version saved meanwhile. Choose which value to keep; all other edits are merged automatically.`;
+  byId('conflict-list').innerHTML = conflicts.map((conflict, index) => `
+    <div class="item">
+      <div class="item-head"><code>${escapeHtml(conflict.path)}</code></div>
+      <div class="muted">Before: ${formatValue(conflict.base)}</div>
+      <label class="choice"><input type="radio" name="conflict-${index}" value="mine" checked /> Mine: ${formatValue(conflict.mine)}</label>
+      <label class="choice"><input type="radio" name="conflict-${index}" value="theirs" /> Theirs: ${formatValue(conflict.theirs)}</label>
+    </div>`).join('');
+}
+
+function closeConflictView() {
+  pendingConflict = null;
+  byId('conflict-view').hidden = true;
+}
+
+function saveMergedVersion() {
+  const { current, etag, conflicts } = pendingConflict;
+  const resolutions = {};
+  conflicts.forEach((conflict, index) => {
+    resolutions[conflict.path] = document.querySelector(`input[name="conflict-${index}"]:checked`)?.value || 'mine';
+  });
+  applyServerVersion(current, etag, mergeContent(baselineContent, currentContent, current, resolutions));
+  closeConflictView();
+  saveContent();
+}
+
+function discardMineForTheirs() {
+  const { current, etag } = pendingConflict;
+  applyServerVersion(current, etag);
+  closeConflictView();
+  showToast('Loaded the latest saved version.');
+  refreshPreview();
+}
+
 function resetUnsaved() {
   currentContent = clone(baselineContent);
   hydrateForm();
@@ -368,7 +726,587 @@ function resetUnsaved() {
 
 function refreshPreview() {
   const frame = byId('preview-frame');
-  frame.src = '/?ts=' + Date.now();
+  frame.src = '/?preview=draft&ts=' + Date.now();
+}
+
+async function loadPublishStatus() {
+  try {
+    const status = await apiFetch('/api/content/publish');
+    renderPublishStatus(status);
+  } catch (error) {
+    byId('publish-state').textContent = 'Publish status unavailable';
+  }
+}
+
+function renderPublishStatus(status) {
+  const pending = status.unpublishedChanges;
+  byId('publish-state').textContent = pending ? `${pending} unpublished change(s)` : 'Live is up to date';
+  const live = status.published;
+  byId('publish-summary').innerHTML = live
+    ? `<strong>Live:</strong> draft v${live.draftVersion} published ${new Date(live.publishedAt).toLocaleString()} by ${escapeHtml(live.publishedBy)}<br>
+       <span class="muted">Saved draft is v${status.draftVersion} with ${pending} change(s) not yet live.</span>`
+    : '<span class="muted">Nothing published yet.</span>';
+  byId('publish-schedules').innerHTML = status.scheduled.length
+    ? status.scheduled.map((item) => `
+      <div class="item">
+        <div class="item-head">
+          <strong>${new Date(item.at).toLocaleString()} · draft v${item.draftVersion}</strong>
+          <div class="item-actions"><button type="button" data-cancel-schedule="${escapeHtml(item.id)}" class="secondary">Cancel</button></div>
+        </div>
+        <div class="muted">Scheduled by ${escapeHtml(item.scheduledBy)}</div>
+      </div>`).join('')
+    : '<p class="muted">No scheduled publishes.</p>';
+}
+
+async function publishContent(at) {
+  if (isDirty() && !confirm('You have unsaved changes. Only the saved draft is published. Continue?')) return;
+  try {
+    const result = await apiFetch('/api/content/publish', { method: 'POST', body: JSON.stringify(at ? { at } : {}) });
+    showToast(result.scheduled ? `Publish scheduled for ${new Date(result.scheduled.at).toLocaleString()}.` : 'Published. Visitors now see this draft.');
+    await loadPublishStatus();
+  } catch (error) {
+    showToast(`Publish failed: ${error.message}`, true);
+  }
+}
+
+function schedulePublish() {
+  const value = byId('publish-at').value;
+  if (!value) {
+    showToast('Pick a date and time first.', true);
+    return;
+  }
+  const at = new Date(value);
+  if (at <= new Date()) {
+    showToast('Scheduled time must be in the future.', true);
+    return;
+  }
+  publishContent(at.toISOString());
+}
+
+async function cancelScheduledPublish(id) {
+  if (!confirm('Cancel this scheduled publish?')) return;
+  try {
+    await apiFetch(`/api/content/publish/schedules/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    showToast('Scheduled publish cancelled.');
+    await loadPublishStatus();
+  } catch (error) {
+    showToast(`Cancel failed: ${error.message}`, true);
+  }
+}
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+function setAnalyticsRange(days) {
+  const to = new Date();
+  byId('analytics-to').value = utcDay(to);
+  byId('analytics-from').value = utcDay(new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000));
+}
+
+function analyticsQuery(extra = {}) {
+  const params = new URLSearchParams({ from: byId('analytics-from').value, to: byId('analytics-to').value, ...extra });
+  return params.toString();
+}
+
+async function loadAnalytics() {
+  if (!byId('analytics-from').value || !byId('analytics-to').value) setAnalyticsRange(30);
+  try {
+    const report = await apiFetch(`/api/analytics/summary?${analyticsQuery()}`);
+    renderAnalytics(report);
+  } catch (error) {
+    showToast(`Analytics failed: ${error.message}`, true);
+  }
+}
+
+function renderAnalytics(report) {
+  const { totals, days } = report;
+  const perDay = days.length ? (totals.views / days.length).toFixed(1) : '0';
+  byId('analytics-totals').innerHTML = [
+    ['Views', totals.views],
+    ['Unique visitors', totals.uniqueVisitors],
+    ['Views per day', perDay],
+    ['Days', days.length]
+  ].map(([label, value]) => `<div class="stat-card"><span class="muted">${label}</span><strong>${value}</strong></div>`).join('');
+  byId('analytics-chart').innerHTML = renderViewsChart(days);
+  byId('analytics-sections').innerHTML = renderBarList(report.topSections.map((row) => [row.section, row.views]), 'No section views yet.');
+  byId('analytics-referrers').innerHTML = renderBarList(report.topReferrers.map((row) => [row.referrer, row.views]), 'No referrals yet.');
+}
+
+// Views as bars, unique visitors as a line, on a shared scale.
+function renderViewsChart(days) {
+  if (!days.length) return '<p class="muted">No data for this range.</p>';
+  const width = 600;
+  const height = 180;
+  const pad = 20;
+  const max = Math.max(1, ...days.map((day) => day.views));
+  const step = (width - pad * 2) / days.length;
+  const y = (value) => height - pad - (value / max) * (height - pad * 2);
+  const bars = days.map((day, i) => `
+    <rect class="bar" x="${pad + i * step + step * 0.15}" y="${y(day.views)}" width="${Math.max(step * 0.7, 1)}" height="${height - pad - y(day.views)}">
+      <title>${day.day}: ${day.views} views, ${day.uniqueVisitors} unique</title>
+    </rect>`).join('');
+  const points = days.map((day, i) => `${pad + i * step + step / 2},${y(day.uniqueVisitors)}`).join(' ');
+  return `
+    <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Views per day">
+      ${bars}
+      <polyline class="line" points="${points}" />
+      <text x="${pad}" y="${height - 4}" fill="#8d98b8" font-size="11">${days[0].day}</text>
+      <text x="${width - pad}" y="${height - 4}" fill="#8d98b8" font-size="11" text-anchor="end">${days[days.length - 1].day}</text>
+      <text x="${pad}" y="${pad - 6}" fill="#8d98b8" font-size="11">max ${max}</text>
+    </svg>
+    <div class="chart-legend muted"><span class="views">Views</span><span class="uniques">Unique visitors</span></div>`;
+}
+
+function renderBarList(rows, emptyText) {
+  if (!rows.length) return `<p class="muted">${emptyText}</p>`;
+  const max = Math.max(...rows.map(([, count]) => count));
+  return rows.map(([label, count]) => `
+    <div class="bar-row">
+      <span>${escapeHtml(label)}</span><span>${count}</span>
+      <div class="bar-track"><div class="bar-fill" style="width: ${(count / max) * 100}%"></div></div>
+    </div>`).join('');
+}
+
+function exportAnalytics() {
+  window.location.href = `/api/analytics/export?${analyticsQuery({ table: byId('analytics-export-table').value })}`;
+}
+
+let commentFilter = 'pending';
+
+async function loadComments(status = commentFilter) {
+  commentFilter = status;
+  document.querySelectorAll('[data-comment-filter]').forEach((btn) => btn.classList.toggle('secondary', btn.dataset.commentFilter !== status));
+  try {
+    const [{ comments }, { blocked }] = await Promise.all([
+      apiFetch(`/api/admin/comments?status=${status}`),
+      apiFetch('/api/admin/commenters/blocked')
+    ]);
+    renderCommentQueue(comments);
+    renderBlockedCommenters(blocked);
+  } catch (error) {
+    showToast(`Comments failed: ${error.message}`, true);
+  }
+}
+
+function renderCommentQueue(comments) {
+  const actions = [['approved', 'Approve'], ['rejected', 'Reject'], ['spam', 'Spam']];
+  byId('comments-queue').innerHTML = comments.length
+    ? comments.map((comment) => `
+      <div class="item">
+        <div class="item-head">
+          <strong>${escapeHtml(comment.authorName)} <span class="muted">${escapeHtml(comment.authorEmail)}${comment.authorBlocked ? ' · blocked' : ''}</span></strong>
+          <div class="item-actions">
+            ${actions.filter(([status]) => status !== comment.status).map(([status, label]) => `<button type="button" data-comment-moderate="${escapeHtml(comment.id)}" data-status="${status}" class="${status === 'approved' ? '' : 'secondary'}">${label}</button>`).join('')}
+            <button type="button" data-comment-delete="${escapeHtml(comment.id)}" class="secondary">Delete</button>
+            ${comment.authorBlocked ? '' : `<button type="button" data-comment-block="${escapeHtml(comment.authorEmail)}" class="secondary">Block</button>`}
+          </div>
+        </div>
+        <div class="muted">On “${escapeHtml(comment.postTitle || 'a removed post')}” · ${new Date(comment.createdAt).toLocaleString()}${comment.parentId ? ' · reply' : ''}${comment.editedAt ? ' · edited' : ''}</div>
+        <p class="comment-text">${escapeHtml(comment.body)}</p>
+      </div>`).join('')
+    : `<p class="muted">No ${commentFilter} comments.</p>`;
+}
+
+function renderBlockedCommenters(blocked) {
+  byId('blocked-commenters').innerHTML = blocked.length
+    ? blocked.map((block) => `
+      <div class="item">
+        <div class="item-head">
+          <strong>${escapeHtml(block.email)}</strong>
+          <div class="item-actions"><button type="button" data-unblock-commenter="${escapeHtml(block.id)}" class="secondary">Unblock</button></div>
+        </div>
+        <div class="muted">${block.reason ? `${escapeHtml(block.reason)} · ` : ''}blocked ${new Date(block.createdAt).toLocaleString()} by ${escapeHtml(block.blockedBy)}</div>
+      </div>`).join('')
+    : '<p class="muted">Nobody is blocked.</p>';
+}
+
+async function updateComments(request, successMessage) {
+  try {
+    await request();
+    showToast(successMessage);
+    await loadComments();
+    return true;
+  } catch (error) {
+    showToast(`Comments failed: ${error.message}`, true);
+    return false;
+  }
+}
+
+function blockCommenter(email, reason = '') {
+  if (!email) return showToast('Enter an email to block.', true);
+  if (!confirm(`Block ${email} from commenting? Their pending comments will be rejected.`)) return false;
+  return updateComments(() => apiFetch('/api/admin/commenters/blocked', { method: 'POST', body: JSON.stringify({ email, reason }) }), `${email} blocked.`);
+}
+
+let inboxFolder = 'inbox';
+
+async function loadInbox(folder = inboxFolder) {
+  inboxFolder = folder;
+  document.querySelectorAll('[data-inbox-filter]').forEach((btn) => btn.classList.toggle('secondary', btn.dataset.inboxFilter !== folder));
+  try {
+    const { messages, unread } = await apiFetch(`/api/admin/messages?folder=${folder}`);
+    byId('inbox-unread').textContent = unread ? String(unread) : '';
+    renderInbox(messages);
+  } catch (error) {
+    showToast(`Inbox failed: ${error.message}`, true);
+  }
+}
+
+// Quotes the original message below the cursor, as email clients do.
+function replyLink(message) {
+  const subject = `Re: ${message.subject || 'Your message'}`;
+  const quoted = message.message.split('\n').map((line) => `> ${line}`).join('\n');
+  const body = `\n\nOn ${new Date(message.createdAt).toLocaleString()}, ${message.name} wrote:\n${quoted}`;
+  return `mailto:${encodeURIComponent(message.email)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+function renderInbox(messages) {
+  byId('inbox-list').innerHTML = messages.length
+    ? messages.map((message) => `
+      <div class="item${message.read ? '' : ' unread'}">
+        <div class="item-head">
+          <strong>${escapeHtml(message.subject || '(no subject)')}</strong>
+          <div class="item-actions">
+            <a class="button-link" href="${escapeHtml(replyLink(message))}" data-message-reply="${escapeHtml(message.id)}">Reply</a>
+            <button type="button" data-message-update="${escapeHtml(message.id)}" data-field="read" data-value="${!message.read}" class="secondary">${message.read ? 'Mark Unread' : 'Mark Read'}</button>
+            <button type="button" data-message-update="${escapeHtml(message.id)}" data-field="archived" data-value="${!message.archived}" class="secondary">${message.archived ? 'Move to Inbox' : 'Archive'}</button>
+            <button type="button" data-message-delete="${escapeHtml(message.id)}" class="secondary">Delete</button>
+          </div>
+        </div>
+        <div class="muted">${escapeHtml(message.name)} &lt;${escapeHtml(message.email)}&gt; · ${new Date(message.createdAt).toLocaleString()}${message.repliedAt ? ` · replied ${new Date(message.repliedAt).toLocaleString()}` : ''}</div>
+        <p class="comment-text">${escapeHtml(message.message)}</p>
+      </div>`).join('')
+    : `<p class="muted">${inboxFolder === 'archived' ? 'No archived messages.' : 'No messages.'}</p>`;
+}
+
+async function updateInbox(request, successMessage) {
+  try {
+    await request();
+    if (successMessage) showToast(successMessage);
+    await loadInbox();
+  } catch (error) {
+    showToast(`Inbox failed: ${error.message}`, true);
+  }
+}
+
+const updateMessage = (id, changes) => apiFetch(`/api/admin/messages/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(changes) });
+
+const SEND_STATUS = { sending: 'Sending…', sent: 'Sent', partial: 'Partly failed', failed: 'Failed', interrupted: 'Interrupted' };
+let newsletterPoll = null;
+
+async function loadNewsletter() {
+  clearTimeout(newsletterPoll);
+  try {
+    const { subscribers, counts, posts, sends } = await apiFetch('/api/admin/newsletter');
+    renderNewsletter({ subscribers, counts, posts, sends });
+    // Follow sends in progress while the panel is open
+    if (sends.some((send) => send.status === 'sending') && byId('panel-newsletter').classList.contains('active')) {
+      newsletterPoll = setTimeout(loadNewsletter, 3000);
+    }
+  } catch (error) {
+    showToast(`Newsletter failed: ${error.message}`, true);
+  }
+}
+
+function renderNewsletter({ subscribers, counts, posts, sends }) {
+  byId('newsletter-stats').innerHTML = [
+    ['Confirmed', counts.confirmed],
+    ['Awaiting confirmation', counts.pending],
+    ['Unsubscribed', counts.unsubscribed]
+  ].map(([label, value]) => `<div class="stat-card"><span class="muted">${label}</span><strong>${value}</strong></div>`).join('');
+
+  const select = byId('newsletter-post');
+  const selected = select.value;
+  select.innerHTML = posts.length
+    ? posts.map((post) => `<option value="${escapeHtml(post.slug)}" data-title="${escapeHtml(post.title)}" data-sent="${escapeHtml(post.lastSentAt || '')}">${escapeHtml(post.title)}${post.lastSentAt ? ' (sent)' : ''}</option>`).join('')
+    : '<option value="">No published posts</option>';
+  if (posts.some((post) => post.slug === selected)) select.value = selected;
+
+  byId('newsletter-sends').innerHTML = sends.length
+    ? sends.map((send) => `
+      <div class="item">
+        <div class="item-head">
+          <strong>${escapeHtml(send.title)}</strong>
+          <div class="item-actions">
+            <button type="button" data-newsletter-recipients="${escapeHtml(send.id)}" class="secondary">Recipients</button>
+            ${send.counts.failed && send.status !== 'sending' ? `<button type="button" data-newsletter-retry="${escapeHtml(send.id)}" class="secondary">Retry Failed</button>` : ''}
+          </div>
+        </div>
+        <div class="muted">${SEND_STATUS[send.status] || escapeHtml(send.status)} · ${send.counts.sent} sent · ${send.counts.failed} failed${send.counts.pending ? ` · ${send.counts.pending} waiting` : ''} · by ${escapeHtml(send.sentBy)} · ${new Date(send.startedAt).toLocaleString()}</div>
+        <div id="newsletter-recipients-${escapeHtml(send.id)}"></div>
+      </div>`).join('')
+    : '<p class="muted">Nothing sent yet.</p>';
+
+  byId('newsletter-subscribers').innerHTML = subscribers.length
+    ? subscribers.map((subscriber) => `
+      <div class="item">
+        <div class="item-head">
+          <strong>${escapeHtml(subscriber.email)}</strong>
+          <div class="item-actions">
+            <button type="button" data-subscriber-remove="${escapeHtml(subscriber.id)}" data-email="${escapeHtml(subscriber.email)}" class="secondary">Remove</button>
+          </div>
+        </div>
+        <div class="muted">${escapeHtml(subscriber.status)} · ${subscriber.confirmedAt ? `confirmed ${new Date(subscriber.confirmedAt).toLocaleString()}` : `requested ${new Date(subscriber.requestedAt).toLocaleString()}`}${subscriber.unsubscribedAt && subscriber.status === 'unsubscribed' ? ` · left ${new Date(subscriber.unsubscribedAt).toLocaleString()}` : ''}</div>
+      </div>`).join('')
+    : '<p class="muted">No subscribers yet.</p>';
+}
+
+async function showNewsletterRecipients(id) {
+  const target = byId(`newsletter-recipients-${id}`);
+  if (target.innerHTML) {
+    target.innerHTML = '';
+    return;
+  }
+  try {
+    const { send } = await apiFetch(`/api/admin/newsletter/sends/${encodeURIComponent(id)}`);
+    const rowClass = { sent: 'added', failed: 'removed', pending: 'changed' };
+    target.innerHTML = `<div class="diff-list">${send.recipients.map((recipient) => `
+      <div class="diff-row ${rowClass[recipient.status] || ''}">
+        <code>${escapeHtml(recipient.email)}</code> ${escapeHtml(recipient.status)}${recipient.sentAt ? ` · ${new Date(recipient.sentAt).toLocaleString()}` : ''}${recipient.error ? ` · ${escapeHtml(recipient.error)}` : ''}
+      </div>`).join('')}</div>`;
+  } catch (error) {
+    showToast(`Newsletter failed: ${error.message}`, true);
+  }
+}
+
+async function sendNewsletter() {
+  const select = byId('newsletter-post');
+  const option = select.selectedOptions[0];
+  if (!select.value) return showToast('Publish a post first.', true);
+  const resend = Boolean(option.dataset.sent);
+  const question = resend
+    ? `"${option.dataset.title}" was already sent. Send it to all confirmed subscribers again?`
+    : `Send "${option.dataset.title}" to all confirmed subscribers?`;
+  if (!confirm(question)) return;
+  await updateNewsletter(() => apiFetch('/api/admin/newsletter/sends', { method: 'POST', body: JSON.stringify({ slug: select.value, resend }) }), 'Sending started.');
+}
+
+async function updateNewsletter(request, successMessage) {
+  try {
+    await request();
+    if (successMessage) showToast(successMessage);
+  } catch (error) {
+    showToast(`Newsletter failed: ${error.message}`, true);
+  }
+  await loadNewsletter();
+}
+
+const SPAM_FORMS = { contact: 'Contact', register: 'Sign-up', comment: 'Comment', newsletter: 'Newsletter' };
+const SPAM_REASONS = {
+  honeypot: 'Honeypot filled',
+  'invalid-token': 'Missing or expired form token',
+  'too-fast': 'Sent too fast',
+  'rate-limit': 'Rate limited',
+  'disposable-email': 'Disposable email',
+  duplicate: 'Duplicate',
+  'spam-score': 'Spam score'
+};
+
+let spamFilter = '';
+
+async function loadSpamLog(form = spamFilter) {
+  spamFilter = form;
+  document.querySelectorAll('[data-spam-filter]').forEach((btn) => btn.classList.toggle('secondary', btn.dataset.spamFilter !== form));
+  try {
+    const { rejections, counts } = await apiFetch(`/api/admin/form-rejections?form=${form}`);
+    byId('spam-summary').textContent = Object.entries(counts)
+      .filter(([, count]) => count)
+      .map(([reason, count]) => `${SPAM_REASONS[reason] || reason}: ${count}`)
+      .join(' · ');
+    renderSpamLog(rejections);
+  } catch (error) {
+    showToast(`Spam log failed: ${error.message}`, true);
+  }
+}
+
+function renderSpamLog(rejections) {
+  byId('spam-list').innerHTML = rejections.length
+    ? rejections.map((rejection) => `
+      <div class="item">
+        <div class="item-head">
+          <strong>${escapeHtml(SPAM_FORMS[rejection.form] || rejection.form)} · ${escapeHtml(SPAM_REASONS[rejection.reason] || rejection.reason)}</strong>
+          <div class="item-actions">
+            <button type="button" data-spam-delete="${escapeHtml(rejection.id)}" class="secondary">Delete</button>
+          </div>
+        </div>
+        <div class="muted">${[rejection.name, rejection.email, rejection.ip].filter(Boolean).map(escapeHtml).join(' · ')} · ${new Date(rejection.createdAt).toLocaleString()}</div>
+        ${rejection.detail ? `<div class="muted">${escapeHtml(rejection.detail)}</div>` : ''}
+        ${rejection.excerpt ? `<p class="comment-text">${escapeHtml(rejection.excerpt)}</p>` : ''}
+      </div>`).join('')
+    : '<p class="muted">Nothing has been rejected.</p>';
+}
+
+async function updateSpamLog(request, successMessage) {
+  try {
+    await request();
+    if (successMessage) showToast(successMessage);
+    await loadSpamLog();
+  } catch (error) {
+    showToast(`Spam log failed: ${error.message}`, true);
+  }
+}
+
+let mediaItems = [];
+let mediaTarget = null;
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+async function loadMedia() {
+  try {
+    const { media, maxBytes } = await apiFetch('/api/admin/media');
+    mediaItems = media;
+    byId('media-limits').textContent = `PNG, JPEG, GIF, WebP or AVIF, up to ${formatBytes(maxBytes)} each.`;
+    renderMediaLibrary();
+    renderMediaPicker();
+  } catch (error) {
+    showToast(`Media failed: ${error.message}`, true);
+  }
+}
+
+function renderMediaLibrary() {
+  byId('media-library').innerHTML = mediaItems.length
+    ? mediaItems.map((media) => `
+      <div class="item media-item">
+        <img src="${escapeHtml(media.url)}" alt="${escapeHtml(media.alt)}" loading="lazy" />
+        <p class="muted">${escapeHtml(media.originalName)} · ${media.width && media.height ? `${media.width}×${media.height} · ` : ''}${formatBytes(media.size)}${media.variants?.length ? ` · ${media.variants.length} resized copies` : ''}</p>
+        <label>Alt text<input data-media-alt="${escapeHtml(media.id)}" value="${escapeHtml(media.alt)}" /></label>
+        <p class="muted">${media.usedIn.length ? `Used in ${media.usedIn.map(escapeHtml).join(', ')}` : 'Not used on the site'}</p>
+        <div class="item-actions">
+          <button type="button" data-media-save-alt="${escapeHtml(media.id)}">Save Alt</button>
+          <button type="button" data-media-copy="${escapeHtml(media.url)}" class="secondary">Copy URL</button>
+          <button type="button" data-media-delete="${escapeHtml(media.id)}" class="secondary">Delete</button>
+        </div>
+      </div>`).join('')
+    : '<p class="muted">No uploads yet.</p>';
+}
+
+function renderMediaPicker() {
+  byId('media-picker-grid').innerHTML = mediaItems.length
+    ? mediaItems.map((media) => `
+      <button type="button" class="media-choice" data-media-choose="${escapeHtml(media.url)}" data-alt="${escapeHtml(media.alt)}">
+        <img src="${escapeHtml(media.url)}" alt="" loading="lazy" />
+        <span>${escapeHtml(media.alt || media.originalName)}</span>
+      </button>`).join('')
+    : '<p class="muted">No uploads yet. Upload an image above.</p>';
+}
+
+// Uploads one file at a time so each failure is reported against its file name.
+async function uploadMedia(files, alt = '') {
+  const uploaded = [];
+  for (const file of files) {
+    try {
+      const query = new URLSearchParams({ name: file.name, alt });
+      const { media } = await apiFetch(`/api/admin/media?${query}`, { method: 'POST', body: file, headers: { 'Content-Type': file.type || 'application/octet-stream' } });
+      uploaded.push(media);
+    } catch (error) {
+      showToast(`${file.name}: ${error.message}`, true);
+    }
+  }
+  if (uploaded.length) {
+    showToast(uploaded.length === 1 ? 'Image uploaded.' : `${uploaded.length} images uploaded.`);
+    await loadMedia();
+  }
+  return uploaded;
+}
+
+async function deleteMedia(id) {
+  if (!confirm('Delete this file?')) return;
+  try {
+    await apiFetch(`/api/admin/media/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  } catch (error) {
+    if (error.status !== 409) return showToast(`Delete failed: ${error.message}`, true);
+    if (!confirm(`${error.message}. Delete anyway? Those places will show a broken image.`)) return;
+    try {
+      await apiFetch(`/api/admin/media/${encodeURIComponent(id)}?force=true`, { method: 'DELETE' });
+    } catch (forceError) {
+      return showToast(`Delete failed: ${forceError.message}`, true);
+    }
+  }
+  showToast('File deleted.');
+  await loadMedia();
+}
+
+function openMediaPicker(targetId) {
+  mediaTarget = byId(targetId);
+  byId('media-picker').hidden = false;
+  loadMedia();
+}
+
+function closeMediaPicker() {
+  byId('media-picker').hidden = true;
+  mediaTarget = null;
+}
+
+// Fills the field that opened the picker; gallery textareas get a new `URL | alt` line instead.
+function chooseMedia(url, alt) {
+  const input = mediaTarget;
+  closeMediaPicker();
+  if (!input) return;
+  input.value = input.tagName === 'TEXTAREA'
+    ? [input.value.trim(), alt ? `${url} | ${alt}` : url].filter(Boolean).join('\n')
+    : url;
+  input.dispatchEvent(new Event('input'));
+  input.focus();
+}
+
+async function loadHistory() {
+  const { revisions } = await apiFetch('/api/content/revisions');
+  const list = byId('history-list');
+  list.innerHTML = revisions.length ? '' : '<p class="muted">No revisions yet. The first save starts the history.</p>';
+  revisions.forEach((rev) => {
+    const div = document.createElement('div');
+    div.className = 'item';
+    div.innerHTML = `
+      <div class="item-head">
+        <strong>#${rev.number} · ${escapeHtml(rev.summary)}</strong>
+        <div class="item-actions">
+          <button type="button" data-history-diff="${rev.number}" class="secondary">Diff vs current</button>
+          <button type="button" data-history-restore="${rev.number}">Restore</button>
+        </div>
+      </div>
+      <div class="muted">${escapeHtml(rev.author)} · ${new Date(rev.createdAt).toLocaleString()}</div>`;
+    list.appendChild(div);
+  });
+
+  const options = revisions.map((rev) => `<option value="${rev.number}">#${rev.number} · ${escapeHtml(rev.summary)}</option>`).join('');
+  byId('history-from').innerHTML = options;
+  byId('history-to').innerHTML = `<option value="current">Current content</option>${options}`;
+}
+
+function renderDiff(diff) {
+  const container = byId('history-diff');
+  const label = diff.to === 'current' ? 'current content' : `#${diff.to}`;
+  if (!diff.changes.length) {
+    container.innerHTML = `<p class="muted">No differences between #${diff.from} and ${label}.</p>`;
+    return;
+  }
+  container.innerHTML = `<p class="muted">${diff.changes.length} difference(s) from #${diff.from} to ${label}:</p>` + diff.changes.map((change) => `
+    <div class="diff-row ${change.op}">
+      <code>${escapeHtml(change.path)}</code> ${change.op}:
+      ${change.op === 'added' ? formatValue(change.after) : change.op === 'removed' ? formatValue(change.before) : `${formatValue(change.before)} → ${formatValue(change.after)}`}
+    </div>`).join('');
+}
+
+async function showDiff(from, to = 'current') {
+  try {
+    const diff = await apiFetch(`/api/content/revisions/diff?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+    renderDiff(diff);
+  } catch (error) {
+    showToast(`Diff failed: ${error.message}`, true);
+  }
+}
+
+async function restoreRevision(number) {
+  const warning = isDirty() ? '\n\nYour unsaved changes will be discarded.' : '';
+  if (!confirm(`Restore revision #${number}? This is saved as a new revision.${warning}`)) return;
+  try {
+    const { content, etag } = await apiFetch(`/api/content/revisions/${number}/restore`, { method: 'POST' });
+    applyServerVersion(content, etag);
+    showToast(`Restored revision #${number}.`);
+    refreshPreview();
+    await loadHistory();
+  } catch (error) {
+    showToast(`Restore failed: ${error.message}`, true);
+  }
 }
 
 async function logout() {
@@ -381,18 +1319,59 @@ function bindButtons() {
   byId('reset-btn').addEventListener('click', resetUnsaved);
   byId('refresh-preview-btn').addEventListener('click', refreshPreview);
   byId('logout-btn').addEventListener('click', logout);
+  byId('publish-btn').addEventListener('click', () => {
+    if (confirm('Publish the saved draft to all visitors now?')) publishContent();
+  });
+  byId('schedule-publish-btn').addEventListener('click', schedulePublish);
+  byId('conflict-merge-btn').addEventListener('click', saveMergedVersion);
+  byId('conflict-theirs-btn').addEventListener('click', discardMineForTheirs);
+  byId('conflict-cancel-btn').addEventListener('click', closeConflictView);
+  byId('history-refresh-btn').addEventListener('click', () => loadHistory().catch((error) => showToast(`History failed: ${error.message}`, true)));
+  byId('history-diff-btn').addEventListener('click', () => showDiff(byId('history-from').value, byId('history-to').value));
+  byId('analytics-refresh-btn').addEventListener('click', loadAnalytics);
+  byId('block-commenter-btn').addEventListener('click', async () => {
+    if (!(await blockCommenter(byId('block-email').value.trim(), byId('block-reason').value.trim()))) return;
+    byId('block-email').value = '';
+    byId('block-reason').value = '';
+  });
+  byId('analytics-export-btn').addEventListener('click', exportAnalytics);
+  byId('newsletter-send-btn').addEventListener('click', sendNewsletter);
+  byId('media-upload').accept = IMAGE_TYPES.join(',');
+  byId('media-picker-upload').accept = IMAGE_TYPES.join(',');
+  byId('media-upload-btn').addEventListener('click', async () => {
+    const files = [...byId('media-upload').files];
+    if (!files.length) return showToast('Choose files to upload.', true);
+    await uploadMedia(files, byId('media-upload-alt').value.trim());
+    byId('media-upload').value = '';
+    byId('media-upload-alt').value = '';
+  });
+  byId('media-picker-upload').addEventListener('change', async (event) => {
+    const [media] = await uploadMedia([...event.target.files]);
+    event.target.value = '';
+    if (media) chooseMedia(media.url, media.alt);
+  });
+  byId('media-picker-close').addEventListener('click', closeMediaPicker);
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !byId('media-picker').hidden) closeMediaPicker();
+  });
+  document.querySelectorAll('[data-analytics-days]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      setAnalyticsRange(Number(btn.dataset.analyticsDays));
+      loadAnalytics();
+    });
+  });
 
   byId('add-focus-btn').addEventListener('click', () => { currentContent.hero.focusList.push('New focus'); renderAllLists(); updateDirtyStatus(); });
   byId('add-hero-button-btn').addEventListener('click', () => { currentContent.hero.buttons.push({ text: 'New Button', link: '#home' }); renderAllLists(); updateDirtyStatus(); });
-  byId('add-project-btn').addEventListener('click', () => { currentContent.projects.push({ title: 'New Project', description: '', tag: '', stack: '', features: [], role: [], link: '', image: '' }); renderAllLists(); updateDirtyStatus(); });
+  byId('add-project-btn').addEventListener('click', () => { currentContent.projects.push({ title: 'New Project', description: '', tag: '', stack: '', features: [], role: [], slug: '', format: 'markdown', content: '', demo: '', repo: '', link: '', image: '', gallery: [] }); renderAllLists(); updateDirtyStatus(); });
   byId('add-skill-btn').addEventListener('click', () => { currentContent.skills.push({ category: 'New Category', items: '' }); renderAllLists(); updateDirtyStatus(); });
   byId('add-experience-btn').addEventListener('click', () => { currentContent.experience.push({ title: 'New Role', company: '', dates: '', subtitle: '', items: [], link: '' }); renderAllLists(); updateDirtyStatus(); });
   byId('add-achievement-btn').addEventListener('click', () => { currentContent.achievements.push({ title: 'New Achievement', year: '', description: '', items: [], link: '' }); renderAllLists(); updateDirtyStatus(); });
-  byId('add-blog-btn').addEventListener('click', () => { currentContent.blog.push({ title: 'New Post', date: '', summary: '', slug: '', link: '', image: '', video: '', content: '' }); renderAllLists(); updateDirtyStatus(); });
+  byId('add-blog-btn').addEventListener('click', () => { currentContent.blog.push({ title: 'New Post', date: '', summary: '', category: '', tags: [], slug: '', link: '', image: '', video: '', format: 'markdown', content: '' }); renderAllLists(); updateDirtyStatus(); });
   byId('add-social-btn').addEventListener('click', () => { currentContent.contact.socials.push({ name: 'Platform', link: 'https://' }); renderAllLists(); updateDirtyStatus(); });
   byId('add-custom-section-btn').addEventListener('click', () => {
     const id = `custom-${Date.now()}`;
-    currentContent.customSections.push({ id, title: 'New Section', content: '', style: 'card', type: 'text', enabled: true });
+    currentContent.customSections.push({ id, title: 'New Section', format: 'markdown', content: '', style: 'card', type: 'text', enabled: true });
     currentContent.sectionOrder.push(id);
     renderAllLists();
     updateDirtyStatus();
@@ -409,6 +1388,14 @@ function bindNavigation() {
       const target = btn.dataset.target;
       document.querySelectorAll('.panel').forEach((panel) => panel.classList.remove('active'));
       byId(`panel-${target}`).classList.add('active');
+      if (target === 'publishing') loadPublishStatus();
+      if (target === 'dashboard') loadAnalytics();
+      if (target === 'comments') loadComments();
+      if (target === 'media') loadMedia();
+      if (target === 'inbox') loadInbox();
+      if (target === 'spam') loadSpamLog();
+      if (target === 'newsletter') loadNewsletter();
+      if (target === 'history') loadHistory().catch((error) => showToast(`History failed: ${error.message}`, true));
     });
   });
 }
@@ -419,10 +1406,12 @@ async function init() {
   bindTopLevelInputs();
   try {
     await loadContent();
+    await loadPublishStatus();
   } catch (error) {
     setStatus('Failed to load content');
     showToast(`Load failed: ${error.message}`, true);
   }
+  loadInbox();
 }
 
 document.addEventListener('DOMContentLoaded', init);
@@ -1,45 +1,43 @@
-import mongoose from "mongoose";
+import { createHash } from "crypto";
 import bcrypt from "bcryptjs";
+import { createAdapter } from "./storage/index.js";
 
-let isConnected = false;
+const CONTENT_KEY = "site_content";
+const REVISIONS = "content_revisions";
+const REVISION_SNAPSHOTS = "content_revision_snapshots";
+const REVISION_COUNTER_KEY = "content_revision_counter";
+const PUBLISHED_KEY = "site_content_published";
+const PUBLISH_SCHEDULES = "publish_schedules";
+const PAGE_VIEWS = "analytics_page_views";
+const SECTION_VIEWS = "analytics_section_views";
+const DAILY_ROLLUPS = "analytics_daily";
+const COMMENTS = "blog_comments";
+const BLOCKED_COMMENTERS = "blocked_commenters";
+const REACTIONS = "item_reactions";
+const BOOKMARKS = "bookmarks";
+const MEDIA = "media";
+const CONTACT_MESSAGES = "contact_messages";
+const FORM_REJECTIONS = "form_rejections";
+const SUBSCRIBERS = "newsletter_subscribers";
+const NEWSLETTER_SENDS = "newsletter_sends";
 
-const UserSchema = new mongoose.Schema(
-  {
-    email: { type: String, unique: true, index: true, required: true },
-    password: { type: String },
-    name: { type: String },
-    avatar: { type: String },
-    isAdmin: { type: Boolean, default: false },
-    createdAt: { type: Date, default: Date.now }
-  },
-  { collection: "users" }
-);
+const adapter = createAdapter(process.env.DB_DRIVER);
+let connecting = null;
 
-const ContentSchema = new mongoose.Schema(
-  {
-    key: { type: String, unique: true, index: true, required: true },
-    value: { type: mongoose.Schema.Types.Mixed, required: true }
-  },
-  { timestamps: true, collection: "content" }
-);
-
-const User = mongoose.models.User || mongoose.model("User", UserSchema);
-const Content = mongoose.models.Content || mongoose.model("Content", ContentSchema);
-
-async function connectDB() {
-  if (isConnected) return;
-
-  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
-  if (!uri) throw new Error("MONGODB_URI missing (set it in Render env vars / .env)");
-
-  mongoose.set("strictQuery", true);
-  await mongoose.connect(uri, { serverSelectionTimeoutMS: 10000 });
-
-  isConnected = true;
-  console.log("✅ MongoDB connected");
-
-  await ensureAdmin();
-  await ensureContentSeed();
+function connectDB() {
+  if (!connecting) {
+    connecting = (async () => {
+      await adapter.connect();
+      await ensureAdmin();
+      await ensureContentSeed();
+      await ensurePublishedSeed();
+      await ensureRevisionStorage();
+    })().catch((error) => {
+      connecting = null;
+      throw error;
+    });
+  }
+  return connecting;
 }
 
 async function ensureAdmin() {
@@ -50,11 +48,11 @@ async function ensureAdmin() {
     return;
   }
 
-  const existing = await User.findOne({ email: adminEmail }).lean();
+  const existing = await adapter.findUserByEmail(adminEmail);
 
   if (!existing) {
     const adminHash = await bcrypt.hash(adminPlain, 10);
-    await User.create({
+    await adapter.createUser({
       email: adminEmail,
       name: "Arya (Admin)",
       isAdmin: true,
@@ -63,102 +61,434 @@ async function ensureAdmin() {
     console.log("✅ Admin account initialized.");
   } else if (!existing.password || existing.isAdmin !== true) {
     const adminHash = existing.password || (await bcrypt.hash(adminPlain, 10));
-    await User.updateOne(
-      { email: adminEmail },
-      { $set: { password: adminHash, isAdmin: true } }
-    );
+    await adapter.updateUser(existing.id, { password: adminHash, isAdmin: true });
     console.log("✅ Admin account repaired.");
   }
 }
 
 async function ensureContentSeed() {
-  const doc = await Content.findOne({ key: "site_content" }).lean();
-  if (!doc) {
-    await Content.create({
-      key: "site_content",
-      value: {
-        hero: {
-          titlePrefix: "Hi, I'm Arya ",
-          titleSuffix: "",
-          subtitle: "Builder. Tech nerd. Systems enjoyer.",
-          description: "I design and build high performance software systems, games, AI powered tools, and experimental tech projects.",
-          focusList: ["Game engines", "AI-driven tools", "Software architecture"],
-          buttons: [
-            { text: "View Projects", link: "#projects" },
-            { text: "Contact Me", link: "#contact" }
-          ]
-        },
-        about: { title: "About Me", p1: "", p2: "", enjoyList: [], apartList: [] },
-        projects: [],
-        skills: [],
-        experience: [],
-        achievements: [],
-        blog: [],
-        contact: { title: "Let's Talk", subtitle: "", email: "", phone: "", socials: [] },
-        customSections: [],
-        sectionOrder: ["home", "about", "projects", "skills", "experience", "blog", "contact"],
-        theme: { primary: "#00f3ff", secondary: "#bd00ff", bg: "#050505" },
-        analytics: { totalViews: 0 },
-        sitePassword: ""
-      }
+  const existing = await adapter.getContent(CONTENT_KEY);
+  if (!existing) {
+    await adapter.setContent(CONTENT_KEY, {
+      hero: {
+        titlePrefix: "Hi, I'm Arya ",
+        titleSuffix: "",
+        subtitle: "Builder. Tech nerd. Systems enjoyer.",
+        description: "I design and build high performance software systems, games, AI powered tools, and experimental tech projects.",
+        focusList: ["Game engines", "AI-driven tools", "Software architecture"],
+        buttons: [
+          { text: "View Projects", link: "#projects" },
+          { text: "Contact Me", link: "#contact" }
+        ]
+      },
+      about: { title: "About Me", p1: "", p2: "", enjoyList: [], apartList: [] },
+      projects: [],
+      skills: [],
+      experience: [],
+      achievements: [],
+      blog: [],
+      contact: { title: "Let's Talk", subtitle: "", email: "", phone: "", socials: [] },
+      customSections: [],
+      sectionOrder: ["home", "about", "projects", "skills", "experience", "blog", "contact"],
+      theme: { primary: "#00f3ff", secondary: "#bd00ff", bg: "#050505" },
+      sitePassword: ""
     });
-    console.log("✅ Content initialized in Mongo.");
+    console.log(`✅ Content initialized in ${adapter.name}.`);
   }
 }
 
+// Before drafts existed every save was live, so the stored content starts out
+// as the published copy.
+async function ensurePublishedSeed() {
+  const published = await adapter.getContent(PUBLISHED_KEY);
+  if (published) return;
+  const entry = await adapter.getContentEntry(CONTENT_KEY);
+  await adapter.setContent(PUBLISHED_KEY, {
+    content: entry?.value || {},
+    draftVersion: entry?.version || 0,
+    publishedAt: new Date().toISOString(),
+    publishedBy: "system"
+  });
+}
+
 export async function findUserByEmail(email) {
   await connectDB();
-  return User.findOne({ email }).lean();
+  return adapter.findUserByEmail(email);
 }
 
 export async function createUser(profile) {
   await connectDB();
   const { name, email, password } = profile;
 
-  const created = await User.create({ email, name, password, isAdmin: false });
+  const created = await adapter.createUser({ email, name, password, isAdmin: false });
 
-  return { id: created._id.toString(), email: created.email, name: created.name };
+  return { id: created.id, email: created.email, name: created.name };
 }
 
 export async function getUserById(id) {
   await connectDB();
-  return User.findById(id).lean();
+  return adapter.getUserById(id);
 }
 
 export async function getAllUsers() {
   await connectDB();
-
-  const users = await User.find({}).sort({ createdAt: -1 }).lean();
-  return users.map((u) => ({
-    id: u._id.toString(),
-    email: u.email,
-    name: u.name,
-    isAdmin: u.isAdmin,
-    password: u.password,
-    createdAt: u.createdAt
-  }));
+  return adapter.getAllUsers();
 }
 
 export async function updateUser(id, updates) {
   await connectDB();
-  const { _id, id: ignoreId, ...safeUpdates } = updates;
-  return User.updateOne({ _id: id }, { $set: safeUpdates });
+  return adapter.updateUser(id, updates);
 }
 
 export async function getContent() {
   await connectDB();
-  const doc = await Content.findOne({ key: "site_content" }).lean();
-  return doc?.value || null;
+  return adapter.getContent(CONTENT_KEY);
 }
 
 export async function setContent(newContent) {
   await connectDB();
-  const updated = await Content.findOneAndUpdate(
-    { key: "site_content" },
-    { $set: { value: newContent } },
-    { upsert: true, new: true }
-  ).lean();
-  return updated?.value || newContent;
+  return adapter.setContent(CONTENT_KEY, newContent);
+}
+
+export async function getContentEntry() {
+  await connectDB();
+  return (await adapter.getContentEntry(CONTENT_KEY)) || { value: null, version: 0 };
+}
+
+// Writes only if the stored version still equals expectedVersion; returns null otherwise.
+export async function compareAndSetContent(newContent, expectedVersion) {
+  await connectDB();
+  return adapter.compareAndSetContent(CONTENT_KEY, newContent, expectedVersion);
+}
+
+export async function getPublishedContent() {
+  await connectDB();
+  return adapter.getContent(PUBLISHED_KEY);
+}
+
+export async function setPublishedContent(published) {
+  await connectDB();
+  return adapter.setContent(PUBLISHED_KEY, published);
+}
+
+export async function addPublishSchedule(schedule) {
+  await connectDB();
+  return adapter.insertRecord(PUBLISH_SCHEDULES, schedule);
+}
+
+export async function listPublishSchedules(filter = {}) {
+  await connectDB();
+  const schedules = await adapter.listRecords(PUBLISH_SCHEDULES, filter);
+  return schedules.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+export async function updatePublishSchedule(id, updates) {
+  await connectDB();
+  return adapter.updateRecord(PUBLISH_SCHEDULES, id, updates);
+}
+
+/** Applies `updates` only while the schedule still matches `expected` (e.g. `{ status: "pending" }`); null otherwise. */
+export async function compareAndSetPublishSchedule(id, expected, updates) {
+  await connectDB();
+  return adapter.compareAndSetRecord(PUBLISH_SCHEDULES, id, expected, updates);
+}
+
+const revisionId = (number) => `rev-${number}`;
+
+// Revisions used to carry their content snapshot under a random id. Listing
+// them then meant loading every snapshot, so snapshots now live in their own
+// collection and the latest number in a counter. Runs once per database.
+async function ensureRevisionStorage() {
+  if (await adapter.getContent(REVISION_COUNTER_KEY)) return;
+  const legacy = await adapter.listRecords(REVISIONS);
+  for (const { id, content, ...meta } of legacy) {
+    const key = revisionId(meta.number);
+    if (content !== undefined) await adapter.upsertRecord(REVISION_SNAPSHOTS, { id: key, number: meta.number, content });
+    if (id !== key) await adapter.deleteRecord(REVISIONS, id);
+    await adapter.upsertRecord(REVISIONS, { ...meta, id: key });
+  }
+  await adapter.setContent(REVISION_COUNTER_KEY, { latest: Math.max(0, ...legacy.map((revision) => revision.number)) });
+}
+
+export async function getLatestRevisionNumber() {
+  await connectDB();
+  return (await adapter.getContent(REVISION_COUNTER_KEY))?.latest || 0;
+}
+
+/**
+ * Stores a revision under its number. Rejects when the number is already
+ * taken, so two saves can never record the same one.
+ */
+export async function addContentRevision({ content, ...meta }) {
+  await connectDB();
+  const id = revisionId(meta.number);
+  const saved = await adapter.insertRecord(REVISIONS, { ...meta, id });
+  try {
+    await adapter.upsertRecord(REVISION_SNAPSHOTS, { id, number: meta.number, content });
+  } catch (error) {
+    await adapter.deleteRecord(REVISIONS, id);
+    throw error;
+  }
+  const latest = (await adapter.getContent(REVISION_COUNTER_KEY))?.latest || 0;
+  if (meta.number > latest) await adapter.setContent(REVISION_COUNTER_KEY, { latest: meta.number });
+  return { ...saved, content };
+}
+
+/** Revision details without their content snapshots, newest first. */
+export async function listContentRevisions(filter = {}) {
+  await connectDB();
+  const revisions = await adapter.listRecords(REVISIONS, filter);
+  return revisions.sort((a, b) => b.number - a.number);
+}
+
+/** One revision with its content snapshot, or null. */
+export async function getContentRevision(number) {
+  await connectDB();
+  const [revision, snapshot] = await Promise.all([
+    adapter.getRecord(REVISIONS, revisionId(number)),
+    adapter.getRecord(REVISION_SNAPSHOTS, revisionId(number))
+  ]);
+  return revision ? { ...revision, content: snapshot?.content ?? null } : null;
+}
+
+export async function deleteContentRevision(number) {
+  await connectDB();
+  await adapter.deleteRecord(REVISION_SNAPSHOTS, revisionId(number));
+  return adapter.deleteRecord(REVISIONS, revisionId(number));
+}
+
+export async function addPageView(view) {
+  await connectDB();
+  return adapter.insertRecord(PAGE_VIEWS, view);
+}
+
+export async function listPageViews(filter = {}) {
+  await connectDB();
+  return adapter.listRecords(PAGE_VIEWS, filter);
+}
+
+export async function deletePageView(id) {
+  await connectDB();
+  return adapter.deleteRecord(PAGE_VIEWS, id);
+}
+
+export async function addSectionView(view) {
+  await connectDB();
+  return adapter.insertRecord(SECTION_VIEWS, view);
+}
+
+export async function listSectionViews(filter = {}) {
+  await connectDB();
+  return adapter.listRecords(SECTION_VIEWS, filter);
+}
+
+export async function deleteSectionView(id) {
+  await connectDB();
+  return adapter.deleteRecord(SECTION_VIEWS, id);
+}
+
+export async function listDailyRollups(filter = {}) {
+  await connectDB();
+  return adapter.listRecords(DAILY_ROLLUPS, filter);
+}
+
+// Keyed by day, so concurrent rollups of the same day overwrite each other
+// instead of storing it twice.
+export async function saveDailyRollup(rollup) {
+  await connectDB();
+  return adapter.upsertRecord(DAILY_ROLLUPS, { ...rollup, id: rollup.day });
+}
+
+export async function addComment(comment) {
+  await connectDB();
+  return adapter.insertRecord(COMMENTS, comment);
+}
+
+export async function listComments(filter = {}) {
+  await connectDB();
+  const comments = await adapter.listRecords(COMMENTS, filter);
+  return comments.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function getComment(id) {
+  await connectDB();
+  return adapter.getRecord(COMMENTS, id);
+}
+
+export async function updateComment(id, updates) {
+  await connectDB();
+  return adapter.updateRecord(COMMENTS, id, updates);
+}
+
+export async function deleteComment(id) {
+  await connectDB();
+  return adapter.deleteRecord(COMMENTS, id);
+}
+
+export async function addBlockedCommenter(block) {
+  await connectDB();
+  return adapter.insertRecord(BLOCKED_COMMENTERS, block);
+}
+
+export async function listBlockedCommenters(filter = {}) {
+  await connectDB();
+  return adapter.listRecords(BLOCKED_COMMENTERS, filter);
+}
+
+export async function deleteBlockedCommenter(id) {
+  await connectDB();
+  return adapter.deleteRecord(BLOCKED_COMMENTERS, id);
+}
+
+// Reactions and bookmarks are unique per account and item: their id is
+// derived from all three, so a second insert (a double click, two tabs)
+// finds the first one instead of counting twice.
+const engagementId = ({ type, itemId, userEmail }) => createHash("sha256").update(`${type}|${itemId}|${userEmail}`).digest("hex").slice(0, 32);
+
+async function insertOnce(collection, record) {
+  try {
+    return await adapter.insertRecord(collection, record);
+  } catch (error) {
+    const existing = await adapter.getRecord(collection, record.id);
+    if (existing) return existing;
+    throw error;
+  }
+}
+
+export async function addReaction(reaction) {
+  await connectDB();
+  return insertOnce(REACTIONS, { ...reaction, id: engagementId(reaction) });
+}
+
+export async function listReactions(filter = {}) {
+  await connectDB();
+  return adapter.listRecords(REACTIONS, filter);
+}
+
+export async function deleteReaction(id) {
+  await connectDB();
+  return adapter.deleteRecord(REACTIONS, id);
+}
+
+export async function addBookmark(bookmark) {
+  await connectDB();
+  return insertOnce(BOOKMARKS, { ...bookmark, id: engagementId(bookmark) });
+}
+
+export async function listBookmarks(filter = {}) {
+  await connectDB();
+  const bookmarks = await adapter.listRecords(BOOKMARKS, filter);
+  return bookmarks.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function deleteBookmark(id) {
+  await connectDB();
+  return adapter.deleteRecord(BOOKMARKS, id);
+}
+
+export async function addMedia(media) {
+  await connectDB();
+  return adapter.insertRecord(MEDIA, media);
+}
+
+export async function listMedia(filter = {}) {
+  await connectDB();
+  const media = await adapter.listRecords(MEDIA, filter);
+  return media.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function getMedia(id) {
+  await connectDB();
+  return adapter.getRecord(MEDIA, id);
+}
+
+export async function updateMedia(id, updates) {
+  await connectDB();
+  return adapter.updateRecord(MEDIA, id, updates);
+}
+
+export async function deleteMedia(id) {
+  await connectDB();
+  return adapter.deleteRecord(MEDIA, id);
+}
+
+export async function addContactMessage(message) {
+  await connectDB();
+  return adapter.insertRecord(CONTACT_MESSAGES, message);
+}
+
+export async function listContactMessages(filter = {}) {
+  await connectDB();
+  const messages = await adapter.listRecords(CONTACT_MESSAGES, filter);
+  return messages.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function updateContactMessage(id, updates) {
+  await connectDB();
+  return adapter.updateRecord(CONTACT_MESSAGES, id, updates);
+}
+
+export async function deleteContactMessage(id) {
+  await connectDB();
+  return adapter.deleteRecord(CONTACT_MESSAGES, id);
+}
+
+export async function addFormRejection(rejection) {
+  await connectDB();
+  return adapter.insertRecord(FORM_REJECTIONS, rejection);
+}
+
+export async function listFormRejections(filter = {}) {
+  await connectDB();
+  const rejections = await adapter.listRecords(FORM_REJECTIONS, filter);
+  return rejections.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function deleteFormRejection(id) {
+  await connectDB();
+  return adapter.deleteRecord(FORM_REJECTIONS, id);
+}
+
+export async function addSubscriber(subscriber) {
+  await connectDB();
+  return adapter.insertRecord(SUBSCRIBERS, subscriber);
+}
+
+export async function listSubscribers(filter = {}) {
+  await connectDB();
+  const subscribers = await adapter.listRecords(SUBSCRIBERS, filter);
+  return subscribers.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function updateSubscriber(id, updates) {
+  await connectDB();
+  return adapter.updateRecord(SUBSCRIBERS, id, updates);
+}
+
+export async function deleteSubscriber(id) {
+  await connectDB();
+  return adapter.deleteRecord(SUBSCRIBERS, id);
+}
+
+export async function addNewsletterSend(send) {
+  await connectDB();
+  return adapter.insertRecord(NEWSLETTER_SENDS, send);
+}
+
+export async function listNewsletterSends(filter = {}) {
+  await connectDB();
+  const sends = await adapter.listRecords(NEWSLETTER_SENDS, filter);
+  return sends.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function getNewsletterSend(id) {
+  await connectDB();
+  return adapter.getRecord(NEWSLETTER_SENDS, id);
+}
+
+export async function updateNewsletterSend(id, updates) {
+  await connectDB();
+  return adapter.updateRecord(NEWSLETTER_SENDS, id, updates);
 }
 
 connectDB().catch(console.error);
@@ -0,0 +1,23 @@
+import { randomUUID } from "crypto";
+
+// Prints messages instead of sending them, for local development.
+export function createConsoleTransport() {
+  return {
+    name: "console",
+
+    async send({ from, to, subject, html, text, replyTo }) {
+      const id = `console-${randomUUID()}`;
+      console.log([
+        `[MAIL] ---- ${id}`,
+        `From: ${from}`,
+        `To: ${to}`,
+        ...(replyTo ? [`Reply-To: ${replyTo}`] : []),
+        `Subject: ${subject}`,
+        "",
+        text || html,
+        "[MAIL] ----"
+      ].join("\n"));
+      return { id };
+    }
+  };
+}
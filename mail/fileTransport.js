@@ -0,0 +1,19 @@
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Writes each message to `dir` as JSON instead of sending it, so local
+// development and tests can read back exactly what would have gone out.
+export function createFileTransport({ dir }) {
+  return {
+    name: "file",
+
+    async send(message) {
+      const createdAt = new Date().toISOString();
+      const id = `${createdAt.replace(/[:.]/g, "-")}-${randomUUID().slice(0, 8)}.json`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, id), `${JSON.stringify({ id, createdAt, ...message }, null, 2)}\n`);
+      return { id };
+    }
+  };
+}
@@ -0,0 +1,32 @@
+import { createResendTransport } from "./resendTransport.js";
+import { createSmtpTransport } from "./smtpTransport.js";
+import { createConsoleTransport } from "./consoleTransport.js";
+import { createFileTransport } from "./fileTransport.js";
+
+// MAIL_PROVIDER picks how mail leaves the server: "resend", "smtp", "console"
+// or "file". Without it we use SMTP when SMTP_HOST is set and Resend otherwise.
+// Every transport has `name` and `send(message)`, which resolves to `{ id }`
+// and throws when the message was not accepted.
+export function createTransport(provider, env = process.env) {
+  const selected = (provider || (env.SMTP_HOST ? "smtp" : "resend")).toLowerCase();
+
+  switch (selected) {
+    case "resend":
+      return createResendTransport({ apiKey: env.RESEND_API_KEY });
+    case "smtp":
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case "console":
+      return createConsoleTransport();
+    case "file":
+    case "outbox":
+      return createFileTransport({ dir: env.MAIL_OUTBOX_DIR || "./outbox" });
+    default:
+      throw new Error(`Unknown MAIL_PROVIDER "${selected}" (expected resend, smtp, console or file)`);
+  }
+}
@@ -0,0 +1,34 @@
+// Resend's HTTP API (https://resend.com/docs/api-reference/emails/send-email).
+export function createResendTransport({ apiKey }) {
+  if (!apiKey) throw new Error("RESEND_API_KEY is required for MAIL_PROVIDER=resend");
+
+  return {
+    name: "resend",
+
+    async send({ from, to, subject, html, text, replyTo, headers }) {
+      const resp = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          from,
+          to: [to],
+          subject,
+          html,
+          ...(text ? { text } : {}),
+          ...(replyTo ? { reply_to: replyTo } : {}),
+          ...(headers ? { headers } : {}),
+        }),
+      });
+
+      if (!resp.ok) {
+        const responseText = await resp.text();
+        throw new Error(`Resend API responded ${resp.status}: ${responseText.slice(0, 300)}`);
+      }
+      const data = await resp.json().catch(() => ({}));
+      return { id: data.id || null };
+    }
+  };
+}
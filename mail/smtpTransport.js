@@ -0,0 +1,23 @@
+import nodemailer from "nodemailer";
+
+// Any SMTP server through nodemailer. Port 465 implies TLS from the start;
+// other ports upgrade with STARTTLS when the server offers it.
+export function createSmtpTransport({ host, port, secure, user, pass }) {
+  if (!host) throw new Error("SMTP_HOST is required for MAIL_PROVIDER=smtp");
+  const portNumber = Number(port) || 587;
+  const transporter = nodemailer.createTransport({
+    host,
+    port: portNumber,
+    secure: secure === undefined || secure === "" ? portNumber === 465 : secure === "true",
+    ...(user ? { auth: { user, pass } } : {})
+  });
+
+  return {
+    name: "smtp",
+
+    async send({ from, to, subject, html, text, replyTo, headers }) {
+      const info = await transporter.sendMail({ from, to, subject, html, text, replyTo, headers });
+      return { id: info.messageId || null };
+    }
+  };
+}
@@ -0,0 +1,155 @@
+// Comment thread on blog permalink pages (views/blogPost.js). Plain script,
+// served from public/ as-is, so it must not rely on the Vite bundle.
+(() => {
+    const section = document.querySelector('#comments');
+    if (!section) return;
+
+    const list = section.querySelector('.comment-list');
+    const compose = section.querySelector('.comment-compose');
+    const query = section.dataset.preview ? `?preview=${section.dataset.preview}` : '';
+    const endpoint = `/api/blog/${encodeURIComponent(section.dataset.post)}/comments${query}`;
+    let thread = { comments: [], viewer: null, editWindowMinutes: 0 };
+    // New comments carry a signed start time, fetched once the reader starts typing
+    let formToken = null;
+
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    const paragraphs = (text) => escapeHtml(text).split(/\n{2,}/).map((part) => `<p>${part.replace(/\n/g, '<br>')}</p>`).join('');
+    const when = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+    async function request(url, options = {}) {
+        const res = await fetch(url, { credentials: 'same-origin', headers: { 'Content-Type': 'application/json' }, ...options });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || data.message || `Request failed (${res.status})`);
+        return data;
+    }
+
+    function loadFormToken() {
+        formToken ||= request('/api/forms/token').then((result) => result.token).catch(() => {
+            formToken = null;
+            return '';
+        });
+        return formToken;
+    }
+
+    function form(action, { id = '', value = '', label = 'Write a comment', submit = 'Post comment', cancel = false } = {}) {
+        return `<form class="comment-form" data-action="${action}" data-id="${escapeHtml(id)}">
+            <label class="sr-only" for="comment-${action}-${escapeHtml(id)}">${label}</label>
+            <textarea id="comment-${action}-${escapeHtml(id)}" name="body" rows="4" maxlength="5000" required placeholder="${label}…">${escapeHtml(value)}</textarea>
+            ${action === 'edit' ? '' : '<div class="form-trap" aria-hidden="true"><label>Leave this empty<input name="website" tabindex="-1" autocomplete="off"></label></div>'}
+            <p class="comment-error" role="alert" hidden></p>
+            <div class="comment-form-actions">
+                <button type="submit" class="btn">${submit}</button>
+                ${cancel ? '<button type="button" class="btn btn-quiet" data-cancel>Cancel</button>' : ''}
+            </div>
+        </form>`;
+    }
+
+    function renderComment(comment) {
+        const actions = comment.deleted ? [] : [
+            thread.viewer && comment.status === 'approved' && `<button type="button" data-reply="${comment.id}">Reply</button>`,
+            comment.canEdit && `<button type="button" data-edit="${comment.id}">Edit</button>`,
+            comment.mine && `<button type="button" data-delete="${comment.id}">Delete</button>`
+        ].filter(Boolean);
+
+        return `<article class="comment${comment.status === 'pending' ? ' pending' : ''}" id="comment-${comment.id}">
+            <header class="comment-meta">
+                ${comment.deleted ? '<span class="comment-author">[deleted]</span>' : `<span class="comment-author">${escapeHtml(comment.authorName)}</span>`}
+                <time datetime="${comment.createdAt}">${when(comment.createdAt)}</time>
+                ${comment.editedAt ? '<span>(edited)</span>' : ''}
+                ${comment.status === 'pending' ? '<span class="comment-badge">Awaiting moderation</span>' : ''}
+            </header>
+            <div class="comment-body">${comment.deleted ? '<p class="comment-note">This comment was deleted.</p>' : paragraphs(comment.body)}</div>
+            ${actions.length ? `<div class="comment-actions">${actions.join('')}</div>` : ''}
+            <div class="comment-slot"></div>
+            ${comment.replies.length ? `<div class="comment-replies">${comment.replies.map(renderComment).join('')}</div>` : ''}
+        </article>`;
+    }
+
+    function render() {
+        const count = (comments) => comments.reduce((total, comment) => total + (comment.deleted ? 0 : 1) + count(comment.replies), 0);
+        const total = count(thread.comments);
+        section.querySelector('#comments-title').textContent = total ? `Comments (${total})` : 'Comments';
+        list.innerHTML = thread.comments.length
+            ? thread.comments.map(renderComment).join('')
+            : '<p class="comment-note">No comments yet. Start the conversation.</p>';
+
+        compose.innerHTML = thread.viewer
+            ? `${form('create')}<p class="comment-note">Comments appear once approved. You can edit yours for ${thread.editWindowMinutes} minutes after posting.</p>`
+            : `<p class="comment-note"><a href="/login.html?next=${encodeURIComponent(window.location.pathname + window.location.search + '#comments')}">Log in</a> to join the conversation.</p>`;
+    }
+
+    async function load() {
+        try {
+            thread = await request(endpoint);
+            render();
+        } catch (error) {
+            list.innerHTML = `<p class="comment-note">${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    function findComment(id, comments = thread.comments) {
+        for (const comment of comments) {
+            if (comment.id === id) return comment;
+            const nested = findComment(id, comment.replies);
+            if (nested) return nested;
+        }
+        return null;
+    }
+
+    function openSlot(id, html) {
+        const slot = section.querySelector(`#comment-${CSS.escape(id)} > .comment-slot`);
+        slot.innerHTML = html;
+        slot.querySelector('textarea')?.focus();
+    }
+
+    section.addEventListener('click', async (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        if (button.dataset.cancel !== undefined) {
+            button.closest('.comment-slot').innerHTML = '';
+        } else if (button.dataset.reply) {
+            openSlot(button.dataset.reply, form('reply', { id: button.dataset.reply, label: 'Write a reply', submit: 'Post reply', cancel: true }));
+        } else if (button.dataset.edit) {
+            const comment = findComment(button.dataset.edit);
+            openSlot(button.dataset.edit, form('edit', { id: comment.id, value: comment.body, label: 'Edit your comment', submit: 'Save', cancel: true }));
+        } else if (button.dataset.delete && confirm('Delete this comment?')) {
+            try {
+                await request(`/api/comments/${encodeURIComponent(button.dataset.delete)}`, { method: 'DELETE' });
+                await load();
+            } catch (error) {
+                alert(error.message);
+            }
+        }
+    });
+
+    section.addEventListener('focusin', (event) => {
+        const target = event.target.closest('.comment-form');
+        if (target && target.dataset.action !== 'edit') loadFormToken();
+    });
+
+    section.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const target = event.target;
+        const body = target.elements.body.value;
+        const { action, id } = target.dataset;
+        const error = target.querySelector('.comment-error');
+        target.querySelector('[type="submit"]').disabled = true;
+        try {
+            if (action === 'edit') {
+                await request(`/api/comments/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify({ body }) });
+            } else {
+                await request(endpoint, {
+                    method: 'POST',
+                    body: JSON.stringify({ body, parentId: action === 'reply' ? id : undefined, website: target.elements.website.value, formToken: await loadFormToken() })
+                });
+            }
+            await load();
+        } catch (failure) {
+            error.textContent = failure.message;
+            error.hidden = false;
+            target.querySelector('[type="submit"]').disabled = false;
+        }
+    });
+
+    load();
+})();
@@ -0,0 +1,63 @@
+// Full-size viewer for `[data-lightbox]` galleries on server-rendered pages
+// (views/projectPage.js). Arrow keys step through images, Escape closes.
+(() => {
+    const galleries = document.querySelectorAll('[data-lightbox]');
+    if (!galleries.length || typeof HTMLDialogElement !== 'function') return;
+
+    const dialog = document.createElement('dialog');
+    dialog.className = 'lightbox';
+    dialog.setAttribute('aria-label', 'Image viewer');
+    dialog.innerHTML = `
+        <figure>
+            <img alt="" />
+            <figcaption></figcaption>
+        </figure>
+        <button type="button" class="lightbox-close" aria-label="Close">&times;</button>
+        <button type="button" class="lightbox-prev" aria-label="Previous image">&#8249;</button>
+        <button type="button" class="lightbox-next" aria-label="Next image">&#8250;</button>
+        <p class="lightbox-count" aria-live="polite"></p>`;
+    document.body.appendChild(dialog);
+
+    const image = dialog.querySelector('img');
+    const caption = dialog.querySelector('figcaption');
+    const count = dialog.querySelector('.lightbox-count');
+    let links = [];
+    let current = 0;
+
+    function show(index) {
+        current = (index + links.length) % links.length;
+        const link = links[current];
+        image.src = link.href;
+        image.alt = link.querySelector('img')?.alt || '';
+        caption.textContent = link.dataset.caption || '';
+        count.textContent = `${current + 1} / ${links.length}`;
+        dialog.classList.toggle('single', links.length < 2);
+    }
+
+    galleries.forEach((gallery) => {
+        gallery.addEventListener('click', (event) => {
+            const link = event.target.closest('a');
+            if (!link || event.metaKey || event.ctrlKey || event.shiftKey) return;
+            event.preventDefault();
+            links = Array.from(gallery.querySelectorAll('a'));
+            show(links.indexOf(link));
+            dialog.showModal();
+        });
+    });
+
+    dialog.querySelector('.lightbox-close').addEventListener('click', () => dialog.close());
+    dialog.querySelector('.lightbox-prev').addEventListener('click', () => show(current - 1));
+    dialog.querySelector('.lightbox-next').addEventListener('click', () => show(current + 1));
+    // A click on the backdrop (the dialog itself, outside the figure) closes it
+    dialog.addEventListener('click', (event) => {
+        if (event.target === dialog) dialog.close();
+    });
+    dialog.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowLeft') show(current - 1);
+        if (event.key === 'ArrowRight') show(current + 1);
+    });
+    dialog.addEventListener('close', () => {
+        image.removeAttribute('src');
+        links[current]?.focus();
+    });
+})();
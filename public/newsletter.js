@@ -0,0 +1,49 @@
+// Newsletter sign-up on blog permalink pages (views/newsletter.js). Plain
+// script, served from public/ as-is; the home page form is handled by
+// src/renderer.js.
+(() => {
+    const form = document.querySelector('.newsletter-form');
+    if (!form) return;
+
+    const status = form.querySelector('.newsletter-status');
+    const button = form.querySelector('[type="submit"]');
+    // Signed start time for the server's minimum fill-in check, fetched on first focus
+    let formToken = null;
+
+    function loadFormToken() {
+        formToken ||= fetch('/api/forms/token')
+            .then((res) => res.json())
+            .then((data) => data.token || '')
+            .catch(() => {
+                formToken = null;
+                return '';
+            });
+        return formToken;
+    }
+
+    form.addEventListener('focusin', loadFormToken);
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        button.disabled = true;
+        status.classList.remove('error');
+        status.textContent = 'Subscribing…';
+        try {
+            form.elements.formToken.value = await loadFormToken();
+            const res = await fetch('/api/newsletter/subscribe', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(Object.fromEntries(new FormData(form)))
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.message || data.error || 'You could not be subscribed.');
+            form.reset();
+            status.textContent = data.message;
+        } catch (error) {
+            status.classList.add('error');
+            status.textContent = error.message;
+        } finally {
+            button.disabled = false;
+        }
+    });
+})();
@@ -9,7 +9,29 @@ const checks = [
   ['projects editor exists', html.includes('id="projects-editor"')],
   ['api/content load', js.includes("apiFetch('/api/content')")],
   ['api/content patch', js.includes("apiFetch('/api/content',") && js.includes("method: 'PATCH'")],
-  ['sticky status', js.includes('updateDirtyStatus')]
+  ['if-match on save', js.includes("'If-Match': contentEtag")],
+  ['merge patch save', js.includes('createMergePatch(baselineContent, currentContent)')],
+  ['conflict view exists', html.includes('id="conflict-view"')],
+  ['shared schema validation', js.includes("from '../utils/contentSchema.js'") && js.includes('validateContentUpdate(baselineContent, currentContent)')],
+  ['sticky status', js.includes('updateDirtyStatus')],
+  ['publish controls exist', html.includes('id="publish-btn"') && html.includes('id="panel-publishing"')],
+  ['preview shows draft', html.includes('src="/?preview=draft"') && js.includes("'/?preview=draft")],
+  ['history panel exists', html.includes('id="panel-history"')],
+  ['revisions api', js.includes('/api/content/revisions')],
+  ['dashboard panel exists', html.includes('id="panel-dashboard"') && html.includes('id="analytics-chart"')],
+  ['analytics api', js.includes('/api/analytics/summary') && js.includes('/api/analytics/export')],
+  ['comments panel exists', html.includes('id="panel-comments"') && html.includes('id="comments-queue"')],
+  ['comment moderation api', js.includes('/api/admin/comments') && js.includes('/api/admin/commenters/blocked')],
+  ['blog tag picker', js.includes("type: 'tags'") && js.includes('function renderTagPicker')],
+  ['media panel exists', html.includes('id="panel-media"') && html.includes('id="media-picker"')],
+  ['media library api', js.includes('/api/admin/media') && js.includes('data-media-pick')],
+  ['inbox panel exists', html.includes('id="panel-inbox"') && html.includes('id="inbox-list"')],
+  ['inbox api', js.includes('/api/admin/messages') && js.includes('data-message-reply')],
+  ['spam log panel exists', html.includes('id="panel-spam"') && html.includes('id="spam-list"')],
+  ['spam log api', js.includes('/api/admin/form-rejections') && js.includes('data-spam-delete')],
+  ['newsletter panel exists', html.includes('id="panel-newsletter"') && html.includes('id="newsletter-sends"')],
+  ['newsletter api', js.includes('/api/admin/newsletter/sends') && js.includes('data-newsletter-retry')],
+  ['project showcase fields', js.includes("key: 'featured'") && js.includes("key: 'date'")]
 ];
 
 const failed = checks.filter(([, ok]) => !ok);
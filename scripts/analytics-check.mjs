@@ -0,0 +1,61 @@
+import { createChecks } from './checks.mjs';
+
+// Reports and rollups against the in-memory store. The store is chosen when
+// database.js loads, so the environment is set before importing.
+Object.assign(process.env, { DB_DRIVER: 'memory' });
+delete process.env.ADMIN_PASSWORD;
+
+const originalLog = console.log;
+console.log = () => {};
+
+const db = await import('../database.js');
+const { getAnalyticsReport, hashVisitor, recordPageView, recordSectionViews, runAnalyticsMaintenance } = await import('../services/analytics.js');
+
+const { check, report } = createChecks();
+const at = (day, time = '12:00:00') => new Date(`${day}T${time}Z`);
+const now = at('2024-05-10');
+
+try {
+  const ada = hashVisitor('198.51.100.1', 'Firefox', 'salt');
+  const grace = hashVisitor('198.51.100.2', 'Firefox', 'salt');
+  check('visitor hashes differ by IP and are stable', ada !== grace && ada === hashVisitor('198.51.100.1', 'Firefox', 'salt'));
+  check('visitor hashes depend on the salt', ada !== hashVisitor('198.51.100.1', 'Firefox', 'pepper'));
+
+  await recordPageView({ path: '/?utm=x', referrer: 'https://www.example.org/post', visitorId: ada, siteHost: 'arya.dev', at: at('2024-05-08') });
+  await recordPageView({ path: '/blog/hello', referrer: 'https://arya.dev/', visitorId: ada, siteHost: 'arya.dev', at: at('2024-05-08', '13:00:00') });
+  await recordPageView({ path: '/', referrer: '', visitorId: grace, siteHost: 'arya.dev', at: at('2024-05-09') });
+  await recordPageView({ path: '/', referrer: '', visitorId: ada, siteHost: 'arya.dev', at: at('2024-05-10') });
+  await recordPageView({ path: '/', referrer: '', visitorId: grace, siteHost: 'arya.dev', at: at('2024-04-01') });
+  check('section ids are validated', (await recordSectionViews({ sections: ['about', 'about', '1bad', 'projects'], visitorId: ada, at: at('2024-05-08') })) === 2);
+
+  const report = await getAnalyticsReport({ from: '2024-05-07', to: '2024-05-10', now });
+  check('the report covers each day in the range', report.days.map((day) => day.day).join() === '2024-05-07,2024-05-08,2024-05-09,2024-05-10');
+  check('views outside the range are left out', report.totals.views === 4);
+  check('visitors seen on several days count once', report.totals.uniqueVisitors === 2 && report.days[1].uniqueVisitors === 1);
+  check('paths drop query strings', report.topPaths[0].path === '/' && report.topPaths[0].views === 3);
+  check('only outside referrers count, without www.', report.topReferrers.length === 1 && report.topReferrers[0].referrer === 'example.org');
+  check('section views are totalled', report.topSections.map((row) => row.section).join() === 'about,projects');
+
+  const rollups = await db.listDailyRollups();
+  check('finished days are rolled up once each', rollups.map((rollup) => rollup.day).sort().join() === '2024-05-07,2024-05-08,2024-05-09');
+  check('today is not rolled up', !rollups.some((rollup) => rollup.day === '2024-05-10'));
+
+  await Promise.all([
+    getAnalyticsReport({ from: '2024-05-01', to: '2024-05-09', now }),
+    getAnalyticsReport({ from: '2024-05-01', to: '2024-05-09', now }),
+    runAnalyticsMaintenance(now)
+  ]);
+  const days = (await db.listDailyRollups()).map((rollup) => rollup.day);
+  check('concurrent rollups never store a day twice', days.length === new Set(days).size);
+
+  await recordPageView({ path: '/late', referrer: '', visitorId: grace, siteHost: 'arya.dev', at: at('2024-05-08') });
+  check('finished days are served from their rollup', (await getAnalyticsReport({ from: '2024-05-08', to: '2024-05-08', now })).totals.views === 2);
+
+  const { pruned } = await runAnalyticsMaintenance(at('2024-08-01'));
+  check('raw views past the retention window are pruned', pruned === 1 && (await db.listPageViews({ day: '2024-04-01' })).length === 0);
+  check('pruned days still report from their rollup', (await getAnalyticsReport({ from: '2024-04-01', to: '2024-04-01', now })).totals.views === 1);
+} finally {
+  console.log = originalLog;
+}
+
+report('Analytics check');
@@ -0,0 +1,37 @@
+import { blogFacets, findPost, isPostVisible, listPosts, publicContent, queryPosts } from '../services/blog.js';
+import { createChecks } from './checks.mjs';
+
+// Hidden posts (`published: false`) must stay off every public listing, page
+// and feed; only the admin asks for them explicitly.
+const { check, report } = createChecks();
+const slugs = (posts) => posts.map((post) => post.slug).join();
+
+const content = {
+  blog: [
+    { id: 'post_1', title: 'Hello World', date: '2024-05-01', tags: ['Engines'], category: 'Dev' },
+    { id: 'post_2', title: 'Secret Draft', slug: 'secret', date: '2024-05-02', tags: ['engines'], category: 'Dev', published: false },
+    { id: 'post_3', title: 'Hello World', date: '2024-04-20', tags: ['AI'], published: true },
+    null
+  ]
+};
+
+check('posts are visible unless flagged published: false', isPostVisible(content.blog[0]) && isPostVisible(content.blog[2]) && !isPostVisible(content.blog[1]) && !isPostVisible(null));
+check('listPosts leaves hidden posts out', slugs(listPosts(content)) === 'hello-world,hello-world-2');
+check('includeHidden lists every post', slugs(listPosts(content, { includeHidden: true })) === 'hello-world,secret,hello-world-2');
+check('slugs do not shift when a post is hidden', listPosts(content)[1].slug === listPosts(content, { includeHidden: true })[2].slug);
+check('a hidden post has no page', findPost(content, 'secret') === null);
+const match = findPost(content, 'hello-world');
+check('neighbours skip hidden posts', match.previous === null && match.next.id === 'post_3');
+
+const { posts, pagination } = queryPosts(content, { tag: 'ENGINES' });
+check('filtered listings leave hidden posts out', posts.length === 1 && posts[0].id === 'post_1' && pagination.total === 1);
+check('pagination counts visible posts only', queryPosts(content, { limit: 1 }).pagination.totalPages === 2);
+const facets = blogFacets(content);
+check('facets only count visible posts', facets.tags.find((tag) => tag.name === 'Engines').count === 1 && facets.archive.map((month) => month.name).join() === '2024-05,2024-04');
+
+const visible = publicContent(content);
+check('publicContent drops hidden posts', visible.blog.map((post) => post.id).join() === 'post_1,post_3');
+check('publicContent leaves the source untouched', content.blog.length === 4);
+check('publicContent passes content without a blog through', publicContent({ hero: {} }).hero !== undefined && publicContent(null) === null);
+
+report('Blog check');
@@ -0,0 +1,22 @@
+// Shared by the *-check.mjs scripts. `check(name, ok)` records one named
+// assertion; `report(title)` prints every failure (or the pass count) and
+// sets a failing exit code, so a single run shows everything that broke.
+export function createChecks() {
+  const results = [];
+  return {
+    check(name, ok) {
+      results.push([name, !!ok]);
+    },
+    report(title) {
+      const failures = results.filter(([, ok]) => !ok);
+      if (!failures.length) {
+        console.log(`${title} passed (${results.length} checks).`);
+        return true;
+      }
+      console.error(`${title} failed:`);
+      failures.forEach(([name]) => console.error(` - ${name}`));
+      process.exitCode = 1;
+      return false;
+    }
+  };
+}
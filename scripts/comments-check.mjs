@@ -0,0 +1,74 @@
+import { createChecks } from './checks.mjs';
+
+// Runs the comment service against the in-memory store: threads, the edit
+// window, ownership, moderation and blocking.
+Object.assign(process.env, { DB_DRIVER: 'memory' });
+delete process.env.ADMIN_PASSWORD;
+
+// Quiet the store's start-up and the moderation log lines
+const originalLog = console.log;
+console.log = () => {};
+
+const db = await import('../database.js');
+const comments = await import('../services/comments.js');
+
+const { check, report } = createChecks();
+const status = (promise) => promise.then(() => 200, (error) => error.statusCode);
+const ada = { email: 'Ada@Example.com', name: 'Ada' };
+const bob = { email: 'bob@example.com', name: 'Bob' };
+const later = (ms) => new Date(Date.now() + ms);
+
+try {
+  const root = await comments.addComment({ postId: 'p1', author: ada, body: '  First!  ' });
+  check('new comments wait for moderation', root.status === 'pending' && root.body === 'First!');
+  check('empty comments are refused', await status(comments.addComment({ postId: 'p1', author: ada, body: '   ' })) === 400);
+  check('readers do not see pending comments', (await comments.listThread('p1')).length === 0);
+  check('authors see their own pending comments', (await comments.listThread('p1', { viewer: 'ada@example.com' }))[0]?.mine === true);
+  check('replies to a pending comment are refused', await status(comments.addComment({ postId: 'p1', parentId: root.id, author: bob, body: 'Hi' })) === 400);
+
+  await comments.moderateComment(root.id, 'approved', 'admin');
+  const reply = await comments.addComment({ postId: 'p1', parentId: root.id, author: bob, body: 'Welcome', approved: true });
+  check('replies must stay on the same post', await status(comments.addComment({ postId: 'p2', parentId: root.id, author: bob, body: 'Hi' })) === 400);
+  const [thread] = await comments.listThread('p1');
+  check('replies are nested under their parent', thread.id === root.id && thread.replies.map((node) => node.id).join() === reply.id);
+  check('the author email is not exposed', !JSON.stringify(thread).includes('example.com'));
+
+  check('owners can edit inside the window', (await comments.editComment(root.id, ada.email, 'First, edited'))?.body === 'First, edited');
+  check('edits after the window are refused', await status(comments.editComment(root.id, ada.email, 'Too late', later(comments.COMMENT_EDIT_WINDOW_MS + 1000))) === 403);
+  check('canEdit turns off when the window closes', (await comments.listThread('p1', { viewer: ada.email, now: later(comments.COMMENT_EDIT_WINDOW_MS) }))[0].canEdit === false);
+  check('others cannot edit a comment', await status(comments.editComment(root.id, bob.email, 'Mine now')) === 403);
+  check('others cannot delete a comment', await status(comments.deleteOwnComment(root.id, bob.email)) === 403);
+
+  await comments.deleteOwnComment(root.id, ada.email);
+  const [placeholder] = await comments.listThread('p1');
+  check('deleting a comment with replies leaves a placeholder', placeholder.deleted && placeholder.body === '' && placeholder.authorName === null && placeholder.replies.length === 1);
+  check('a deleted comment cannot be edited', await status(comments.editComment(root.id, ada.email, 'Back')) === 404);
+  await comments.deleteOwnComment(reply.id, bob.email);
+  check('deleting a leaf removes it', (await db.getComment(reply.id)) === null);
+
+  const spam = await comments.addComment({ postId: 'p1', author: bob, body: 'Buy now' });
+  check('the queue lists pending comments', (await comments.listForModeration()).some((comment) => comment.id === spam.id));
+  await comments.moderateComment(spam.id, 'spam', 'admin');
+  check('moderation moves a comment between queues', !(await comments.listForModeration()).some((comment) => comment.id === spam.id)
+    && (await comments.listForModeration({ status: 'spam' }))[0]?.id === spam.id);
+  check('unknown statuses are refused', await status(comments.moderateComment(spam.id, 'hidden', 'admin')) === 400);
+  check('moderating an unknown comment is a 404', await status(comments.moderateComment('missing', 'approved', 'admin')) === 404);
+  const rejected = await comments.addComment({ postId: 'p1', author: bob, body: 'Later' });
+  await comments.moderateComment(rejected.id, 'rejected', 'admin');
+  check('rejected comments can no longer be edited', await status(comments.editComment(rejected.id, bob.email, 'Fixed')) === 403);
+
+  const queued = await comments.addComment({ postId: 'p1', author: bob, body: 'Still waiting' });
+  const block = await comments.blockCommenter(' BOB@example.com ', { reason: 'spam', blockedBy: 'admin' });
+  check('blocking normalises the address', block.email === 'bob@example.com');
+  check('blocking rejects the pending queue', (await db.getComment(queued.id)).status === 'rejected');
+  check('blocked commenters cannot post', await status(comments.addComment({ postId: 'p1', author: bob, body: 'Again' })) === 403);
+  check('blocking twice keeps one block', (await comments.blockCommenter(bob.email)).id === block.id && (await comments.listBlockedCommenters()).length === 1);
+  check('invalid addresses cannot be blocked', await status(comments.blockCommenter('nobody')) === 400);
+  await comments.unblockCommenter(block.id);
+  check('unblocked commenters can post again', (await comments.addComment({ postId: 'p1', author: bob, body: 'Sorry' })).status === 'pending');
+  check('unblocking an unknown block is a 404', await status(comments.unblockCommenter(block.id)) === 404);
+} finally {
+  console.log = originalLog;
+}
+
+report('Comments check');
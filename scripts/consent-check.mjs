@@ -0,0 +1,30 @@
+import { CONSENT_COOKIE, OPTIONAL_CATEGORIES, optedOutOfTracking, parseConsent, serializeConsent } from '../utils/consent.js';
+import { createChecks } from './checks.mjs';
+
+// The banner (src/consent.js) writes the cookie and server.js reads it before
+// recording analytics, so both sides must agree on what a value means.
+const { check, report } = createChecks();
+
+const blank = parseConsent(undefined);
+check('no cookie means undecided with everything optional off', !blank.decided && blank.necessary && OPTIONAL_CATEGORIES.every((category) => blank[category] === false));
+check('an empty cookie is the same as none', JSON.stringify(parseConsent('')) === JSON.stringify(blank));
+
+const chosen = parseConsent('analytics%3D1%26embeds%3D0');
+check('a stored choice parses', chosen.decided && chosen.analytics === true && chosen.embeds === false);
+check('a raw (unencoded) value parses too', parseConsent('analytics=0&embeds=1').embeds === true);
+check('only "1" switches a category on', parseConsent('analytics=true&embeds=yes').analytics === false && parseConsent('analytics=true').decided);
+check('unknown keys do not count as a decision', !parseConsent('marketing=1').decided);
+check('a malformed value falls back to undecided', !parseConsent('%E0%A4%A').decided);
+check('necessary cannot be switched off', parseConsent('necessary=0&analytics=0').necessary === true);
+
+const round = parseConsent(serializeConsent({ analytics: true, embeds: false }));
+check('serialize round-trips', round.decided && round.analytics && !round.embeds);
+check('serialize stores every optional category', OPTIONAL_CATEGORIES.every((category) => decodeURIComponent(serializeConsent({})).includes(`${category}=0`)));
+check('the cookie has a stable name', CONSENT_COOKIE === 'site_consent');
+
+check('DNT: 1 opts out', optedOutOfTracking('1', undefined));
+check('Sec-GPC: 1 opts out', optedOutOfTracking(undefined, '1'));
+check('navigator.globalPrivacyControl = true opts out', optedOutOfTracking(null, true));
+check('DNT: 0 or missing headers do not', !optedOutOfTracking('0', undefined) && !optedOutOfTracking(undefined, undefined) && !optedOutOfTracking('unspecified', 'false'));
+
+report('Consent check');
@@ -0,0 +1,85 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createChecks } from './checks.mjs';
+
+// The contact inbox on the in-memory store, with owner notifications written
+// to a temporary outbox by the file transport.
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'arya-contact-'));
+const outbox = path.join(dir, 'outbox');
+Object.assign(process.env, { DB_DRIVER: 'memory', EMAIL_ENABLED: 'true', MAIL_PROVIDER: 'file', MAIL_OUTBOX_DIR: outbox });
+delete process.env.ADMIN_PASSWORD;
+delete process.env.CONTACT_NOTIFY_EMAIL;
+delete process.env.ADMIN_EMAIL;
+
+// Quiet the store's start-up and the mailer's logging
+const originalLog = console.log;
+const originalError = console.error;
+console.log = () => {};
+console.error = () => {};
+
+const db = await import('../database.js');
+const { deleteMessage, listMessages, notifyOwner, submitMessage, updateMessage } = await import('../services/contact.js');
+const { publishNow } = await import('../services/publishing.js');
+
+const { check, report } = createChecks();
+const status = (promise) => promise.then(() => 200, (error) => error.statusCode);
+const form = { name: ' Ada ', email: ' Ada@Example.com ', subject: 'Hello', message: 'Nice site' };
+const readOutbox = async () => Promise.all((await fs.readdir(outbox)).sort().map(async (name) => JSON.parse(await fs.readFile(path.join(outbox, name), 'utf8'))));
+
+try {
+  const saved = await submitMessage(form, { ip: '203.0.113.9', userAgent: 'x'.repeat(400) });
+  check('submissions are trimmed and start unread', saved.name === 'Ada' && saved.email === 'ada@example.com' && saved.read === false && saved.archived === false);
+  check('the user agent is capped', saved.userAgent.length === 300 && saved.ip === '203.0.113.9');
+  check('name, email and message are required', await status(submitMessage({ ...form, name: ' ' })) === 400
+    && await status(submitMessage({ ...form, email: undefined })) === 400 && await status(submitMessage({ ...form, message: '' })) === 400);
+  check('malformed email addresses are refused', await status(submitMessage({ ...form, email: 'ada@example' })) === 400);
+  check('overlong fields are refused', await status(submitMessage({ ...form, message: 'x'.repeat(5001) })) === 400);
+  check('the subject is optional', (await submitMessage({ ...form, subject: undefined })).subject === '');
+
+  check('updates must be booleans', await status(updateMessage(saved.id, { read: 'yes' })) === 400);
+  check('empty updates are refused', await status(updateMessage(saved.id, {})) === 400);
+  check('unknown messages are a 404', await status(updateMessage('missing', { read: true })) === 404);
+  const replied = await updateMessage(saved.id, { replied: true });
+  check('marking replied stamps the time and reads the message', replied.read === true && typeof replied.repliedAt === 'string');
+  check('messages can be marked unread again', (await updateMessage(saved.id, { read: false })).read === false);
+  await updateMessage(saved.id, { archived: true });
+  const inbox = await listMessages();
+  const archived = await listMessages({ folder: 'archived' });
+  check('archiving moves a message out of the inbox', !inbox.messages.some((message) => message.id === saved.id) && archived.messages[0]?.id === saved.id);
+  check('the unread count ignores archived messages', inbox.unread === 1 && (await listMessages({ folder: 'all' })).messages.length === 2);
+  check('unknown folders are refused', await status(listMessages({ folder: 'spam' })) === 400);
+
+  const skipped = await notifyOwner(saved, { origin: 'https://arya.example' });
+  check('without an owner address nothing is sent', skipped.ok === false && skipped.skipped === true);
+
+  const draft = await db.getContentEntry();
+  await db.compareAndSetContent({ ...draft.value, contact: { ...draft.value.contact, email: 'owner@example.com' } }, draft.version);
+  await publishNow({ author: 'check' });
+  const sent = await notifyOwner(saved, { origin: 'https://arya.example' });
+  const [first] = await readOutbox();
+  check('the published contact address is notified', sent.ok === true && first.to === 'owner@example.com' && first.replyTo === 'ada@example.com');
+  check('a trusted origin adds the inbox link', first.text.includes('Admin inbox: https://arya.example/admin') && first.subject === 'New message: Hello');
+
+  process.env.CONTACT_NOTIFY_EMAIL = 'inbox@example.com';
+  await notifyOwner(saved, { origin: null });
+  const [, second] = await readOutbox();
+  check('CONTACT_NOTIFY_EMAIL takes precedence', second.to === 'inbox@example.com');
+  check('without an origin the link is left out', !second.text.includes('Admin inbox') && !second.html.includes('/admin'));
+
+  // Turn the outbox into a file so the next send fails
+  await fs.rm(outbox, { recursive: true });
+  await fs.writeFile(outbox, '');
+  const failed = await notifyOwner(saved, { origin: null });
+  check('a mailer failure is reported, not thrown', failed.ok === false && !failed.skipped && failed.provider === 'file' && typeof failed.error === 'string');
+
+  await deleteMessage(saved.id);
+  check('deleted messages are gone', (await listMessages({ folder: 'all' })).messages.length === 1);
+  check('deleting twice is a 404', await status(deleteMessage(saved.id)) === 404);
+} finally {
+  console.log = originalLog;
+  console.error = originalError;
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+report('Contact check');
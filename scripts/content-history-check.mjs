@@ -0,0 +1,75 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createAdapter } from '../storage/index.js';
+import { createChecks } from './checks.mjs';
+
+// Revision history against a throwaway SQLite file that starts out with
+// revisions in the old layout (snapshot inside each revision, random ids).
+// Settings are read when the modules load, so they are set before importing.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arya-history-'));
+const SQLITE_PATH = path.join(tmpDir, 'history.sqlite');
+Object.assign(process.env, { DB_DRIVER: 'sqlite', SQLITE_PATH, CONTENT_REVISION_LIMIT: '5' });
+delete process.env.ADMIN_PASSWORD;
+
+const originalLog = console.log;
+console.log = () => {};
+
+const { check, report } = createChecks();
+
+try {
+  const legacy = createAdapter('sqlite', { SQLITE_PATH });
+  await legacy.connect();
+  await legacy.setContent('site_content', { hero: { titlePrefix: 'Old' } });
+  await legacy.insertRecord('content_revisions', { number: 1, author: 'system', summary: 'Baseline', changeCount: 0, version: 0, content: { hero: { titlePrefix: 'Older' } } });
+  await legacy.insertRecord('content_revisions', { number: 2, author: 'ada', summary: 'Edited hero', changeCount: 1, version: 1, content: { hero: { titlePrefix: 'Old' } } });
+  await legacy.close();
+
+  const db = await import('../database.js');
+  const { commitContent, listRevisions, getRevision, diffRevisions, restoreRevision } = await import('../services/contentHistory.js');
+
+  const migrated = await listRevisions();
+  check('old revisions are kept', migrated.map((revision) => revision.number).join() === '2,1' && migrated[0].summary === 'Edited hero');
+  check('listed revisions carry no snapshot', migrated.every((revision) => !('content' in revision)));
+  check('old snapshots are still readable', (await getRevision(1))?.content.hero.titlePrefix === 'Older');
+  check('the counter starts after the old revisions', (await db.getLatestRevisionNumber()) === 2);
+
+  const base = (await db.getContent()) || {};
+  const save = (titlePrefix, author = 'ada') => commitContent({ ...base, hero: { ...base.hero, titlePrefix } }, { author });
+  const first = await save('One');
+  check('a save records the next number', first.revision?.number === 3 && !('content' in first.revision));
+  check('an unchanged save records nothing', (await save('One')).revision === null);
+
+  const diff = await diffRevisions(2);
+  check('diffs compare a snapshot with the live content', diff.changes.some((change) => change.path === 'hero.titlePrefix'));
+
+  const saves = await Promise.all(['Two', 'Three'].map((title) => save(title)));
+  check('a save that lost the race conflicts instead of recording', saves.filter((result) => result.conflict).length === 1);
+  await save('Four');
+  await save('Five');
+  await save('Six');
+  const numbers = (await listRevisions()).map((revision) => revision.number);
+  check('only the newest CONTENT_REVISION_LIMIT revisions are kept', numbers.join() === '7,6,5,4,3');
+  check('pruned snapshots are gone', (await getRevision(1)) === null && (await getRevision(2)) === null);
+  check('revision numbers stay unique', new Set(numbers).size === numbers.length);
+
+  const restored = await restoreRevision(3, { author: 'grace' });
+  check('restoring records a new revision', restored.revision.number === 8 && restored.content.hero.titlePrefix === 'One');
+  check('a pruned revision cannot be restored', (await restoreRevision(1)) === null);
+
+  await db.addContentRevision({ number: 9, author: 'racer', summary: 'Claimed elsewhere', changeCount: 0, version: 0, content: {} });
+  check('a number taken by a concurrent save is skipped', (await save('Seven')).revision.number === 10);
+  let duplicateRejected = false;
+  try {
+    await db.addContentRevision({ number: 9, author: 'racer', summary: 'Again', changeCount: 0, version: 0, content: {} });
+  } catch {
+    duplicateRejected = true;
+  }
+  check('a revision number cannot be stored twice', duplicateRejected);
+} finally {
+  console.log = originalLog;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+report('Content history check');
+process.exit();
@@ -0,0 +1,41 @@
+import { COLLECTIONS, assignItemIds, hasMissingIds, newItemId } from '../utils/contentItems.js';
+import { createChecks } from './checks.mjs';
+
+// Collection items are addressed by id in /api/content/:collection/:id, so
+// every save must leave each collection with unique, stable ids.
+const { check, report } = createChecks();
+const ids = (items) => items.map((item) => item.id);
+
+const id = newItemId('projects');
+check('newItemId uses the collection prefix', new RegExp(`^${COLLECTIONS.projects}_[0-9a-f]{10}$`).test(id));
+check('newItemId avoids taken ids', newItemId('blog', [{ id: 'post_0000000000' }]) !== 'post_0000000000');
+
+const kept = { id: 'proj_keep', title: 'Kept' };
+const content = {
+  hero: { title: 'Hi' },
+  projects: [kept, { title: 'New' }, { id: 'proj_dup', title: 'Original' }, { id: 'proj_dup', title: 'Copy' }],
+  skills: [{ id: '', category: 'Blank id' }],
+  blog: 'not an array'
+};
+const result = assignItemIds(content);
+const [first, fresh, original, copy] = result.projects;
+
+check('existing ids are kept', first === kept);
+check('missing ids are filled in', typeof fresh.id === 'string' && fresh.id.startsWith(`${COLLECTIONS.projects}_`) && fresh.title === 'New');
+check('the first of a duplicated id keeps it', original.id === 'proj_dup' && original.title === 'Original');
+check('a copied item gets a fresh id', copy.id !== 'proj_dup' && copy.id.startsWith(`${COLLECTIONS.projects}_`) && copy.title === 'Copy');
+check('ids are unique within a collection', new Set(ids(result.projects)).size === result.projects.length);
+check('blank ids are replaced', result.skills[0].id.startsWith(`${COLLECTIONS.skills}_`));
+check('the input is not mutated', content.projects[1].id === undefined && content.projects[3].id === 'proj_dup');
+check('other sections pass through', result.hero === content.hero && result.blog === 'not an array');
+
+const looked = assignItemIds({ blog: [{ title: 'Post' }] }, (collection, item) => (collection === 'blog' && item.title === 'Post' ? 'post_known' : undefined));
+check('lookupId supplies ids for items without one', looked.blog[0].id === 'post_known');
+const lookedDup = assignItemIds({ blog: [{ id: 'post_known' }, { title: 'Post' }] }, () => 'post_known');
+check('a looked-up id that is taken is replaced', lookedDup.blog[1].id !== 'post_known');
+
+check('hasMissingIds spots items without ids', hasMissingIds(content) && !hasMissingIds(result));
+check('hasMissingIds ignores non-item entries', !hasMissingIds({ projects: [null, 'x'], blog: {} }));
+check('assignItemIds passes non-objects through', assignItemIds(null) === null);
+
+report('Content items check');
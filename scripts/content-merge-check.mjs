@@ -0,0 +1,85 @@
+import { diffContent, findConflicts, mergeContent } from '../utils/contentDiff.js';
+import { applyMergePatch, createMergePatch } from '../utils/jsonPatch.js';
+import { createChecks } from './checks.mjs';
+
+// A save that hits 409 is merged in the admin (handleSaveConflict): edits on
+// different fields are replayed on top of the newer version and saved again,
+// overlapping ones are shown as conflicts. Collection items match by id.
+const { check, report } = createChecks();
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const titles = (doc) => doc.projects.map((project) => project.title).join();
+
+const base = {
+  hero: { title: 'Hi', subtitle: 'Sub' },
+  projects: [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }, { id: 'c', title: 'C' }],
+  about: { enjoyList: ['x', 'y'] }
+};
+const edit = (changes) => ({ ...structuredClone(base), ...changes });
+
+// Different fields
+const mineHero = edit({ hero: { title: 'Hello', subtitle: 'Sub' } });
+const theirsHero = edit({ hero: { title: 'Hi', subtitle: 'Subtitle' } });
+check('edits to different fields do not conflict', findConflicts(base, mineHero, theirsHero).length === 0);
+check('edits to different fields are both kept', same(mergeContent(base, mineHero, theirsHero).hero, { title: 'Hello', subtitle: 'Subtitle' }));
+
+// Same field
+const theirsTitle = edit({ hero: { title: 'Hey', subtitle: 'Sub' } });
+const [conflict] = findConflicts(base, mineHero, theirsTitle);
+check('the same field changed differently is a conflict', conflict?.path === 'hero.title' && conflict.base === 'Hi' && conflict.mine === 'Hello' && conflict.theirs === 'Hey');
+check('conflicts keep theirs by default', mergeContent(base, mineHero, theirsTitle).hero.title === 'Hey');
+check('resolutions can choose mine', mergeContent(base, mineHero, theirsTitle, { 'hero.title': 'mine' }).hero.title === 'Hello');
+check('the same change on both sides is no conflict', findConflicts(base, mineHero, mineHero).length === 0);
+
+// Theirs inserts an item, mine edits one that moved
+const theirsInsert = edit({ projects: [{ id: 'n', title: 'New' }, ...base.projects] });
+const mineEditB = edit({ projects: [base.projects[0], { id: 'b', title: 'B2' }, base.projects[2]] });
+check('an insert before an edited item is no conflict', findConflicts(base, mineEditB, theirsInsert).length === 0);
+check('the edit lands on the same item after their insert', titles(mergeContent(base, mineEditB, theirsInsert)) === 'New,A,B2,C');
+
+// Theirs removes an item, mine edits a later one
+const theirsRemove = edit({ projects: base.projects.slice(1) });
+const mineEditC = edit({ projects: [base.projects[0], base.projects[1], { id: 'c', title: 'C2' }] });
+check('a removal before an edited item is no conflict', findConflicts(base, mineEditC, theirsRemove).length === 0);
+check('their removal and my edit are both kept', titles(mergeContent(base, mineEditC, theirsRemove)) === 'B,C2');
+
+// Mine inserts and removes
+const mineInsert = edit({ projects: [base.projects[0], { id: 'm', title: 'Mine' }, ...base.projects.slice(1)] });
+const theirsEditA = edit({ projects: [{ id: 'a', title: 'A2' }, ...base.projects.slice(1)] });
+check('my insert is placed after its neighbour', titles(mergeContent(base, mineInsert, theirsEditA)) === 'A2,Mine,B,C');
+const mineRemove = edit({ projects: [base.projects[0], base.projects[2]] });
+check('my removal is replayed', titles(mergeContent(base, mineRemove, theirsEditA)) === 'A2,C');
+check('both sides inserting keeps both items', titles(mergeContent(base, mineInsert, theirsInsert)) === 'New,A,Mine,B,C');
+
+// Delete vs edit
+const theirsEditB = edit({ projects: [base.projects[0], { id: 'b', title: 'B3' }, base.projects[2]] });
+const deleted = findConflicts(base, mineRemove, theirsEditB);
+check('deleting an item they edited is a conflict', deleted.length === 1 && deleted[0].path === 'projects[b]' && deleted[0].mine === undefined && deleted[0].theirs.title === 'B3');
+check('delete vs edit keeps their item by default', titles(mergeContent(base, mineRemove, theirsEditB)) === 'A,B3,C');
+check('choosing mine deletes the item', titles(mergeContent(base, mineRemove, theirsEditB, { 'projects[b]': 'mine' })) === 'A,C');
+const editVsDelete = findConflicts(base, mineEditC, edit({ projects: base.projects.slice(0, 2) }));
+check('editing an item they deleted is a conflict', editVsDelete.length === 1 && editVsDelete[0].theirs === undefined && editVsDelete[0].mine.title === 'C2');
+check('choosing mine keeps my edited item', titles(mergeContent(base, mineEditC, edit({ projects: base.projects.slice(0, 2) }), { 'projects[c]': 'mine' })) === 'A,B,C2');
+check('deleting a field they changed is a conflict', findConflicts(base, edit({ hero: { title: 'Hi' } }), theirsHero)[0]?.path === 'hero.subtitle');
+
+// Arrays without ids fall back to positions
+const mineList = edit({ about: { enjoyList: ['x', 'y', 'z'] } });
+const theirsList = edit({ about: { enjoyList: ['x2', 'y'] } });
+check('id-less arrays merge by position', same(mergeContent(base, mineList, theirsList).about.enjoyList, ['x2', 'y', 'z']));
+check('id-less arrays conflict by position', findConflicts(base, edit({ about: { enjoyList: ['x3', 'y'] } }), theirsList)[0]?.path === 'about.enjoyList[0]');
+
+// Reordering
+const mineOrder = edit({ projects: [base.projects[2], base.projects[0], base.projects[1]] });
+check('my reordering survives their edit', titles(mergeContent(base, mineOrder, theirsEditA)) === 'C,A2,B');
+
+// The 409 flow: merge against the saved version, then re-save a patch on top of it
+const saved = mergeContent(base, mineEditB, theirsInsert);
+const resaved = applyMergePatch(theirsInsert, createMergePatch(theirsInsert, saved));
+check('the re-saved patch applies my edit on top of theirs', same(resaved, saved) && resaved.projects[2].title === 'B2' && resaved.projects[1].title === 'A');
+
+// History diffs follow ids too
+const diff = diffContent(base, theirsInsert);
+check('diffs report an insert once, not every shifted item', diff.length === 1 && diff[0].op === 'added' && diff[0].path === 'projects[n]');
+check('diffs report edits by item id', same(diffContent(base, mineEditB).map((change) => change.path), ['projects[b].title']));
+check('diffs report a reorder', diffContent(base, mineOrder).some((change) => change.op === 'reordered' && change.path === 'projects'));
+
+report('Content merge check');
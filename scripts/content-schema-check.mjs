@@ -0,0 +1,71 @@
+import { createChecks } from './checks.mjs';
+
+// Schema validation on its own and through commitContent on the in-memory
+// store, including documents saved before a rule existed.
+Object.assign(process.env, { DB_DRIVER: 'memory' });
+delete process.env.ADMIN_PASSWORD;
+
+// Quiet the store's start-up logging
+const originalLog = console.log;
+console.log = () => {};
+
+const db = await import('../database.js');
+const { commitContent } = await import('../services/contentHistory.js');
+const { validateContent, validateContentUpdate } = await import('../utils/contentSchema.js');
+
+const { check, report } = createChecks();
+const paths = (errors) => errors.map((error) => error.path).join();
+const valid = {
+  hero: { titlePrefix: 'Hi', image: '/media/me.png', buttons: [{ text: 'Contact', link: '#contact' }] },
+  projects: [{ title: 'Site', tags: ['web'], link: 'https://example.com', featured: true }],
+  skills: [{ category: 'Languages', items: ['JS', 'Go'] }, { category: 'Tools', items: 'git, make' }],
+  blog: [{ title: 'Hello', slug: 'hello', video: 'https://youtu.be/dQw4w9WgXcQ', published: false }],
+  customSections: [{ id: 'talks', title: 'Talks', enabled: 'true' }],
+  theme: { primary: '#00f3ff' },
+  legacyField: { kept: true }
+};
+
+try {
+  check('a valid document passes', validateContent(valid).length === 0);
+  check('an empty document passes', validateContent({}).length === 0);
+
+  const invalid = validateContent({
+    hero: { image: 'javascript:alert(1)', buttons: [{ link: '#top' }] },
+    projects: [{ title: '  ' }, 'not an item'],
+    blog: [{ title: 'Post', slug: 'Not A Slug', video: 'https://evil.example/clip' }],
+    customSections: [{ id: '1x', title: 'Bad', style: 'neon' }],
+    theme: { primary: 'blue' }
+  });
+  check('invalid values are reported by path', paths(invalid) === [
+    'hero.image', 'hero.buttons[0].text', 'projects[0].title', 'projects[1]',
+    'blog[0].slug', 'blog[0].video', 'customSections[0].id', 'customSections[0].style', 'theme.primary'
+  ].join());
+  check('errors explain what is wrong', invalid.find((error) => error.path === 'projects[1]').message === 'must be a object, got string'
+    && invalid.find((error) => error.path === 'projects[0].title').message === 'is required');
+  check('a non-object document is refused', validateContent([])[0]?.message === 'must be a object, got array');
+
+  const legacy = { ...valid, blog: [{ id: 'old', title: 'Old', video: 'https://old-host.example/clip.flv' }] };
+  const edit = { ...legacy, hero: { ...legacy.hero, titlePrefix: 'Hello' } };
+  const update = validateContentUpdate(legacy, edit);
+  check('errors the stored document already had are warnings', update.errors.length === 0 && paths(update.warnings) === 'blog[0].video');
+  const moved = validateContentUpdate(legacy, { ...legacy, blog: [{ title: 'New' }, ...legacy.blog] });
+  check('a legacy item stays a warning when it moves', moved.errors.length === 0 && paths(moved.warnings) === 'blog[1].video');
+  const changed = validateContentUpdate(legacy, { ...legacy, blog: [{ ...legacy.blog[0], video: 'https://other.example/clip' }] });
+  check('changing a legacy value to another bad one is an error', paths(changed.errors) === 'blog[0].video' && changed.warnings.length === 0);
+  const added = validateContentUpdate(legacy, { ...legacy, blog: [...legacy.blog, { title: 'New', video: 'https://evil.example/clip' }] });
+  check('new invalid values are errors next to legacy warnings', paths(added.errors) === 'blog[1].video' && paths(added.warnings) === 'blog[0].video');
+  check('without a stored document every error counts', validateContentUpdate(null, legacy).errors.length === 1);
+
+  await db.setContent(legacy);
+  const saved = await commitContent(edit, { author: 'check' });
+  check('commitContent saves around a legacy field', saved.revision && saved.content.hero.titlePrefix === 'Hello' && paths(saved.warnings) === 'blog[0].video');
+  const refused = await commitContent({ ...edit, theme: { primary: 'red' } }, { author: 'check' });
+  check('commitContent refuses new invalid values', paths(refused.invalid || []) === 'theme.primary');
+  check('a refused save leaves the content alone', (await db.getContent()).theme.primary === '#00f3ff');
+  const fixed = await commitContent({ ...edit, blog: [{ ...edit.blog[0], video: '' }] }, { author: 'check' });
+  check('fixing the legacy field clears the warning', fixed.revision && fixed.warnings.length === 0);
+} finally {
+  console.log = originalLog;
+}
+
+report('Content schema check');
@@ -0,0 +1,63 @@
+import { createChecks } from './checks.mjs';
+
+// Reactions and bookmarks against the in-memory store, including requests
+// that arrive at the same time. The store is chosen when database.js loads,
+// so the environment is set before importing.
+Object.assign(process.env, { DB_DRIVER: 'memory' });
+delete process.env.ADMIN_PASSWORD;
+
+const originalLog = console.log;
+console.log = () => {};
+
+const db = await import('../database.js');
+const { getEngagement, listSaved, setBookmark, setReaction } = await import('../services/engagement.js');
+
+const { check, report } = createChecks();
+const statusOf = async (promise) => {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.statusCode ?? 'threw';
+  }
+};
+
+const content = {
+  blog: [{ id: 'post_1', title: 'Hello', slug: 'hello' }, { id: 'post_2', title: 'Hidden', slug: 'hidden', published: false }],
+  projects: [{ id: 'proj_1', title: 'Engine', slug: 'engine', description: 'A game engine' }]
+};
+const ada = { type: 'blog', itemId: 'post_1', userEmail: 'ada@example.com' };
+const grace = { ...ada, userEmail: 'grace@example.com' };
+
+try {
+  const burst = await Promise.all(Array.from({ length: 5 }, () => setReaction(content, ada, true)));
+  check('concurrent reactions from one account count once', burst.every((result) => result.reactions === 1));
+  check('one reaction is stored', (await db.listReactions({ itemId: 'post_1' })).length === 1);
+  check('other accounts add to the count', (await setReaction(content, grace, true)).reactions === 2);
+
+  const engagement = await getEngagement('ada@example.com');
+  check('counts are keyed by type and item', engagement['blog:post_1'].reactions === 2 && engagement['blog:post_1'].reacted);
+  check('other viewers do not see it as theirs', !(await getEngagement('eve@example.com'))['blog:post_1'].reacted);
+
+  await db.addReaction(ada);
+  check('storing the same reaction again keeps one', (await db.listReactions(ada)).length === 1);
+
+  check('removing a reaction uncounts it', (await setReaction(content, ada, false)).reactions === 1);
+  check('removing twice is harmless', (await setReaction(content, ada, false)).reactions === 1);
+
+  check('hidden posts cannot be reacted to', (await statusOf(setReaction(content, { ...ada, itemId: 'post_2' }, true))) === 404);
+  check('unknown types are refused', (await statusOf(setReaction(content, { ...ada, type: 'skills' }, true))) === 404);
+
+  const project = { type: 'projects', itemId: 'proj_1', userEmail: 'ada@example.com' };
+  await Promise.all([setBookmark(content, project, true), setBookmark(content, project, true), setBookmark(content, ada, true)]);
+  const saved = await listSaved(content, 'ada@example.com');
+  check('concurrent bookmarks are stored once', (await db.listBookmarks({ userEmail: 'ada@example.com' })).length === 2 && saved.length === 2);
+  check('saved items link to their page', saved.some((item) => item.link === '/projects/engine' && item.summary === 'A game engine'));
+  await setBookmark(content, project, false);
+  check('removing a bookmark drops it from the list', (await listSaved(content, 'ada@example.com')).map((item) => item.itemId).join() === 'post_1');
+  check('saved items removed from the site are left out', (await listSaved({ blog: [] }, 'ada@example.com')).length === 0);
+} finally {
+  console.log = originalLog;
+}
+
+report('Engagement check');
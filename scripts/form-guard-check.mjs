@@ -0,0 +1,80 @@
+import { createChecks } from './checks.mjs';
+
+// Runs screenSubmission end to end against the in-memory store. Settings are
+// read when the modules load, so they are set before importing them.
+Object.assign(process.env, { DB_DRIVER: 'memory', FORM_MIN_SECONDS: '0.05', BLOCKED_EMAIL_DOMAINS: 'blocked.example' });
+delete process.env.ADMIN_PASSWORD;
+
+// Quiet the store's start-up and the guard's per-rejection logging
+const originalLog = console.log;
+console.log = () => {};
+
+const { HONEYPOT_FIELD, TOKEN_FIELD, FORM_RULES, issueFormToken, isDisposableEmail, listRejections, screenSubmission, spamScore } = await import('../services/formGuard.js');
+
+const secret = 'form-guard-check';
+const { check, report } = createChecks();
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const outcome = async (promise) => {
+  try {
+    await promise;
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, status: error.statusCode, retryAfter: error.retryAfter, message: error.message };
+  }
+};
+
+try {
+  const token = issueFormToken(secret);
+  await wait(60);
+  let n = 0;
+  // A fresh visitor with a fresh message each time, so only the check under test can fire
+  const submit = (form, overrides = {}) => {
+    n += 1;
+    return outcome(screenSubmission(form, {
+      body: { [TOKEN_FIELD]: token, ...overrides.body },
+      ip: overrides.ip ?? `10.0.0.${n}`,
+      email: overrides.email ?? `visitor${n}@example.com`,
+      text: overrides.text ?? `Hello there, message number ${n}.`,
+      name: 'Visitor',
+      userAgent: 'check',
+      secret
+    }));
+  };
+
+  check('a clean submission passes', (await submit('contact')).ok);
+  check('a filled honeypot is rejected', (await submit('contact', { body: { [HONEYPOT_FIELD]: 'http://spam.example' } })).status === 400);
+  check('a blank honeypot passes', (await submit('contact', { body: { [HONEYPOT_FIELD]: '  ' } })).ok);
+  check('a missing token is rejected', (await submit('contact', { body: { [TOKEN_FIELD]: undefined } })).status === 400);
+  check('a forged token is rejected', (await submit('contact', { body: { [TOKEN_FIELD]: `${Date.now().toString(36)}.forged` } })).status === 400);
+  check('a token from another secret is rejected', (await submit('contact', { body: { [TOKEN_FIELD]: issueFormToken('other-secret') } })).status === 400);
+  check('a submission straight after the token is rejected', (await submit('contact', { body: { [TOKEN_FIELD]: issueFormToken(secret) } })).message.includes('quick'));
+
+  const ipRule = FORM_RULES.contact.ip;
+  for (let i = 0; i < ipRule.max; i++) await submit('contact', { ip: '192.0.2.1' });
+  const ipLimited = await submit('contact', { ip: '192.0.2.1' });
+  check('the per-IP limit answers 429', ipLimited.status === 429);
+  check('a rate limit says when to retry', ipLimited.retryAfter > 0 && ipLimited.retryAfter <= ipRule.windowMs / 1000);
+  check('other IPs are unaffected', (await submit('contact', { ip: '192.0.2.2' })).ok);
+  check('limits are kept per form', (await submit('newsletter', { ip: '192.0.2.1', text: '' })).ok);
+
+  const emailRule = FORM_RULES.contact.email;
+  for (let i = 0; i < emailRule.max; i++) await submit('contact', { email: 'ada@example.com' });
+  check('the per-email limit answers 429', (await submit('contact', { email: 'ADA@example.com' })).status === 429);
+  await submit('contact', { email: 'ada@example.com' });
+
+  check('disposable domains are rejected', (await submit('contact', { email: 'x@sub.mailinator.com' })).status === 400);
+  check('BLOCKED_EMAIL_DOMAINS adds domains', isDisposableEmail('x@blocked.example') && !isDisposableEmail('x@example.com'));
+  await submit('contact', { email: 'same@example.com', text: 'A very specific note.' });
+  check('a repeated message is rejected', (await submit('contact', { email: 'same@example.com', text: '  a VERY specific   note. ' })).status === 400);
+  const spam = 'Buy now! Click here for cheap viagra http://a.example http://b.example http://c.example';
+  check('spammy text scores above the threshold', spamScore({ text: spam }).score >= 5 && spamScore({ text: 'Loved your game engine post.' }).score === 0);
+  check('spammy text is rejected', (await submit('contact', { text: spam })).status === 400);
+
+  const { counts } = await listRejections({ form: 'contact' });
+  check('every rejection is logged by reason', counts.honeypot === 1 && counts['invalid-token'] === 3 && counts['too-fast'] === 1 && counts['disposable-email'] === 1 && counts.duplicate === 1 && counts['spam-score'] === 1);
+  check('a burst of rate-limited attempts is logged once per key', counts['rate-limit'] === 2);
+} finally {
+  console.log = originalLog;
+}
+
+report('Form guard check');
@@ -0,0 +1,64 @@
+import { applyJsonPatch, applyMergePatch, createMergePatch } from '../utils/jsonPatch.js';
+import { createChecks } from './checks.mjs';
+
+// PATCH /api/content applies these to the draft document, so edge cases here
+// decide what a client can do to stored content (or to the process).
+const { check, report } = createChecks();
+const statusOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.statusCode ?? 'threw';
+  }
+};
+
+const doc = { hero: { title: 'Hi' }, projects: [{ title: 'One' }, { title: 'Two' }], 'a/b': 1, 'm~n': 2 };
+
+const added = applyJsonPatch(doc, [{ op: 'add', path: '/hero/subtitle', value: 'There' }]);
+check('add sets a new key', added.hero.subtitle === 'There');
+check('input document is left untouched', !('subtitle' in doc.hero));
+check('add inserts into arrays', applyJsonPatch(doc, [{ op: 'add', path: '/projects/1', value: { title: 'Mid' } }]).projects[1].title === 'Mid');
+check('add with "-" appends', applyJsonPatch(doc, [{ op: 'add', path: '/projects/-', value: { title: 'End' } }]).projects[2].title === 'End');
+check('escaped tokens resolve', applyJsonPatch(doc, [{ op: 'replace', path: '/a~1b', value: 3 }, { op: 'remove', path: '/m~0n' }])['a/b'] === 3);
+check('remove deletes array items', applyJsonPatch(doc, [{ op: 'remove', path: '/projects/0' }]).projects[0].title === 'Two');
+const moved = applyJsonPatch(doc, [{ op: 'move', from: '/projects/0', path: '/projects/-' }]);
+check('move relocates values', moved.projects[0].title === 'Two' && moved.projects[1].title === 'One');
+check('copy duplicates values', applyJsonPatch(doc, [{ op: 'copy', from: '/hero', path: '/footer' }]).footer.title === 'Hi');
+check('root replace swaps the document', applyJsonPatch(doc, [{ op: 'replace', path: '', value: { n: 1 } }]).n === 1);
+
+check('non-array body is a 400', statusOf(() => applyJsonPatch(doc, { op: 'add' })) === 400);
+check('unknown op is a 400', statusOf(() => applyJsonPatch(doc, [{ op: 'merge', path: '/hero' }])) === 400);
+check('missing value is a 400', statusOf(() => applyJsonPatch(doc, [{ op: 'add', path: '/x' }])) === 400);
+check('pointer without leading slash is a 400', statusOf(() => applyJsonPatch(doc, [{ op: 'remove', path: 'hero' }])) === 400);
+check('missing path is a 422', statusOf(() => applyJsonPatch(doc, [{ op: 'remove', path: '/nope' }])) === 422);
+check('missing parent is a 422', statusOf(() => applyJsonPatch(doc, [{ op: 'add', path: '/nope/x', value: 1 }])) === 422);
+check('array index out of range is a 422', statusOf(() => applyJsonPatch(doc, [{ op: 'replace', path: '/projects/5', value: 1 }])) === 422);
+check('leading-zero index is a 422', statusOf(() => applyJsonPatch(doc, [{ op: 'remove', path: '/projects/01' }])) === 422);
+check('moving into a child is a 422', statusOf(() => applyJsonPatch(doc, [{ op: 'move', from: '/hero', path: '/hero/inner' }])) === 422);
+check('failed test is a 409', statusOf(() => applyJsonPatch(doc, [{ op: 'test', path: '/hero/title', value: 'Bye' }])) === 409);
+check('passing test applies', statusOf(() => applyJsonPatch(doc, [{ op: 'test', path: '/hero', value: { title: 'Hi' } }])) === null);
+
+const before = JSON.stringify(doc);
+check('a failing operation applies nothing', statusOf(() => applyJsonPatch(doc, [{ op: 'remove', path: '/hero' }, { op: 'remove', path: '/nope' }])) === 422 && JSON.stringify(doc) === before);
+
+// Inherited properties are not part of the document
+check('inherited keys are not found', statusOf(() => applyJsonPatch(doc, [{ op: 'remove', path: '/toString' }])) === 422);
+check('inherited keys cannot be tested', statusOf(() => applyJsonPatch(doc, [{ op: 'test', path: '/hero/hasOwnProperty', value: null }])) === 422);
+['/__proto__/polluted', '/constructor/prototype/polluted', '/hero/__proto__', '/prototype'].forEach((path) => {
+  check(`"${path}" is a 400`, statusOf(() => applyJsonPatch(doc, [{ op: 'add', path, value: 1 }])) === 400);
+});
+check('"from" cannot name the prototype', statusOf(() => applyJsonPatch(doc, [{ op: 'copy', from: '/__proto__', path: '/copy' }])) === 400);
+check('merge patch rejects __proto__', statusOf(() => applyMergePatch(doc, JSON.parse('{"__proto__":{"polluted":1}}'))) === 400);
+check('Object.prototype stays clean', !('polluted' in {}) && Object.prototype.polluted === undefined);
+
+const merged = applyMergePatch(doc, { hero: { title: null, subtitle: 'There' }, projects: [] });
+check('merge patch deletes nulls and merges objects', !('title' in merged.hero) && merged.hero.subtitle === 'There');
+check('merge patch replaces arrays', Array.isArray(merged.projects) && merged.projects.length === 0);
+const changed = { ...doc, hero: { title: 'Bye' }, 'a/b': undefined };
+delete changed['a/b'];
+const patch = createMergePatch(doc, changed);
+check('createMergePatch is minimal', JSON.stringify(patch) === JSON.stringify({ 'a/b': null, hero: { title: 'Bye' } }));
+check('createMergePatch round-trips', JSON.stringify(applyMergePatch(doc, patch)) === JSON.stringify(changed));
+
+report('JSON Patch check');
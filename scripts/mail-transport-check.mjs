@@ -0,0 +1,67 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createTransport } from '../mail/index.js';
+import { createChecks } from './checks.mjs';
+
+// Transports must accept the same message shape and report failures by
+// throwing; sendMail turns both into structured results. Nothing here
+// reaches the network: SMTP is pointed at a closed local port.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arya-mail-'));
+const outbox = path.join(tmpDir, 'outbox');
+const message = { from: 'Arya <site@example.com>', to: 'ada@example.com', subject: 'Hello', html: '<p>Hi</p>', text: 'Hi', replyTo: 'grace@example.com' };
+
+const { check, report } = createChecks();
+const throws = async (fn) => {
+  try {
+    await fn();
+    return false;
+  } catch {
+    return true;
+  }
+};
+
+const originalLog = console.log;
+const originalError = console.error;
+try {
+  check('unknown provider rejected', await throws(() => createTransport('pigeon', {})));
+  check('resend needs an API key', await throws(() => createTransport('resend', {})));
+  check('smtp needs a host', await throws(() => createTransport('smtp', {})));
+  check('SMTP_HOST selects smtp by default', createTransport(undefined, { SMTP_HOST: 'localhost' }).name === 'smtp');
+  check('resend is the fallback default', createTransport(undefined, { RESEND_API_KEY: 'key' }).name === 'resend');
+
+  const file = createTransport('file', { MAIL_OUTBOX_DIR: outbox });
+  const { id } = await file.send(message);
+  const written = JSON.parse(fs.readFileSync(path.join(outbox, id), 'utf8'));
+  check('file transport writes the message', written.to === 'ada@example.com' && written.subject === 'Hello' && written.replyTo === 'grace@example.com');
+
+  const printed = [];
+  console.log = (...args) => printed.push(args.join(' '));
+  const consoleResult = await createTransport('console', {}).send(message);
+  console.log = originalLog;
+  check('console transport prints the message', printed.join('\n').includes('Subject: Hello') && consoleResult.id.startsWith('console-'));
+
+  const smtp = createTransport('smtp', { SMTP_HOST: '127.0.0.1', SMTP_PORT: '1' });
+  check('smtp transport throws when the server is unreachable', await throws(() => smtp.send(message)));
+
+  // sendMail reads its settings from the environment on first use
+  Object.assign(process.env, { MAIL_PROVIDER: 'file', MAIL_OUTBOX_DIR: outbox, MAIL_FROM: 'Arya <site@example.com>', EMAIL_ENABLED: 'false' });
+  console.log = () => {};
+  console.error = () => {};
+  const { sendMail, isMailConfigured } = await import('../services/mailer.js');
+  const skipped = await sendMail({ to: 'ada@example.com', subject: 'Hello', text: 'Hi' });
+  check('sendMail skips when EMAIL_ENABLED is off', !skipped.ok && skipped.skipped && !isMailConfigured());
+
+  process.env.EMAIL_ENABLED = 'true';
+  const sent = await sendMail({ to: 'ada@example.com', subject: 'Hello', text: 'Hi' });
+  check('sendMail reports success with an id', sent.ok && sent.provider === 'file' && fs.existsSync(path.join(outbox, sent.id)));
+  check('sendMail uses MAIL_FROM', JSON.parse(fs.readFileSync(path.join(outbox, sent.id), 'utf8')).from === 'Arya <site@example.com>');
+  const invalid = await sendMail({ to: '', subject: 'Hello', text: 'Hi' });
+  check('sendMail refuses messages without a recipient', !invalid.ok && !invalid.skipped && invalid.error);
+} finally {
+  console.log = originalLog;
+  console.error = originalError;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+report('Mail transport check');
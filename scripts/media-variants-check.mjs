@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { createChecks } from './checks.mjs';
+
+// Uploads a real image into a temporary media folder on the in-memory store
+// and checks the resized copies and the <img> markup built from them.
+// Settings are read when the modules load, so they are set before importing.
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'arya-media-'));
+Object.assign(process.env, { DB_DRIVER: 'memory', MEDIA_DIR: dir });
+delete process.env.ADMIN_PASSWORD;
+
+// Quiet the store's start-up logging
+const originalLog = console.log;
+console.log = () => {};
+
+const { MEDIA_WIDTHS, deleteMedia, responsiveImages, saveUpload } = await import('../services/media.js');
+const { imageInfo } = await import('../utils/imageInfo.js');
+const { responsiveImage } = await import('../utils/responsiveImage.js');
+
+const { check, report } = createChecks();
+const status = (promise) => promise.then(() => 200, (error) => error.statusCode);
+const exists = (filename) => fs.access(path.join(dir, filename)).then(() => true, () => false);
+const image = (width, height, format) => sharp({ create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } } }).toFormat(format).toBuffer();
+
+try {
+  const png = await image(700, 400, 'png');
+  check('imageInfo reads PNG size from the header', JSON.stringify(imageInfo(png)) === JSON.stringify({ type: 'image/png', ext: 'png', width: 700, height: 400 }));
+  const jpeg = imageInfo(await image(33, 21, 'jpeg'));
+  const gif = imageInfo(await image(12, 8, 'gif'));
+  const webp = imageInfo(await image(50, 30, 'webp'));
+  check('imageInfo reads JPEG, GIF and WebP sizes', jpeg.width === 33 && jpeg.height === 21 && gif.type === 'image/gif' && gif.width === 12 && webp.ext === 'webp' && webp.height === 30);
+  check('imageInfo refuses SVG and text', imageInfo(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')) === null && imageInfo(Buffer.from('hello')) === null);
+  check('a truncated header keeps the type without a size', imageInfo(png.subarray(0, 12))?.width === null);
+
+  const media = await saveUpload(png, { originalName: 'red.png', alt: 'Red', uploadedBy: 'check' });
+  const smaller = MEDIA_WIDTHS.filter((width) => width < 700);
+  const ofType = (type) => media.variants.filter((variant) => variant.type === type).map((variant) => variant.width);
+  check('only widths below the original are made', ofType('image/png').join() === smaller.join());
+  check('WebP copies include the full width', ofType('image/webp').join() === [...smaller, 700].join());
+  check('variants keep the aspect ratio', media.variants.every((variant) => Math.abs(variant.height - (variant.width * 400) / 700) <= 1));
+  check('every variant is written to disk', (await Promise.all(media.variants.map((variant) => exists(variant.filename)))).every(Boolean));
+  check('the placeholder is the dominant colour', /^#[0-9a-f]{6}$/.test(media.placeholder));
+  check('uploading the same bytes again reuses the entry', (await saveUpload(png)).duplicate === true);
+  check('SVG uploads are refused', await status(saveUpload(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))) === 415);
+
+  const animated = await saveUpload(await image(800, 200, 'gif'));
+  check('GIFs are not resized', animated.variants.length === 0 && animated.width === 800);
+
+  const images = await responsiveImages({ hero: { image: media.url } });
+  check('responsiveImages only lists images the content uses', Object.keys(images).join() === media.url);
+  const markup = responsiveImage(media.url, images, { alt: 'A "red" box', sizes: '50vw' });
+  check('the image carries its size and placeholder', markup.includes('width="700" height="400"') && markup.includes(`background-color: ${media.placeholder}`));
+  check('the srcset lists the same-type copies and the original', markup.includes(`srcset="${smaller.map((width) => `/media/${media.filename.replace('.png', '')}-${width}.png ${width}w`).join(', ')}, ${media.url} 700w"`));
+  check('WebP copies are offered through <picture>', markup.startsWith('<picture><source type="image/webp"') && markup.includes('sizes="50vw"'));
+  check('alt text is escaped and images load lazily', markup.includes('alt="A &quot;red&quot; box"') && markup.includes('loading="lazy"'));
+  check('unknown images get a plain <img>', responsiveImage('https://cdn.example/x.png', images, { loading: 'eager' }) === '<img src="https://cdn.example/x.png" alt="" loading="eager" decoding="async">');
+
+  await deleteMedia(media.id, { force: true });
+  check('deleting an upload removes its variants', !(await exists(media.filename)) && !(await Promise.all(media.variants.map((variant) => exists(variant.filename)))).some(Boolean));
+} finally {
+  console.log = originalLog;
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+report('Media variants check');
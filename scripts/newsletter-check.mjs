@@ -0,0 +1,95 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createChecks } from './checks.mjs';
+
+// Subscribe, confirm and unsubscribe against the in-memory store, with mail
+// written to a temporary outbox so the emailed links can be followed. The
+// store and transport are chosen on first use, so the environment is set
+// before importing.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arya-newsletter-'));
+const outbox = path.join(tmpDir, 'outbox');
+Object.assign(process.env, { DB_DRIVER: 'memory', EMAIL_ENABLED: 'true', MAIL_PROVIDER: 'file', MAIL_OUTBOX_DIR: outbox });
+delete process.env.ADMIN_PASSWORD;
+
+const originalLog = console.log;
+const originalError = console.error;
+console.log = () => {};
+console.error = () => {};
+
+const db = await import('../database.js');
+const { subscribe, confirmSubscription, unsubscribe, unsubscribeToken, sendPost } = await import('../services/newsletter.js');
+
+const secret = 'newsletter-check';
+const origin = 'https://arya.example';
+const { check, report } = createChecks();
+const statusOf = async (promise) => {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.statusCode ?? 'threw';
+  }
+};
+const mailTo = (email) => fs.readdirSync(outbox).sort()
+  .map((file) => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')))
+  .filter((message) => message.to === email);
+const tokenIn = (message, route) => new URL(message.text.match(new RegExp(`https?://\\S+${route}\\S+`))[0]).searchParams.get('token');
+const status = async (email) => (await db.listSubscribers({ email }))[0]?.status;
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+try {
+  check('an invalid address is a 400', (await statusOf(subscribe('not-an-email', { origin, secret }))) === 400);
+  check('without a trusted origin nothing is sent', (await statusOf(subscribe('ada@example.com', { origin: null, secret }))) === 503 && !fs.existsSync(outbox));
+  check('no subscriber is stored without an origin', (await status('ada@example.com')) === undefined);
+
+  await subscribe(' Ada@Example.com ', { origin, secret });
+  check('a new subscriber starts pending', (await status('ada@example.com')) === 'pending');
+  const [confirmation] = mailTo('ada@example.com');
+  check('the confirmation links to the configured origin', confirmation.text.includes(`${origin}/newsletter/confirm?token=`));
+  const token = tokenIn(confirmation, '/newsletter/confirm');
+
+  const [encoded, issued, signature] = token.split('.');
+  const otherEmail = Buffer.from('eve@example.com').toString('base64url');
+  check('a tampered signature is refused', (await confirmSubscription(`${encoded}.${issued}.${signature.slice(0, -1)}x`, { secret })) === null);
+  check('a token for another address is refused', (await confirmSubscription(`${otherEmail}.${issued}.${signature}`, { secret })) === null);
+  check('a token signed with another secret is refused', (await confirmSubscription(token, { secret: 'other' })) === null);
+  check('garbage is refused', (await confirmSubscription('nonsense', { secret })) === null && (await confirmSubscription(undefined, { secret })) === null);
+  check('the subscriber is still pending', (await status('ada@example.com')) === 'pending');
+
+  const confirmed = await confirmSubscription(token, { secret });
+  check('the emailed link confirms', confirmed?.status === 'confirmed' && (await status('ada@example.com')) === 'confirmed');
+  check('following it twice is harmless', (await confirmSubscription(token, { secret }))?.status === 'confirmed');
+  await subscribe('ada@example.com', { origin, secret });
+  check('subscribing again while confirmed sends nothing', mailTo('ada@example.com').length === 1);
+
+  const unsubscribeLink = unsubscribeToken('ada@example.com', secret);
+  check('a forged unsubscribe token is refused', (await unsubscribe(`${Buffer.from('ada@example.com').toString('base64url')}.forged`, { secret })) === null);
+  check('the unsubscribe token unsubscribes', (await unsubscribe(unsubscribeLink, { secret })) === 'ada@example.com' && (await status('ada@example.com')) === 'unsubscribed');
+  check('an old confirmation link cannot resubscribe', (await confirmSubscription(token, { secret })) === null && (await status('ada@example.com')) === 'unsubscribed');
+
+  await wait(5);
+  await subscribe('ada@example.com', { origin, secret });
+  const fresh = tokenIn(mailTo('ada@example.com').at(-1), '/newsletter/confirm');
+  check('a new request gets a new link', fresh !== token && (await confirmSubscription(token, { secret })) === null);
+  check('the new link confirms again', (await confirmSubscription(fresh, { secret }))?.status === 'confirmed');
+
+  await subscribe('grace@example.com', { origin, secret });
+  const graceToken = tokenIn(mailTo('grace@example.com')[0], '/newsletter/confirm');
+  const realNow = Date.now;
+  Date.now = () => realNow() + 8 * 24 * 60 * 60 * 1000;
+  try {
+    check('links past seven days expire', (await confirmSubscription(graceToken, { secret })) === null);
+  } finally {
+    Date.now = realNow;
+  }
+  check('an expired link leaves the subscriber pending', (await status('grace@example.com')) === 'pending');
+
+  check('sends are refused without a trusted origin', (await statusOf(sendPost('any-post', { origin: null, secret }))) === 400);
+} finally {
+  console.log = originalLog;
+  console.error = originalError;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+report('Newsletter check');
@@ -0,0 +1,40 @@
+import { slugify, withSlugs } from '../utils/slugs.js';
+import { assignSlugs } from '../utils/contentItems.js';
+import { findPost } from '../services/blog.js';
+import { renderBlogPost, renderNotFound } from '../views/blogPost.js';
+import { createChecks } from './checks.mjs';
+
+// Slugs decide every /blog/:slug and /projects/:slug address, so they must
+// be URL-safe, unique and stable while other posts come and go.
+const { check, report } = createChecks();
+const slugsOf = (posts) => posts.map((post) => post.slug).join();
+
+check('slugify lowercases and dashes', slugify('Hello, Wörld! 2024') === 'hello-world-2024');
+check('slugify trims stray dashes', slugify('  --Game Engines--  ') === 'game-engines');
+check('slugify falls back for titles without letters', slugify('!!!') === 'post' && slugify(undefined, 'project') === 'project');
+check('slugify caps the length', slugify('a'.repeat(200)).length === 80);
+
+const posts = withSlugs([{ title: 'Hello' }, { title: 'Hello' }, { title: 'Other', slug: 'hello-2' }, { title: 'Mine', slug: 'custom' }]);
+check('explicit slugs are kept', posts[3].slug === 'custom' && posts[2].slug === 'hello-2');
+check('derived slugs never take an explicit one', slugsOf(posts) === 'hello,hello-3,hello-2,custom');
+check('slugs are unique', new Set(posts.map((post) => post.slug)).size === posts.length);
+check('a duplicate explicit slug gets a suffix', slugsOf(withSlugs([{ slug: 'same' }, { slug: 'same' }])) === 'same,same-2');
+check('non-objects pass through and non-arrays give none', withSlugs([null])[0] === null && withSlugs(undefined).length === 0);
+const unchanged = { title: 'Keep', slug: 'keep' };
+check('posts that already have their slug are returned as is', withSlugs([unchanged])[0] === unchanged);
+
+const assigned = assignSlugs({ blog: [{ title: 'First Post' }], projects: [{ title: 'Engine' }], hero: {} });
+check('assignSlugs fills in posts and projects', assigned.blog[0].slug === 'first-post' && assigned.projects[0].slug === 'engine');
+
+const content = { blog: [{ id: 'p1', title: 'First <Post>', content: '<p>Body</p>', summary: 'About engines' }, { id: 'p2', title: 'Second' }] };
+const match = findPost(content, 'first-post');
+check('findPost finds by slug with neighbours', match?.post.id === 'p1' && match.previous === null && match.next.id === 'p2');
+check('findPost misses unknown slugs', findPost(content, 'nope') === null);
+
+const html = renderBlogPost({ ...match, theme: {}, origin: 'https://arya.example', query: '?preview=draft' });
+check('the page escapes the title', html.includes('First &lt;Post&gt;') && !html.includes('First <Post>'));
+check('the page has an absolute canonical link', html.includes('https://arya.example/blog/first-post'));
+check('neighbour links keep the preview query', html.includes('/blog/second?preview=draft'));
+check('the not-found page carries the message', renderNotFound({ message: 'No blog post lives at this address.' }).includes('No blog post lives at this address.'));
+
+report('Permalink check');
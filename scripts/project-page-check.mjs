@@ -0,0 +1,45 @@
+import { findProject, listProjects } from '../services/projects.js';
+import { renderProjectPage } from '../views/projectPage.js';
+import { createChecks } from './checks.mjs';
+
+// Each project gets its own page at /projects/:slug, so lookups must follow
+// the list order and the page must escape whatever the editor typed.
+const { check, report } = createChecks();
+
+const content = {
+  projects: [
+    { title: 'Engine', description: 'A <b>tiny</b> engine', stack: 'C++, Vulkan', repo: 'https://git.example/engine', demo: 'https://engine.example', link: 'https://engine.example' },
+    null,
+    { title: 'Engine', slug: 'renderer', image: '/media/cover.png', content: '## Notes\n\n<script>alert(1)</script>Done.', format: 'markdown', features: 'Fast\n\nSmall', role: ['Lead', ' '], gallery: [{ src: '/media/a.png', caption: 'First "shot"' }, { caption: 'No source' }] },
+    { title: 'Tools', year: '2023' }
+  ]
+};
+
+const projects = listProjects(content);
+check('listProjects drops non-objects and keeps order', projects.map((project) => project.title).join() === 'Engine,Engine,Tools');
+check('listProjects gives every project a slug', projects.map((project) => project.slug).join() === 'engine,renderer,tools');
+check('listProjects tolerates missing projects', listProjects({}).length === 0 && listProjects(null).length === 0);
+
+const middle = findProject(content, 'renderer');
+check('findProject returns the project and its neighbours', middle.project.title === 'Engine' && middle.previous.slug === 'engine' && middle.next.slug === 'tools');
+check('the first and last projects have one neighbour', findProject(content, 'engine').previous === null && findProject(content, 'tools').next === null);
+check('unknown slugs find nothing', findProject(content, 'missing') === null);
+
+const first = renderProjectPage({ ...findProject(content, 'engine'), origin: 'https://site.example', query: '?preview=draft' });
+check('the title and description are escaped', first.includes('<h1>Engine</h1>') && first.includes('A &lt;b&gt;tiny&lt;/b&gt; engine') && !first.includes('<b>tiny</b>'));
+check('repo and demo links are shown', first.includes('href="https://git.example/engine"') && first.includes('Source code') && first.includes('Live demo'));
+check('a link that repeats the demo is not shown twice', !first.includes('Project website'));
+check('the stack is listed item by item', first.includes('<span>C++</span><span>Vulkan</span>'));
+check('the canonical URL is absolute', first.includes('<link rel="canonical" href="https://site.example/projects/engine" />'));
+check('neighbour links keep the draft preview', first.includes('href="/projects/renderer?preview=draft"'));
+
+const images = { '/media/cover.png': { width: 1600, height: 900, type: 'image/png', variants: [{ url: '/media/cover-800.png', width: 800, type: 'image/png' }] } };
+const second = renderProjectPage({ ...middle, origin: 'https://site.example', images });
+check('the body is rendered and sanitized', second.includes('<h2>Notes</h2>') && second.includes('Done.') && !second.includes('<script>alert'));
+check('the cover uses the responsive image and absolute og:image', second.includes('srcset="/media/cover-800.png 800w, /media/cover.png 1600w"') && second.includes('content="https://site.example/media/cover.png"'));
+check('features and role skip blank lines', second.includes('<li>Fast</li><li>Small</li>') && second.includes('<li>Lead</li></ul>'));
+check('the gallery skips images without a source', (second.match(/<figure>/g) || []).length === 1 && second.includes('data-caption="First &quot;shot&quot;"'));
+check('gallery images get a default alt text', second.includes('alt="Engine screenshot 1"'));
+check('pages without extras leave their sections out', !renderProjectPage(findProject(content, 'tools')).match(/Gallery|Features|project-links/));
+
+report('Project page check');
@@ -0,0 +1,38 @@
+import { PROJECT_SORTS, filterProjects, projectTags, projectTechnologies, showcaseFacets } from '../utils/projectShowcase.js';
+import { createChecks } from './checks.mjs';
+
+// Ordering, filtering and facets of the projects section.
+const { check, report } = createChecks();
+const titles = (projects) => projects.map((project) => project.title).join();
+
+const projects = [
+  { title: 'beta', date: '2022-05-01', tag: 'Web', tags: ['web', 'Tools'], stack: 'React, Node.js / Postgres', description: 'Dashboard' },
+  { title: 'Alpha', date: '2023', tags: ['CLI'], stack: 'Go | SQLite', featured: 'true' },
+  { title: 'Gamma', stack: 'react; Rust', tags: ['Web'], description: 'Game engine' },
+  { title: 'Delta', date: '2023-01-01', tag: 'Tools', stack: 'Node.js', featured: true },
+  { title: 'Epsilon', date: 'someday', tag: '  ', stack: '' }
+];
+
+check('tags merge tag and tags without blanks or case duplicates', projectTags(projects[0]).join() === 'Web,Tools' && projectTags(projects[4]).length === 0);
+check('technologies split the free-text stack', projectTechnologies(projects[0]).join() === 'React,Node.js,Postgres' && projectTechnologies(projects[1]).join() === 'Go,SQLite');
+check('odd project shapes have no tags or technologies', projectTags(null).length === 0 && projectTechnologies({ stack: null }).length === 0);
+
+const facets = showcaseFacets(projects);
+check('facets count case-insensitively, most used first, then by name', facets.tags.map(({ name, count }) => `${name}:${count}`).join() === 'Tools:2,Web:2,CLI:1');
+check('facets keep the first-seen spelling', facets.technologies[0].name === 'Node.js' && facets.technologies.find((item) => item.name === 'React').count === 2);
+
+check('the default order pins featured projects and keeps list order', titles(filterProjects(projects)) === 'Alpha,Delta,beta,Gamma,Epsilon');
+check('"true" strings count as featured', filterProjects(projects)[0].featured === 'true');
+check('newest sorts by date with undated projects last', titles(filterProjects(projects, { sort: 'newest' })) === 'Delta,Alpha,beta,Epsilon,Gamma');
+check('alphabetical ignores case after the featured pin', titles(filterProjects(projects, { sort: 'alphabetical' })) === 'Alpha,Delta,beta,Epsilon,Gamma');
+check('unknown sorts fall back to featured', titles(filterProjects(projects, { sort: 'random' })) === titles(filterProjects(projects)) && PROJECT_SORTS[0] === 'featured');
+check('a bare year equals its first day, and ties put later entries first', titles(filterProjects([{ title: 'A', date: '2024-01-01' }, { title: 'B', date: '2024' }], { sort: 'newest' })) === 'B,A');
+
+check('tag filters match case-insensitively', titles(filterProjects(projects, { tag: 'web' })) === 'beta,Gamma');
+check('tech filters match one technology, not a substring', titles(filterProjects(projects, { tech: 'REACT' })) === 'beta,Gamma' && filterProjects(projects, { tech: 'Node' }).length === 0);
+check('the query needs every word across title, description, tags and stack', titles(filterProjects(projects, { query: 'dashboard postgres' })) === 'beta'
+  && titles(filterProjects(projects, { query: '  cli  ' })) === 'Alpha' && filterProjects(projects, { query: 'dashboard rust' }).length === 0);
+check('filters combine and keep the featured pin', titles(filterProjects(projects, { tag: 'tools', query: 'node' })) === 'Delta,beta');
+check('filtering leaves the input untouched', titles(projects) === 'beta,Alpha,Gamma,Delta,Epsilon');
+
+report('Project showcase check');
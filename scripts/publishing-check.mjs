@@ -0,0 +1,60 @@
+import { createChecks } from './checks.mjs';
+
+// Drives scheduled and immediate publishing against the in-memory store.
+Object.assign(process.env, { DB_DRIVER: 'memory' });
+delete process.env.ADMIN_PASSWORD;
+
+// Quiet the store's start-up and the publish log lines
+const originalLog = console.log;
+console.log = () => {};
+
+const db = await import('../database.js');
+const { cancelSchedule, getPublishStatus, getPublishedContent, publishDueSchedules, publishNow, schedulePublish } = await import('../services/publishing.js');
+
+const { check, report } = createChecks();
+const minutes = (n) => new Date(Date.now() + n * 60 * 1000);
+const saveDraft = async (title) => {
+  const { value, version } = await db.getContentEntry();
+  return db.compareAndSetContent({ ...value, hero: { ...value.hero, title } }, version);
+};
+const liveTitle = async () => (await getPublishedContent()).hero?.title;
+const statusOf = async (id) => (await db.listPublishSchedules({ id }))[0]?.status;
+
+try {
+  await saveDraft('Scheduled');
+  const schedule = await schedulePublish(minutes(10), { author: 'ada' });
+  check('a schedule snapshots the draft without returning it', schedule.status === 'pending' && schedule.scheduledBy === 'ada' && !('content' in schedule));
+  await saveDraft('Later edit');
+  check('pending schedules show in the status', (await getPublishStatus()).scheduled.some((item) => item.id === schedule.id));
+  check('nothing publishes before its time', (await publishDueSchedules(minutes(5))) === 0 && (await liveTitle()) !== 'Scheduled');
+  check('a due schedule publishes its snapshot', (await publishDueSchedules(minutes(11))) === 1 && (await liveTitle()) === 'Scheduled');
+  check('a published schedule is marked and not run again', (await statusOf(schedule.id)) === 'published' && (await publishDueSchedules(minutes(12))) === 0);
+  check('the live copy records the schedule and draft version', (await db.getPublishedContent()).scheduleId === schedule.id);
+
+  const cancelled = await schedulePublish(minutes(10));
+  check('a pending schedule can be cancelled', (await cancelSchedule(cancelled.id))?.status === 'cancelled');
+  check('a cancelled schedule cannot be cancelled again', (await cancelSchedule(cancelled.id)) === null);
+  check('a cancelled schedule never publishes', (await publishDueSchedules(minutes(11))) === 0 && (await statusOf(cancelled.id)) === 'cancelled');
+  check('unknown schedules cannot be cancelled', (await cancelSchedule('missing')) === null);
+
+  await saveDraft('Raced');
+  const raced = await schedulePublish(minutes(-1));
+  const runs = await Promise.all([1, 2, 3].map(() => publishDueSchedules()));
+  check('concurrent callers publish a due schedule once', runs.reduce((sum, n) => sum + n, 0) === 1 && (await statusOf(raced.id)) === 'published');
+  check('the raced schedule went live', (await liveTitle()) === 'Raced');
+
+  await saveDraft('Old');
+  const stale = await schedulePublish(minutes(5));
+  await saveDraft('Newest');
+  await publishNow({ author: 'ada' });
+  check('a schedule older than the live draft is skipped', (await publishDueSchedules(minutes(6))) === 0 && (await statusOf(stale.id)) === 'skipped');
+  check('skipping leaves the newer content live', (await liveTitle()) === 'Newest');
+
+  const after = await schedulePublish(minutes(5));
+  check('a schedule of the live draft version still publishes', (await publishDueSchedules(minutes(6))) === 1 && (await statusOf(after.id)) === 'published');
+  check('the status drops schedules that are no longer pending', (await getPublishStatus()).scheduled.length === 0);
+} finally {
+  console.log = originalLog;
+}
+
+report('Publishing check');
@@ -0,0 +1,31 @@
+import { DEFAULT_FORMAT, renderRichText, sanitizeHtml } from '../utils/richText.js';
+import { createChecks } from './checks.mjs';
+
+// Post bodies are rendered into public pages, so every format must come out
+// as sanitized HTML whatever an author (or a compromised admin) typed.
+const { check, report } = createChecks();
+
+const markdown = renderRichText('# Title\n\nSome *emphasis* and a [link](https://example.com).\n\n```js\nconst x = 1;\n```', 'markdown');
+check('markdown renders headings, emphasis and links', markdown.includes('<h1') && markdown.includes('<em>emphasis</em>') && markdown.includes('href="https://example.com"'));
+check('fenced code is highlighted by language', markdown.includes('class="hljs language-js"') && markdown.includes('hljs-keyword'));
+check('unknown code languages stay escaped text', renderRichText('```nope\n<b>x</b>\n```', 'markdown').includes('&lt;b&gt;x&lt;/b&gt;'));
+check('markdown tables render', renderRichText('| a | b |\n| - | - |\n| 1 | 2 |', 'markdown').includes('<table>'));
+const footnote = renderRichText('Text[^1]\n\n[^1]: The note.', 'markdown');
+check('footnotes render with their back-links', footnote.includes('data-footnote-ref') && footnote.includes('The note.'));
+
+const hostile = '<p onclick="steal()">Hi</p><script>alert(1)</script><img src="/media/x.png" onerror="steal()"><a href="javascript:steal()">x</a><iframe src="https://evil.example"></iframe><style>body{}</style>';
+const cleaned = sanitizeHtml(hostile);
+check('scripts and their bodies are removed', !cleaned.includes('<script') && !cleaned.includes('alert(1)'));
+check('event handlers are removed', !cleaned.includes('onclick') && !cleaned.includes('onerror'));
+check('javascript: links are neutralized', !cleaned.includes('javascript:'));
+check('iframes and styles are removed', !cleaned.includes('<iframe') && !cleaned.includes('<style') && !cleaned.includes('body{}'));
+check('allowed markup survives', cleaned.includes('<p>Hi</p>') && cleaned.includes('<img src="/media/x.png">'));
+check('class values are limited to plain names', !sanitizeHtml('<span class="a&quot;b" >x</span>').includes('&quot;') && sanitizeHtml('<span class="hljs-keyword">x</span>').includes('class="hljs-keyword"'));
+check('markdown cannot smuggle raw HTML', !renderRichText('Hello <script>alert(1)</script> <img src=x onerror=alert(1)>', 'markdown').match(/<script|onerror/));
+
+check('html is the default format', DEFAULT_FORMAT === 'html' && renderRichText('<p>Hi</p><script>x</script>') === '<p>Hi</p>');
+const plain = renderRichText('Line one\nline two\n\n<b>Second</b> paragraph', 'plain');
+check('plain text becomes escaped paragraphs', plain === '<p>Line one<br>line two</p>\n<p>&lt;b&gt;Second&lt;/b&gt; paragraph</p>');
+check('missing text renders as nothing', renderRichText(undefined, 'markdown') === '' && renderRichText(null, 'plain') === '' && renderRichText(undefined) === '');
+
+report('Rich text check');
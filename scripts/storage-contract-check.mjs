@@ -0,0 +1,143 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createAdapter } from '../storage/index.js';
+import { createChecks } from './checks.mjs';
+
+// Every storage adapter must behave identically through these checks.
+// Mongo is only exercised when MONGODB_URI points at a disposable database.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arya-storage-'));
+const drivers = [
+  ['memory', {}],
+  ['sqlite', { SQLITE_PATH: path.join(tmpDir, 'contract.sqlite') }]
+];
+if (process.env.MONGODB_URI && process.env.STORAGE_CONTRACT_MONGO === 'true') {
+  drivers.push(['mongo', process.env]);
+}
+
+async function runContract(adapter) {
+  const { check, report } = createChecks();
+
+  await adapter.connect();
+
+  check('unknown email returns null', (await adapter.findUserByEmail('nobody@example.com')) === null);
+
+  const created = await adapter.createUser({ email: 'ada@example.com', name: 'Ada', password: 'hash', isAdmin: false });
+  check('createUser returns string id', typeof created.id === 'string' && created.id.length > 0);
+  check('createUser stores fields', created.email === 'ada@example.com' && created.name === 'Ada' && created.isAdmin === false);
+  check('createUser sets createdAt', created.createdAt instanceof Date);
+
+  let duplicateRejected = false;
+  try {
+    await adapter.createUser({ email: 'ada@example.com', name: 'Again' });
+  } catch {
+    duplicateRejected = true;
+  }
+  check('duplicate email rejected', duplicateRejected);
+
+  const byEmail = await adapter.findUserByEmail('ada@example.com');
+  check('findUserByEmail exposes id and password', byEmail?.id === created.id && byEmail.password === 'hash');
+  check('getUserById finds user', (await adapter.getUserById(created.id))?.email === 'ada@example.com');
+  check('getUserById unknown returns null', (await adapter.getUserById('missing-id')) === null);
+
+  const updated = await adapter.updateUser(created.id, { name: 'Ada L.', isAdmin: true, id: 'ignored', role: 'ignored' });
+  check('updateUser returns updated user', updated?.name === 'Ada L.' && updated.isAdmin === true && updated.id === created.id);
+  check('updateUser ignores unknown fields', !('role' in (await adapter.getUserById(created.id))));
+  check('updateUser unknown id returns null', (await adapter.updateUser('missing-id', { name: 'x' })) === null);
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await adapter.createUser({ email: 'grace@example.com', name: 'Grace' });
+  const all = await adapter.getAllUsers();
+  check('getAllUsers lists newest first', all.length === 2 && all[0].email === 'grace@example.com');
+
+  check('missing content returns null', (await adapter.getContent('site_content')) === null);
+  const value = { hero: { titlePrefix: 'Hi' }, projects: [{ title: 'One' }] };
+  const saved = await adapter.setContent('site_content', value);
+  check('setContent returns stored value', saved.hero.titlePrefix === 'Hi');
+  value.hero.titlePrefix = 'mutated';
+  const loaded = await adapter.getContent('site_content');
+  check('getContent round-trips value', loaded.hero.titlePrefix === 'Hi' && loaded.projects[0].title === 'One');
+  await adapter.setContent('site_content', { hero: { titlePrefix: 'Replaced' } });
+  const replaced = await adapter.getContent('site_content');
+  check('setContent replaces whole value', replaced.hero.titlePrefix === 'Replaced' && !replaced.projects);
+  check('content keys are independent', (await adapter.getContent('other_key')) === null);
+
+  check('missing content entry returns null', (await adapter.getContentEntry('versioned')) === null);
+  const v1 = await adapter.compareAndSetContent('versioned', { n: 1 }, 0);
+  check('compareAndSetContent creates at version 1', v1?.version === 1 && v1.value.n === 1);
+  check('compareAndSetContent rejects stale version', (await adapter.compareAndSetContent('versioned', { n: 9 }, 0)) === null);
+  const v2 = await adapter.compareAndSetContent('versioned', { n: 2 }, 1);
+  check('compareAndSetContent bumps version', v2?.version === 2);
+  await adapter.setContent('versioned', { n: 3 });
+  const entry = await adapter.getContentEntry('versioned');
+  check('setContent keeps version', entry.version === 2 && entry.value.n === 3);
+
+  const first = await adapter.insertRecord('contract_items', { kind: 'a', count: 1 });
+  check('insertRecord assigns id and createdAt', typeof first.id === 'string' && typeof first.createdAt === 'string');
+  const second = await adapter.insertRecord('contract_items', { id: 'fixed-id', kind: 'b', count: 2 });
+  check('insertRecord keeps given id', second.id === 'fixed-id');
+  await adapter.insertRecord('other_items', { kind: 'a' });
+  const listed = await adapter.listRecords('contract_items');
+  check('listRecords is scoped to collection in insert order', listed.length === 2 && listed[0].id === first.id);
+  const filtered = await adapter.listRecords('contract_items', { kind: 'b' });
+  check('listRecords filters by field equality', filtered.length === 1 && filtered[0].count === 2);
+  await adapter.insertRecord('ranged_items', { id: 'd1', day: '2024-01-01' });
+  await adapter.insertRecord('ranged_items', { id: 'd2', day: '2024-01-15' });
+  await adapter.insertRecord('ranged_items', { id: 'd3', day: '2024-02-01' });
+  await adapter.insertRecord('ranged_items', { id: 'd4' });
+  const ranged = await adapter.listRecords('ranged_items', { day: { $gte: '2024-01-01', $lte: '2024-01-31' } });
+  check('listRecords filters by inclusive range', ranged.map((r) => r.id).join() === 'd1,d2');
+  check('listRecords accepts an open-ended range', (await adapter.listRecords('ranged_items', { day: { $gte: '2024-01-15' } })).map((r) => r.id).join() === 'd2,d3');
+  await adapter.insertRecord('typed_items', { id: 't1', n: 1, flag: true });
+  await adapter.insertRecord('typed_items', { id: 't2', n: '1', flag: 'true' });
+  await adapter.insertRecord('typed_items', { id: 't3', n: 2, flag: false });
+  const typedIds = async (filter) => (await adapter.listRecords('typed_items', filter)).map((r) => r.id).join();
+  check('listRecords equality keeps numbers, strings and booleans apart', (await typedIds({ n: 1 })) === 't1' && (await typedIds({ n: '1' })) === 't2'
+    && (await typedIds({ flag: true })) === 't1' && (await typedIds({ flag: false })) === 't3');
+  check('listRecords ranges compare numbers numerically', (await typedIds({ n: { $gte: 2 } })) === 't3');
+  check('listRecords combines conditions', (await typedIds({ n: { $gte: 1 }, flag: false })) === 't3');
+  const upserted = await adapter.upsertRecord('ranged_items', { id: 'd5', day: '2024-03-01', n: 1 });
+  check('upsertRecord inserts a missing record', upserted.id === 'd5' && (await adapter.getRecord('ranged_items', 'd5'))?.n === 1);
+  await adapter.upsertRecord('ranged_items', { id: 'd5', day: '2024-03-01', n: 2 });
+  await adapter.upsertRecord('ranged_items', { id: 'd5', day: '2024-03-01', n: 3 });
+  const upsertedAll = await adapter.listRecords('ranged_items', { day: '2024-03-01' });
+  check('upsertRecord replaces by id without duplicating', upsertedAll.length === 1 && upsertedAll[0].n === 3);
+  let missingIdError = null;
+  try {
+    await adapter.upsertRecord('ranged_items', { day: '2024-04-01' });
+  } catch (error) {
+    missingIdError = error.message;
+  }
+  check('upsertRecord requires an id', missingIdError === 'upsertRecord needs a record id');
+  check('a refused upsert stores nothing', (await adapter.listRecords('ranged_items', { day: '2024-04-01' })).length === 0);
+  check('getRecord finds by id', (await adapter.getRecord('contract_items', 'fixed-id'))?.kind === 'b');
+  check('getRecord unknown returns null', (await adapter.getRecord('contract_items', 'missing-id')) === null);
+  const bumped = await adapter.updateRecord('contract_items', first.id, { count: 5, id: 'ignored' });
+  check('updateRecord merges fields', bumped?.count === 5 && bumped.kind === 'a' && bumped.id === first.id);
+  check('updateRecord unknown returns null', (await adapter.updateRecord('contract_items', 'missing-id', { count: 1 })) === null);
+  await adapter.insertRecord('claims', { id: 'job', status: 'pending', tries: 0 });
+  const claimed = await adapter.compareAndSetRecord('claims', 'job', { status: 'pending' }, { status: 'running', id: 'ignored' });
+  check('compareAndSetRecord updates a matching record', claimed?.status === 'running' && claimed.tries === 0 && claimed.id === 'job');
+  check('compareAndSetRecord refuses a stale expectation', (await adapter.compareAndSetRecord('claims', 'job', { status: 'pending' }, { status: 'done' })) === null
+    && (await adapter.getRecord('claims', 'job')).status === 'running');
+  check('compareAndSetRecord unknown returns null', (await adapter.compareAndSetRecord('claims', 'missing-id', {}, { status: 'x' })) === null);
+  await adapter.insertRecord('claims', { id: 'race', status: 'pending' });
+  const racers = await Promise.all([1, 2, 3].map((n) => adapter.compareAndSetRecord('claims', 'race', { status: 'pending' }, { status: 'claimed', by: n })));
+  const winners = racers.filter(Boolean);
+  check('concurrent compareAndSetRecord calls have one winner', winners.length === 1 && (await adapter.getRecord('claims', 'race')).by === winners[0].by);
+  check('deleteRecord removes record', (await adapter.deleteRecord('contract_items', 'fixed-id')) === true);
+  check('deleteRecord unknown returns false', (await adapter.deleteRecord('contract_items', 'fixed-id')) === false);
+  check('deleted record is gone', (await adapter.listRecords('contract_items')).length === 1);
+
+  await adapter.close();
+  return report;
+}
+
+try {
+  for (const [driver, env] of drivers) {
+    const report = await runContract(createAdapter(driver, env));
+    report(`Storage contract for ${driver}`);
+  }
+} finally {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
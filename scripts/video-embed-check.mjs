@@ -0,0 +1,35 @@
+import { isSupportedVideo, parseVideo } from '../utils/videoEmbed.js';
+import { validateContent } from '../utils/contentSchema.js';
+import { createChecks } from './checks.mjs';
+
+// Only known providers may end up in an iframe or <video>, so every URL a post
+// can carry has to resolve to one of them or be refused on save.
+const { check, report } = createChecks();
+const src = (url) => parseVideo(url)?.src;
+
+const watch = parseVideo('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1m30s');
+check('YouTube watch links play from youtube-nocookie', watch.provider === 'youtube' && watch.kind === 'iframe' && watch.src === 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?start=90');
+check('youtu.be and embed links resolve to the same video', src('https://youtu.be/dQw4w9WgXcQ') === src('https://www.youtube.com/embed/dQw4w9WgXcQ'));
+check('Shorts are portrait', parseVideo('https://youtube.com/shorts/dQw4w9WgXcQ').aspectRatio === '9 / 16');
+check('playlists embed as a video series', src('https://www.youtube.com/playlist?list=PL590L5WQmH8fJ54F369BLDSqIwcs-TCfs') === 'https://www.youtube-nocookie.com/embed/videoseries?list=PL590L5WQmH8fJ54F369BLDSqIwcs-TCfs');
+check('malformed YouTube ids are refused', parseVideo('https://youtube.com/watch?v=short') === null && parseVideo('https://youtube.com/channel/abc') === null);
+
+check('Vimeo links keep the start time and do-not-track', src('https://vimeo.com/76979871#t=45s') === 'https://player.vimeo.com/video/76979871?dnt=1#t=45s');
+check('unlisted Vimeo links keep their hash', src('https://vimeo.com/76979871/abc123') === 'https://player.vimeo.com/video/76979871?h=abc123&dnt=1');
+check('Vimeo channel and player links resolve', src('https://vimeo.com/channels/staffpicks/76979871') === src('https://player.vimeo.com/video/76979871'));
+
+const upload = parseVideo('/media/clip.webm#t=12');
+check('self-hosted files play in <video> with their type', upload.kind === 'video' && upload.type === 'video/webm' && upload.src === '/media/clip.webm#t=12' && upload.aspectRatio === null);
+check('file extensions match case-insensitively', parseVideo('/media/intro.MP4')?.type === 'video/mp4');
+check('files on other hosts are refused', parseVideo('https://cdn.example/intro.mp4') === null && parseVideo('//cdn.example/intro.mp4') === null
+  && parseVideo('\\\\cdn.example/intro.mp4') === null && parseVideo('https://site.invalid/intro.mp4') === null);
+check('other file types are refused', parseVideo('/media/clip.mov') === null && parseVideo('/media/clip.gif') === null);
+
+check('other hosts are refused', !isSupportedVideo('https://evil.example/embed/dQw4w9WgXcQ') && !isSupportedVideo('https://youtube.com.evil.example/watch?v=dQw4w9WgXcQ'));
+check('non-http schemes are refused', !isSupportedVideo('javascript:alert(1)//x.mp4') && !isSupportedVideo('data:video/mp4;base64,AAAA'));
+check('blank values are not videos', !isSupportedVideo('') && !isSupportedVideo(undefined));
+
+const errors = validateContent({ blog: [{ title: 'Ok', video: 'https://youtu.be/dQw4w9WgXcQ' }, { title: 'Bad', video: 'https://evil.example/clip' }] });
+check('saving content refuses unsupported video URLs', errors.length === 1 && errors[0].path === 'blog[1].video' && errors[0].message.includes('YouTube or Vimeo'));
+
+report('Video embed check');
@@ -9,9 +9,29 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import * as db from './database.js';
 import bcrypt from 'bcryptjs';
-import nodemailer from 'nodemailer';
 import AppError from './utils/AppError.js';
+import asyncHandler from './utils/asyncHandler.js';
 import { sendMail } from './services/mailer.js';
+import { commitContent, listRevisions, getRevision, diffRevisions, restoreRevision } from './services/contentHistory.js';
+import { ensureStableIds } from './services/contentCollections.js';
+import { COLLECTIONS, newItemId, assignItemIds } from './utils/contentItems.js';
+import { applyJsonPatch, applyMergePatch } from './utils/jsonPatch.js';
+import { findPost, queryPosts, blogFacets, publicContent } from './services/blog.js';
+import { getFeed } from './services/feeds.js';
+import { getEngagement, setReaction, setBookmark, listSaved } from './services/engagement.js';
+import { COMMENT_EDIT_WINDOW_MS, listThread, addComment, editComment, deleteOwnComment, listForModeration, moderateComment, deleteCommentThread, listBlockedCommenters, blockCommenter, unblockCommenter } from './services/comments.js';
+import { renderBlogPost, renderNotFound } from './views/blogPost.js';
+import { findProject } from './services/projects.js';
+import { renderProjectPage } from './views/projectPage.js';
+import { HONEYPOT_FIELD, TOKEN_FIELD, issueFormToken, screenSubmission, listRejections, deleteRejection, clearRejections } from './services/formGuard.js';
+import { subscribe, confirmSubscription, unsubscribe, getNewsletterOverview, removeSubscriber, getSend, sendPost, retrySend } from './services/newsletter.js';
+import { renderNewsletterNotice } from './views/newsletter.js';
+import { loginAlert } from './views/emails.js';
+import { submitMessage, notifyOwner, listMessages, updateMessage, deleteMessage } from './services/contact.js';
+import { MEDIA_DIR, MEDIA_URL_PREFIX, MEDIA_MAX_BYTES, uploadTooLarge, listMedia, saveUpload, updateMediaAlt, deleteMedia, responsiveImages, backfillDerivatives } from './services/media.js';
+import { CONSENT_COOKIE, parseConsent, optedOutOfTracking } from './utils/consent.js';
+import { dayOf, hashVisitor, isBot, recordPageView, recordSectionViews, getAnalyticsReport, reportToCsv, CSV_TABLES, startAnalyticsRollups } from './services/analytics.js';
+import { publishNow, schedulePublish, cancelSchedule, publishDueSchedules, getPublishedContent, getPublishStatus, startPublishScheduler } from './services/publishing.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -43,6 +63,21 @@ let server;
 
 // --- Middleware ---
 app.disable('x-powered-by');
+
+// Behind a reverse proxy (Render, a Docker ingress) req.ip is the proxy's
+// address unless Express trusts X-Forwarded-For, and per-visitor rate limits
+// and analytics would then lump every visitor together. TRUST_PROXY takes
+// "true", a hop count ("1" for a single proxy) or a comma-separated list of
+// proxy addresses/subnets. Leave it unset when clients connect directly, or
+// they could pick their own IP with the header.
+function trustProxySetting(value = '') {
+    const setting = value.trim();
+    if (!setting || setting === 'false') return false;
+    if (setting === 'true') return true;
+    if (/^\d+$/.test(setting)) return Number(setting);
+    return setting.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
 app.use(helmet({ contentSecurityPolicy: false }));
 const allowedOrigins = (process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:3000').split(',').map((o) => o.trim()).filter(Boolean);
 app.use(cors({
@@ -50,14 +85,16 @@ app.use(cors({
         if (!origin || allowedOrigins.includes(origin)) return callback(null, true);
         return callback(new Error('Not allowed by CORS'));
     },
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['ETag']
 }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'] }));
 app.use(cookieParser(SESSION_SECRET));
 
 // --- Security: Block Sensitive Files ---
 app.use((req, res, next) => {
-    const sensitive = ['.env', 'server.js', 'database.sqlite', 'database.js', 'content.json'];
+    // /outbox/ holds mail written by MAIL_PROVIDER=file, links and tokens included
+    const sensitive = ['.env', 'server.js', 'database.sqlite', 'database.js', 'content.json', '/outbox/'];
     if (sensitive.some(file => req.url.includes(file))) {
         return res.status(403).send('Forbidden');
     }
@@ -80,51 +117,54 @@ if (fs.existsSync(distPath)) {
     app.use(express.static(distPath));
 } else {
     app.use(express.static('.'));
+    // Vite serves public/ at the site root in dev and copies it into dist/.
+    app.use(express.static('public'));
 }
-// --- Email Configuration (API-based; no SMTP) ---
-const isEmailEnabled =
-  process.env.EMAIL_ENABLED === "true" &&
-  !!process.env.RESEND_API_KEY;
-
-
-async function sendLoginEmail(toEmail, userName) {
-    if (!isEmailEnabled) {
-        console.log(`[MAIL] Skipping email for ${toEmail}: Email is disabled or not configured.`);
-        return;
-    }
-
-    const mailOptions = {
-        from: `"Arya Security" <${process.env.EMAIL_USER}>`,
-        to: toEmail,
-        subject: '🚀 New Login Detected!',
-        html: `
-            <div style="font-family: sans-serif; background-color: #050505; color: #fff; padding: 2rem; border-radius: 12px; border: 1px solid #00f3ff;">
-                <h1 style="color: #00f3ff; margin-bottom: 1rem;">Security Alert</h1>
-                <p>Hi <strong>${userName}</strong>,</p>
-                <p>We detected a new login to your Arya account on <strong>${new Date().toLocaleString()}</strong>.</p>
-                <p>If this was you, you can safely ignore this email.</p>
-                <p style="margin-top: 2rem; font-size: 0.8rem; color: #666;">
-                    If you don't recognized this activity, please change your password immediately.
-                </p>
-                <div style="margin-top: 2rem; border-top: 1px solid #333; padding-top: 1rem; font-size: 0.8rem;">
-                    &copy; Arya — Built with curiosity and code.
-                </div>
-            </div>
-        `
-    };
-
-    await sendMail({
-        to: toEmail,
-        subject: mailOptions.subject,
-        html: mailOptions.html
-    });
+// Uploaded files are named by content hash, so a URL never changes meaning.
+app.use(MEDIA_URL_PREFIX, express.static(MEDIA_DIR, { immutable: true, maxAge: '1y', index: false }));
+// --- Email ---
+// Transport, sender and on/off switch are configured in services/mailer.js.
+
+// Fire-and-forget: sendMail never throws and logs its own failures.
+function sendLoginEmail(toEmail, userName) {
+    const { subject, html, text } = loginAlert({ userName, when: new Date() });
+    return sendMail({ to: toEmail, subject, html, text });
+}
+
+// --- Form Abuse Protection ---
+
+// Public forms fetch a token once the visitor starts filling them in, which
+// dates the start for the minimum fill-in time (services/formGuard.js).
+app.get('/api/forms/token', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, token: issueFormToken(SESSION_SECRET), field: TOKEN_FIELD, honeypot: HONEYPOT_FIELD });
+});
 
+// Screens a public form submission before its route runs. `fields(req)` picks
+// the email, name and free text to check. The site admin is never screened.
+function guardForm(form, fields) {
+    return asyncHandler(async (req, res, next) => {
+        if (req.signedCookies.admin_auth === 'true') return next();
+        try {
+            await screenSubmission(form, {
+                ...fields(req),
+                body: req.body,
+                ip: req.ip,
+                userAgent: req.get('user-agent'),
+                secret: SESSION_SECRET
+            });
+        } catch (error) {
+            if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+            throw error;
+        }
+        next();
+    });
 }
 
 // --- Routes ---
 
 // REGISTER API
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', guardForm('register', (req) => ({ email: req.body?.email, name: req.body?.name })), async (req, res) => {
     try {
         const { name, email, password } = req.body;
         if (!name || !email || !password) {
@@ -326,6 +366,17 @@ app.put('/api/account', async (req, res) => {
 
 // --- Admin Specific Endpoints ---
 
+function requireAdmin(req, res, next) {
+    if (req.signedCookies.admin_auth !== 'true') {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    next();
+}
+
+function adminAuthor(req) {
+    return req.signedCookies.user_email || 'admin';
+}
+
 // GET LOGS
 app.get('/api/admin/logs', (req, res) => {
     if (req.signedCookies.admin_auth !== 'true') return res.status(401).json({ error: 'Unauthorized' });
@@ -423,19 +474,54 @@ app.post('/api/admin/users/update', async (req, res) => {
     }
 });
 
-app.get('/api/content', async (req, res) => {
-    try {
-        let content = await db.getContent();
-        if (!content) content = {};
+// Content versions surface as strong ETags so the admin can send If-Match on save.
+function contentEtag(version) {
+    return `"content-v${version}"`;
+}
+
+function parseContentEtag(header) {
+    const match = /^(?:W\/)?"content-v(\d+)"$/.exec((header || '').trim());
+    return match ? Number(match[1]) : null;
+}
+
+function sendContentInvalid(res, errors) {
+    return res.status(422).json({ success: false, error: 'Content failed validation', errors });
+}
+
+function sendContentConflict(res, entry) {
+    const etag = contentEtag(entry.version);
+    res.set('ETag', etag);
+    return res.status(409).json({
+        success: false,
+        error: 'Content was changed by someone else since you loaded it',
+        version: entry.version,
+        etag,
+        current: entry.value || {}
+    });
+}
 
-        console.log('[content] loaded from mongo');
+// Visitors get the published copy. Admins editing (admin.js sends an
+// X-Content-View: draft header) or previewing (/?preview=draft) get the
+// versioned draft instead; ?view=draft does the same for API clients.
+async function loadContentView(req) {
+    const wantsDraft = req.query.view === 'draft' || req.query.preview === 'draft' || req.get('X-Content-View') === 'draft';
+    if (req.signedCookies.admin_auth === 'true' && wantsDraft) {
+        const { value, version } = await db.getContentEntry();
+        return { content: value || {}, version };
+    }
+    await publishDueSchedules();
+    return { content: publicContent(await getPublishedContent()) };
+}
 
-        if (req.signedCookies.admin_auth !== 'true') {
-            if (!content.analytics) content.analytics = { totalViews: 0 };
-            content.analytics.totalViews++;
-            await db.setContent(content);
+app.get('/api/content', async (req, res) => {
+    try {
+        const { content, version } = await loadContentView(req);
+        if (version !== undefined) {
+            res.set('ETag', contentEtag(version));
+            return res.json(content);
         }
 
+        console.log('[content] loaded from storage');
         res.json(content);
     } catch (error) {
         console.error('Content Fetch Error:', error);
@@ -443,43 +529,626 @@ app.get('/api/content', async (req, res) => {
     }
 });
 
-function deepMerge(existing, incoming) {
-    if (incoming === undefined) return existing;
-    if (Array.isArray(incoming)) return incoming;
-    if (incoming && typeof incoming === 'object' && !Array.isArray(incoming)) {
-        const result = { ...(existing && typeof existing === 'object' ? existing : {}) };
-        Object.keys(incoming).forEach((key) => {
-            result[key] = deepMerge(result[key], incoming[key]);
-        });
-        return result;
-    }
-    return incoming;
-}
+const JSON_PATCH_TYPE = 'application/json-patch+json';
 
+/**
+ * PATCH/POST /api/content. A JSON Patch body (RFC 6902) is a list of
+ * operations; any other JSON body is a JSON Merge Patch (RFC 7386), where
+ * `null` deletes a key. Either way the whole patch is applied to a copy of the
+ * draft and saved in one commit, or not at all.
+ */
 async function handleContentUpdate(req, res) {
     if (req.signedCookies.admin_auth !== 'true') {
         return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const incoming = req.body;
-    if (!incoming || typeof incoming !== 'object' || Array.isArray(incoming)) {
+    const isJsonPatch = req.is(JSON_PATCH_TYPE) === JSON_PATCH_TYPE;
+    if (isJsonPatch ? !Array.isArray(incoming) : (!incoming || typeof incoming !== 'object' || Array.isArray(incoming))) {
         return res.status(400).json({ error: 'Invalid content payload' });
     }
 
     try {
-        const existing = (await db.getContent()) || {};
-        const merged = deepMerge(existing, incoming);
-        const saved = await db.setContent(merged);
-        return res.json(saved);
+        const transform = isJsonPatch
+            ? (draft) => applyJsonPatch(draft, incoming)
+            : (draft) => applyMergePatch(draft, incoming);
+        const result = await updateDraft(req, res, transform);
+        if (result) return res.json(result.content);
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Content Update Error:', error);
         return res.status(500).json({ error: 'Failed to save data' });
     }
 }
 
+/**
+ * Saves `transform(draft)` through the revision, validation and version
+ * pipeline, honouring If-Match when the client sends one. Resolves to the
+ * commit result with the ETag set, or null once an error response was sent.
+ */
+async function updateDraft(req, res, transform, { summary } = {}) {
+    const ifMatch = req.get('If-Match');
+    const expectedVersion = ifMatch && ifMatch.trim() !== '*' ? parseContentEtag(ifMatch) : undefined;
+    if (expectedVersion === null) {
+        res.status(400).json({ error: 'Malformed If-Match header' });
+        return null;
+    }
+
+    const entry = await db.getContentEntry();
+    if (expectedVersion !== undefined && expectedVersion !== entry.version) {
+        sendContentConflict(res, entry);
+        return null;
+    }
+
+    const next = transform(assignItemIds(entry.value || {}));
+    const result = await commitContent(next, { author: adminAuthor(req), summary, expectedVersion: entry.version });
+    if (result.invalid) {
+        sendContentInvalid(res, result.invalid);
+        return null;
+    }
+    if (result.conflict) {
+        sendContentConflict(res, result.conflict);
+        return null;
+    }
+    if (result.warnings.length) {
+        console.warn(`⚠️ Saved content still has ${result.warnings.length} older invalid field(s): ${result.warnings.map((warning) => warning.path).join(', ')}`);
+    }
+
+    res.set('ETag', contentEtag(result.version));
+    return result;
+}
+
 app.patch('/api/content', handleContentUpdate);
 app.post('/api/content', handleContentUpdate);
 
+// --- Content Collections (projects, blog, skills, experience, achievements) ---
+
+function requireItemPayload(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new AppError('Item payload must be a JSON object', 400);
+    }
+    const { id, ...fields } = body;
+    return fields;
+}
+
+function findItemIndex(items, id) {
+    const index = items.findIndex((item) => item?.id === id);
+    if (index < 0) throw new AppError('Item not found', 404);
+    return index;
+}
+
+Object.keys(COLLECTIONS).forEach((name) => {
+    const base = `/api/content/${name}`;
+
+    app.get(base, asyncHandler(async (req, res) => {
+        const { content } = await loadContentView(req);
+        res.json({ success: true, items: content[name] || [] });
+    }));
+
+    app.post(base, requireAdmin, asyncHandler(async (req, res) => {
+        const fields = requireItemPayload(req.body);
+        let created;
+        const result = await updateDraft(req, res, (draft) => {
+            const items = [...(draft[name] || [])];
+            created = { id: newItemId(name, items), ...fields };
+            const position = req.query.position === undefined ? items.length : Number(req.query.position);
+            if (!Number.isInteger(position) || position < 0 || position > items.length) {
+                throw new AppError(`position must be an integer between 0 and ${items.length}`, 400);
+            }
+            items.splice(position, 0, created);
+            return { ...draft, [name]: items };
+        }, { summary: `Added ${name} item ${fields.title || fields.category || ''}`.trim() });
+        if (result) res.status(201).json({ success: true, item: created, version: result.version });
+    }));
+
+    // Registered before /:id so "order" is never taken for an item id.
+    app.put(`${base}/order`, requireAdmin, asyncHandler(async (req, res) => {
+        const ids = req.body?.ids;
+        if (!Array.isArray(ids)) throw new AppError('Body must be { ids: [...] }', 400);
+        const result = await updateDraft(req, res, (draft) => {
+            const items = draft[name] || [];
+            const sameSet = ids.length === items.length && new Set(ids).size === ids.length && items.every((item) => ids.includes(item.id));
+            if (!sameSet) throw new AppError('ids must list every item id exactly once', 400);
+            return { ...draft, [name]: ids.map((id) => items.find((item) => item.id === id)) };
+        }, { summary: `Reordered ${name}` });
+        if (result) res.json({ success: true, items: result.content[name], version: result.version });
+    }));
+
+    app.get(`${base}/:id`, asyncHandler(async (req, res) => {
+        const { content } = await loadContentView(req);
+        const items = content[name] || [];
+        res.json({ success: true, item: items[findItemIndex(items, req.params.id)] });
+    }));
+
+    app.put(`${base}/:id`, requireAdmin, asyncHandler(async (req, res) => {
+        const fields = requireItemPayload(req.body);
+        let updated;
+        const result = await updateDraft(req, res, (draft) => {
+            const items = [...(draft[name] || [])];
+            updated = { id: req.params.id, ...fields };
+            items[findItemIndex(items, req.params.id)] = updated;
+            return { ...draft, [name]: items };
+        }, { summary: `Updated ${name} item ${req.params.id}` });
+        if (result) res.json({ success: true, item: updated, version: result.version });
+    }));
+
+    app.delete(`${base}/:id`, requireAdmin, asyncHandler(async (req, res) => {
+        const result = await updateDraft(req, res, (draft) => {
+            const items = [...(draft[name] || [])];
+            items.splice(findItemIndex(items, req.params.id), 1);
+            return { ...draft, [name]: items };
+        }, { summary: `Deleted ${name} item ${req.params.id}` });
+        if (result) res.json({ success: true, deleted: req.params.id, version: result.version });
+    }));
+});
+
+// --- Draft Publishing ---
+
+app.get('/api/content/publish', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, ...(await getPublishStatus()) });
+}));
+
+app.post('/api/content/publish', requireAdmin, asyncHandler(async (req, res) => {
+    const { at } = req.body || {};
+    if (at !== undefined && at !== null && at !== '') {
+        const when = new Date(at);
+        if (Number.isNaN(when.getTime())) throw new AppError('Invalid publish date', 400);
+        if (when > new Date()) {
+            const scheduled = await schedulePublish(when, { author: adminAuthor(req) });
+            return res.status(202).json({ success: true, scheduled });
+        }
+    }
+
+    const published = await publishNow({ author: adminAuthor(req) });
+    const { content, ...meta } = published;
+    res.json({ success: true, published: meta });
+}));
+
+app.delete('/api/content/publish/schedules/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const cancelled = await cancelSchedule(req.params.id);
+    if (!cancelled) throw new AppError('Pending schedule not found', 404);
+    res.json({ success: true, cancelled });
+}));
+
+// --- Content Revision History ---
+
+function parseRevisionNumber(value, name = 'revision') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new AppError(`Invalid ${name} number`, 400);
+    }
+    return number;
+}
+
+app.get('/api/content/revisions', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, revisions: await listRevisions() });
+}));
+
+app.get('/api/content/revisions/diff', requireAdmin, asyncHandler(async (req, res) => {
+    const from = parseRevisionNumber(req.query.from, 'from');
+    const to = req.query.to === undefined || req.query.to === 'current' ? undefined : parseRevisionNumber(req.query.to, 'to');
+    const diff = await diffRevisions(from, to);
+    if (!diff) throw new AppError('Revision not found', 404);
+    res.json({ success: true, ...diff });
+}));
+
+app.get('/api/content/revisions/:number', requireAdmin, asyncHandler(async (req, res) => {
+    const revision = await getRevision(parseRevisionNumber(req.params.number));
+    if (!revision) throw new AppError('Revision not found', 404);
+    res.json({ success: true, revision });
+}));
+
+app.post('/api/content/revisions/:number/restore', requireAdmin, asyncHandler(async (req, res) => {
+    const number = parseRevisionNumber(req.params.number);
+    const result = await restoreRevision(number, { author: adminAuthor(req) });
+    if (!result) throw new AppError('Revision not found', 404);
+    if (result.invalid) return sendContentInvalid(res, result.invalid);
+    if (result.conflict) return sendContentConflict(res, result.conflict);
+    console.log(`✅ Content restored to revision #${number} by ${adminAuthor(req)}`);
+    res.set('ETag', contentEtag(result.version));
+    res.json({ success: true, content: result.content, revision: result.revision, etag: contentEtag(result.version) });
+}));
+
+// --- Blog Permalinks and Feeds ---
+
+// Public origin for absolute links; SITE_URL wins when set (e.g. behind a proxy).
+const siteOrigin = (req) => (process.env.SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+// Origin for links in outgoing mail. The Host header is whatever the client
+// sent, so without SITE_URL it is only used when MAIL_LINK_HOSTS (comma-
+// separated) lists it; otherwise this is null and no links are mailed.
+function mailOrigin(req) {
+    if (process.env.SITE_URL) return siteOrigin(req);
+    const allowedHosts = (process.env.MAIL_LINK_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean);
+    return allowedHosts.includes(String(req.get('host') || '').toLowerCase()) ? siteOrigin(req) : null;
+}
+
+app.get('/blog', (req, res) => res.redirect('/#blog'));
+
+// Paginated listing for the blog section. `tag`, `category` and `month`
+// (YYYY-MM) filter the posts; the facets always cover every post so the
+// filter bar and archive stay complete while a filter is active.
+app.get('/api/blog', asyncHandler(async (req, res) => {
+    const { tag, category, month, page, limit } = req.query;
+    if (month !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        throw new AppError('month must use the YYYY-MM format', 400);
+    }
+    const { content } = await loadContentView(req);
+    res.json({ success: true, ...queryPosts(content, { tag, category, month, page, limit }), ...blogFacets(content) });
+}));
+
+app.get('/blog/:slug', asyncHandler(async (req, res) => {
+    const { content, version } = await loadContentView(req);
+    const match = findPost(content, req.params.slug);
+    res.set('Cache-Control', 'no-cache');
+    if (!match) {
+        return res.status(404).type('html').send(renderNotFound({ theme: content.theme, message: 'No blog post lives at this address.' }));
+    }
+    res.type('html').send(renderBlogPost({
+        ...match,
+        theme: content.theme,
+        origin: siteOrigin(req),
+        query: version !== undefined ? '?preview=draft' : '',
+        images: await responsiveImages(content)
+    }));
+}));
+
+function sendFeed(type, contentType) {
+    return asyncHandler(async (req, res) => {
+        const feed = await getFeed(type, siteOrigin(req));
+        res.set({
+            'Content-Type': `${contentType}; charset=utf-8`,
+            'Cache-Control': 'public, max-age=900',
+            ETag: feed.etag,
+            'Last-Modified': feed.lastModified.toUTCString()
+        });
+        if (req.fresh) return res.status(304).end();
+        res.send(feed.body);
+    });
+}
+
+app.get('/feed.xml', sendFeed('rss', 'application/rss+xml'));
+app.get('/atom.xml', sendFeed('atom', 'application/atom+xml'));
+
+// --- Project Pages ---
+
+app.get('/projects', (req, res) => res.redirect('/#projects'));
+
+app.get('/projects/:slug', asyncHandler(async (req, res) => {
+    const { content, version } = await loadContentView(req);
+    const match = findProject(content, req.params.slug);
+    res.set('Cache-Control', 'no-cache');
+    if (!match) {
+        return res.status(404).type('html').send(renderNotFound({ theme: content.theme, message: 'No project lives at this address.' }));
+    }
+    res.type('html').send(renderProjectPage({
+        ...match,
+        theme: content.theme,
+        origin: siteOrigin(req),
+        query: version !== undefined ? '?preview=draft' : '',
+        images: await responsiveImages(content)
+    }));
+}));
+
+// --- Blog Comments ---
+
+function requireUser(req, res, next) {
+    if (!req.signedCookies.user_email) {
+        return res.status(401).json({ success: false, error: 'Log in to continue' });
+    }
+    next();
+}
+
+const commentAuthor = (req) => ({ email: req.signedCookies.user_email, name: req.signedCookies.user_name });
+
+async function commentedPost(req) {
+    const { content } = await loadContentView(req);
+    const match = findPost(content, req.params.slug);
+    if (!match) throw new AppError('Post not found', 404);
+    return match.post;
+}
+
+app.get('/api/blog/:slug/comments', asyncHandler(async (req, res) => {
+    const post = await commentedPost(req);
+    const viewer = req.signedCookies.user_email || null;
+    res.set('Cache-Control', 'no-cache');
+    res.json({
+        success: true,
+        comments: await listThread(post.id, { viewer }),
+        viewer: viewer ? { name: req.signedCookies.user_name || null } : null,
+        editWindowMinutes: COMMENT_EDIT_WINDOW_MS / 60000
+    });
+}));
+
+// The site admin's comments skip the moderation queue.
+app.post('/api/blog/:slug/comments', requireUser, guardForm('comment', (req) => ({ email: req.signedCookies.user_email, text: req.body?.body })), asyncHandler(async (req, res) => {
+    const post = await commentedPost(req);
+    const comment = await addComment({
+        postId: post.id,
+        parentId: req.body?.parentId,
+        author: commentAuthor(req),
+        body: req.body?.body,
+        approved: req.signedCookies.admin_auth === 'true'
+    });
+    res.status(201).json({ success: true, comment });
+}));
+
+app.put('/api/comments/:id', requireUser, asyncHandler(async (req, res) => {
+    const comment = await editComment(req.params.id, req.signedCookies.user_email, req.body?.body);
+    res.json({ success: true, comment });
+}));
+
+app.delete('/api/comments/:id', requireUser, asyncHandler(async (req, res) => {
+    await deleteOwnComment(req.params.id, req.signedCookies.user_email);
+    res.json({ success: true });
+}));
+
+app.get('/api/admin/comments', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, comments: await listForModeration({ status: req.query.status }) });
+}));
+
+app.put('/api/admin/comments/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const comment = await moderateComment(req.params.id, req.body?.status, adminAuthor(req));
+    res.json({ success: true, comment });
+}));
+
+app.delete('/api/admin/comments/:id', requireAdmin, asyncHandler(async (req, res) => {
+    await deleteCommentThread(req.params.id);
+    res.json({ success: true });
+}));
+
+app.get('/api/admin/commenters/blocked', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, blocked: await listBlockedCommenters() });
+}));
+
+app.post('/api/admin/commenters/blocked', requireAdmin, asyncHandler(async (req, res) => {
+    const block = await blockCommenter(req.body?.email, { reason: req.body?.reason, blockedBy: adminAuthor(req) });
+    res.status(201).json({ success: true, block });
+}));
+
+app.delete('/api/admin/commenters/blocked/:id', requireAdmin, asyncHandler(async (req, res) => {
+    await unblockCommenter(req.params.id);
+    res.json({ success: true });
+}));
+
+// --- Reactions and Bookmarks ---
+
+app.get('/api/engagement', asyncHandler(async (req, res) => {
+    const viewer = req.signedCookies.user_email || null;
+    res.set('Cache-Control', 'no-cache');
+    res.json({ success: true, viewer: Boolean(viewer), items: await getEngagement(viewer) });
+}));
+
+function engagementRoute(update, value) {
+    return asyncHandler(async (req, res) => {
+        const { content } = await loadContentView(req);
+        const target = { type: req.params.type, itemId: req.params.itemId, userEmail: req.signedCookies.user_email };
+        res.json({ success: true, ...(await update(content, target, value)) });
+    });
+}
+
+app.put('/api/reactions/:type/:itemId', requireUser, engagementRoute(setReaction, true));
+app.delete('/api/reactions/:type/:itemId', requireUser, engagementRoute(setReaction, false));
+app.put('/api/bookmarks/:type/:itemId', requireUser, engagementRoute(setBookmark, true));
+app.delete('/api/bookmarks/:type/:itemId', requireUser, engagementRoute(setBookmark, false));
+
+app.get('/api/account/bookmarks', requireUser, asyncHandler(async (req, res) => {
+    const { content } = await loadContentView(req);
+    res.json({ success: true, bookmarks: await listSaved(content, req.signedCookies.user_email) });
+}));
+
+// --- Contact Form and Inbox ---
+
+const contactFields = (req) => ({
+    email: req.body?.email,
+    name: req.body?.name,
+    text: [req.body?.subject, req.body?.message].filter(Boolean).join('\n')
+});
+
+// The owner notification is sent after responding so a slow mail API never
+// holds up the visitor; failures only reach the log.
+app.post('/api/contact', guardForm('contact', contactFields), asyncHandler(async (req, res) => {
+    const message = await submitMessage(req.body, { ip: req.ip, userAgent: req.get('user-agent') });
+    res.status(201).json({ success: true, message: 'Thanks! Your message has been sent.' });
+    notifyOwner(message, { origin: mailOrigin(req) }).catch((error) => console.error('Contact notification failed:', error));
+}));
+
+app.get('/api/admin/messages', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, ...(await listMessages({ folder: req.query.folder })) });
+}));
+
+app.put('/api/admin/messages/:id', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, message: await updateMessage(req.params.id, req.body || {}) });
+}));
+
+app.delete('/api/admin/messages/:id', requireAdmin, asyncHandler(async (req, res) => {
+    await deleteMessage(req.params.id);
+    res.json({ success: true });
+}));
+
+// --- Newsletter ---
+
+app.post('/api/newsletter/subscribe', guardForm('newsletter', (req) => ({ email: req.body?.email })), asyncHandler(async (req, res) => {
+    await subscribe(req.body?.email, { origin: mailOrigin(req), ip: req.ip, secret: SESSION_SECRET });
+    res.status(202).json({ success: true, message: 'Almost done! Check your inbox and confirm your subscription.' });
+}));
+
+async function sendNewsletterNotice(res, status, notice) {
+    const content = await getPublishedContent();
+    res.set('Cache-Control', 'no-store');
+    res.status(status).type('html').send(renderNewsletterNotice({ theme: content.theme, ...notice }));
+}
+
+app.get('/newsletter/confirm', asyncHandler(async (req, res) => {
+    const subscriber = await confirmSubscription(req.query.token, { secret: SESSION_SECRET });
+    if (!subscriber) {
+        return sendNewsletterNotice(res, 400, { title: 'Link expired', message: 'This confirmation link is invalid or has expired. Subscribe again to get a new one.' });
+    }
+    sendNewsletterNotice(res, 200, { title: 'You are subscribed', message: `New posts will be sent to ${subscriber.email}. Every email has a link to unsubscribe.` });
+}));
+
+// GET for the link in each email; POST for mail apps' one-click unsubscribe (RFC 8058).
+const unsubscribeRoute = asyncHandler(async (req, res) => {
+    const email = await unsubscribe(req.query.token, { secret: SESSION_SECRET });
+    if (!email) {
+        return sendNewsletterNotice(res, 400, { title: 'Invalid link', message: 'This unsubscribe link is not valid. Use the link from one of our emails.' });
+    }
+    sendNewsletterNotice(res, 200, { title: 'Unsubscribed', message: `${email} will not get any more emails from this blog.` });
+});
+
+app.get('/newsletter/unsubscribe', unsubscribeRoute);
+app.post('/newsletter/unsubscribe', express.urlencoded({ extended: false }), unsubscribeRoute);
+
+app.get('/api/admin/newsletter', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, ...(await getNewsletterOverview()) });
+}));
+
+app.delete('/api/admin/newsletter/subscribers/:id', requireAdmin, asyncHandler(async (req, res) => {
+    await removeSubscriber(req.params.id);
+    res.json({ success: true });
+}));
+
+// Delivery continues after the response; poll the send for progress.
+app.post('/api/admin/newsletter/sends', requireAdmin, asyncHandler(async (req, res) => {
+    const send = await sendPost(req.body?.slug, { resend: req.body?.resend === true, sentBy: adminAuthor(req), origin: mailOrigin(req), secret: SESSION_SECRET });
+    res.status(202).json({ success: true, send });
+}));
+
+app.get('/api/admin/newsletter/sends/:id', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, send: await getSend(req.params.id) });
+}));
+
+app.post('/api/admin/newsletter/sends/:id/retry', requireAdmin, asyncHandler(async (req, res) => {
+    res.status(202).json({ success: true, send: await retrySend(req.params.id, { origin: mailOrigin(req), secret: SESSION_SECRET }) });
+}));
+
+// --- Rejected Form Submissions ---
+
+app.get('/api/admin/form-rejections', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, ...(await listRejections({ form: req.query.form })) });
+}));
+
+app.delete('/api/admin/form-rejections/:id', requireAdmin, asyncHandler(async (req, res) => {
+    await deleteRejection(req.params.id);
+    res.json({ success: true });
+}));
+
+app.delete('/api/admin/form-rejections', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, removed: await clearRejections({ form: req.query.form }) });
+}));
+
+// --- Media Library ---
+
+const rawUpload = express.raw({ type: () => true, limit: MEDIA_MAX_BYTES });
+
+// Uploads arrive as the raw file body; the name and alt text ride in the query.
+function readUpload(req, res, next) {
+    rawUpload(req, res, (error) => {
+        if (error?.type === 'entity.too.large') return next(uploadTooLarge());
+        next(error);
+    });
+}
+
+// Sizes and resized variants of the uploads the (draft or published) site uses.
+app.get('/api/media', asyncHandler(async (req, res) => {
+    const { content } = await loadContentView(req);
+    res.set('Cache-Control', 'no-cache');
+    res.json({ success: true, images: await responsiveImages(content) });
+}));
+
+app.get('/api/admin/media', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, media: await listMedia(), maxBytes: MEDIA_MAX_BYTES });
+}));
+
+app.post('/api/admin/media', requireAdmin, readUpload, asyncHandler(async (req, res) => {
+    const media = await saveUpload(req.body, { originalName: req.query.name, alt: req.query.alt, uploadedBy: adminAuthor(req) });
+    res.status(media.duplicate ? 200 : 201).json({ success: true, media });
+}));
+
+app.put('/api/admin/media/:id', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, media: await updateMediaAlt(req.params.id, req.body?.alt) });
+}));
+
+app.delete('/api/admin/media/:id', requireAdmin, asyncHandler(async (req, res) => {
+    await deleteMedia(req.params.id, { force: req.query.force === 'true' });
+    res.json({ success: true });
+}));
+
+// --- Analytics ---
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_REPORT_DAYS = 366;
+
+// `from`/`to` are inclusive UTC days; the default is the last 30 days.
+function parseDayRange(query) {
+    const to = query.to ?? dayOf(new Date());
+    const from = query.from ?? dayOf(new Date(Date.parse(`${to}T00:00:00Z`) - 29 * 24 * 60 * 60 * 1000));
+    [from, to].forEach((day) => {
+        if (!DAY_PATTERN.test(day) || Number.isNaN(Date.parse(`${day}T00:00:00Z`))) {
+            throw new AppError('Dates must use the YYYY-MM-DD format', 400);
+        }
+    });
+    const span = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (span < 1) throw new AppError('"from" must not be after "to"', 400);
+    if (span > MAX_REPORT_DAYS) throw new AppError(`Date range is limited to ${MAX_REPORT_DAYS} days`, 400);
+    return { from, to };
+}
+
+// Beacons are only counted for visitors who allowed analytics in the consent
+// banner and send neither Do-Not-Track nor Global Privacy Control. Admin
+// sessions and crawlers are never counted.
+function shouldRecordAnalytics(req) {
+    if (req.signedCookies.admin_auth === 'true' || isBot(req.get('User-Agent'))) return false;
+    if (optedOutOfTracking(req.get('DNT'), req.get('Sec-GPC'))) return false;
+    return parseConsent(req.cookies[CONSENT_COOKIE]).analytics;
+}
+
+// Sent by the public site once per page load.
+app.post('/api/analytics/pageview', asyncHandler(async (req, res) => {
+    const userAgent = req.get('User-Agent');
+    if (shouldRecordAnalytics(req)) {
+        await recordPageView({
+            path: req.body?.path,
+            referrer: req.body?.referrer,
+            visitorId: hashVisitor(req.ip, userAgent, SESSION_SECRET),
+            siteHost: req.hostname
+        });
+    }
+    res.status(204).end();
+}));
+
+app.post('/api/analytics/sections', asyncHandler(async (req, res) => {
+    const userAgent = req.get('User-Agent');
+    if (shouldRecordAnalytics(req)) {
+        await recordSectionViews({
+            sections: req.body?.sections,
+            visitorId: hashVisitor(req.ip, userAgent, SESSION_SECRET)
+        });
+    }
+    res.status(204).end();
+}));
+
+const parseReportLimit = (value) => Math.min(Math.max(Number.parseInt(value, 10) || 10, 1), 100);
+
+app.get('/api/analytics/summary', requireAdmin, asyncHandler(async (req, res) => {
+    const { from, to } = parseDayRange(req.query);
+    res.json({ success: true, ...(await getAnalyticsReport({ from, to, limit: parseReportLimit(req.query.limit) })) });
+}));
+
+app.get('/api/analytics/export', requireAdmin, asyncHandler(async (req, res) => {
+    const { from, to } = parseDayRange(req.query);
+    const table = req.query.table ?? 'days';
+    if (!CSV_TABLES.includes(table)) {
+        throw new AppError(`table must be one of: ${CSV_TABLES.join(', ')}`, 400);
+    }
+    const report = await getAnalyticsReport({ from, to, limit: parseReportLimit(req.query.limit ?? 100) });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="analytics-${table}-${from}-to-${to}.csv"`);
+    res.send(reportToCsv(report, table));
+}));
+
 app.use((req, res, next) => next(new AppError(`Not Found - ${req.originalUrl}`, 404)));
 
 app.use((err, req, res, next) => {
@@ -515,6 +1184,11 @@ server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`Admin Panel at http://localhost:${PORT}/admin`);
 });
 
+startPublishScheduler();
+startAnalyticsRollups();
+ensureStableIds().catch((error) => console.error('Item id migration failed:', error));
+backfillDerivatives().catch((error) => console.error('Media variant backfill failed:', error));
+
 process.on('unhandledRejection', (reason) => {
     console.error('Unhandled Rejection:', reason);
     if (server && typeof server.close === 'function') {
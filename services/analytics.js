@@ -0,0 +1,187 @@
+import crypto from "crypto";
+import * as db from "../database.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RAW_RETENTION_DAYS = 90;
+const ROLLUP_INTERVAL_MS = 60 * 60 * 1000;
+const SECTION_ID_PATTERN = /^[A-Za-z][\w-]{0,63}$/;
+const MAX_SECTIONS_PER_BEACON = 50;
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|headless|lighthouse/i;
+let rollupTimer = null;
+
+/** UTC calendar day, e.g. `2024-05-01`. Views, rollups and report ranges all use this form. */
+export const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (day, count) => dayOf(new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS));
+
+/**
+ * Pseudonymous visitor id: a salted hash of IP and user agent, so uniques can
+ * be counted without storing either.
+ */
+export function hashVisitor(ip, userAgent, salt) {
+  return crypto.createHash("sha256").update(`${salt}|${ip || ""}|${userAgent || ""}`).digest("hex").slice(0, 32);
+}
+
+export const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+function normalizePath(path) {
+  if (typeof path !== "string" || !path.startsWith("/")) return "/";
+  return path.split(/[?#]/)[0].slice(0, 200) || "/";
+}
+
+// Only the referring host is kept; links inside the site are not referrals.
+function referrerHost(referrer, siteHost) {
+  if (typeof referrer !== "string" || !referrer) return null;
+  try {
+    const { hostname } = new URL(referrer);
+    if (!hostname || hostname === siteHost) return null;
+    return hostname.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+export async function recordPageView({ path, referrer, visitorId, siteHost, at = new Date() }) {
+  return db.addPageView({
+    at: at.toISOString(),
+    day: dayOf(at),
+    path: normalizePath(path),
+    referrer: referrerHost(referrer, siteHost),
+    visitorId
+  });
+}
+
+/** Records which page sections a visitor scrolled into view; unknown-looking ids are dropped. */
+export async function recordSectionViews({ sections, visitorId, at = new Date() }) {
+  const ids = [...new Set(Array.isArray(sections) ? sections : [])]
+    .filter((id) => typeof id === "string" && SECTION_ID_PATTERN.test(id))
+    .slice(0, MAX_SECTIONS_PER_BEACON);
+  for (const section of ids) {
+    await db.addSectionView({ at: at.toISOString(), day: dayOf(at), section, visitorId });
+  }
+  return ids.length;
+}
+
+const countBy = (views, key) => views.reduce((counts, view) => {
+  if (view[key]) counts[view[key]] = (counts[view[key]] || 0) + 1;
+  return counts;
+}, {});
+
+function groupByDay(views) {
+  const days = new Map();
+  views.forEach((view) => {
+    if (!days.has(view.day)) days.set(view.day, []);
+    days.get(view.day).push(view);
+  });
+  return days;
+}
+
+function summarizeDay(day, views = [], sectionViews = []) {
+  return {
+    day,
+    views: views.length,
+    visitors: [...new Set(views.map((view) => view.visitorId))],
+    referrers: countBy(views, "referrer"),
+    paths: countBy(views, "path"),
+    sections: countBy(sectionViews, "section")
+  };
+}
+
+const topEntries = (counts, key, limit) => Object.entries(counts)
+  .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+  .slice(0, limit)
+  .map(([name, views]) => ({ [key]: name, views }));
+
+function mergeCounts(target, counts) {
+  Object.entries(counts || {}).forEach(([name, count]) => {
+    target[name] = (target[name] || 0) + count;
+  });
+  return target;
+}
+
+/**
+ * Views, unique visitors and the top referrers, paths and sections for the
+ * inclusive day range `from`..`to`. Visitors seen on several days count once
+ * in the totals.
+ */
+export async function getAnalyticsReport({ from, to, limit = 10, now = new Date() }) {
+  const today = dayOf(now);
+  const range = { day: { $gte: from, $lte: to } };
+  const [views, sectionViews, rollups] = await Promise.all([db.listPageViews(range), db.listSectionViews(range), db.listDailyRollups(range)]);
+  const viewsByDay = groupByDay(views);
+  const sectionsByDay = groupByDay(sectionViews);
+  const rolledUp = new Map(rollups.map((rollup) => [rollup.day, rollup]));
+
+  // Finished days come from their rollup (saved here on first use); today is
+  // summarized live from the raw views.
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    if (rolledUp.has(day) && day < today) {
+      days.push(rolledUp.get(day));
+      continue;
+    }
+    const stats = summarizeDay(day, viewsByDay.get(day), sectionsByDay.get(day));
+    if (day < today) await db.saveDailyRollup(stats);
+    days.push(stats);
+  }
+
+  const visitors = new Set(days.flatMap((day) => day.visitors));
+  const referrers = days.reduce((counts, day) => mergeCounts(counts, day.referrers), {});
+  const paths = days.reduce((counts, day) => mergeCounts(counts, day.paths), {});
+  const sections = days.reduce((counts, day) => mergeCounts(counts, day.sections), {});
+
+  return {
+    range: { from, to },
+    totals: { views: days.reduce((sum, day) => sum + day.views, 0), uniqueVisitors: visitors.size },
+    days: days.map((day) => ({ day: day.day, views: day.views, uniqueVisitors: day.visitors.length })),
+    topReferrers: topEntries(referrers, "referrer", limit),
+    topPaths: topEntries(paths, "path", limit),
+    topSections: topEntries(sections, "section", limit)
+  };
+}
+
+/**
+ * Rolls up finished days that have raw views but no rollup yet, then drops
+ * raw views older than the retention window; reports for those days use the
+ * rollups.
+ */
+export async function runAnalyticsMaintenance(now = new Date()) {
+  const today = dayOf(now);
+  const cutoff = addDays(today, -RAW_RETENTION_DAYS);
+  const [views, sectionViews, rollups] = await Promise.all([db.listPageViews(), db.listSectionViews(), db.listDailyRollups()]);
+  const viewsByDay = groupByDay(views);
+  const sectionsByDay = groupByDay(sectionViews);
+  const rolledUp = new Set(rollups.map((rollup) => rollup.day));
+  const finishedDays = [...new Set([...viewsByDay.keys(), ...sectionsByDay.keys()])].filter((day) => day < today && !rolledUp.has(day));
+
+  for (const day of finishedDays) await db.saveDailyRollup(summarizeDay(day, viewsByDay.get(day), sectionsByDay.get(day)));
+  const expiredViews = views.filter((view) => view.day < cutoff);
+  const expiredSections = sectionViews.filter((view) => view.day < cutoff);
+  for (const view of expiredViews) await db.deletePageView(view.id);
+  for (const view of expiredSections) await db.deleteSectionView(view.id);
+  return { rolledUp: finishedDays.length, pruned: expiredViews.length + expiredSections.length };
+}
+
+export const CSV_TABLES = ["days", "referrers", "paths", "sections"];
+
+const csvCell = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+
+/** CSV export of a report: one row per day, or one per referrer, path or section. */
+export function reportToCsv(report, table = "days") {
+  const tables = {
+    days: [["day", "views", "unique_visitors"], report.days.map((row) => [row.day, row.views, row.uniqueVisitors])],
+    referrers: [["referrer", "views"], report.topReferrers.map((row) => [row.referrer, row.views])],
+    paths: [["path", "views"], report.topPaths.map((row) => [row.path, row.views])],
+    sections: [["section", "views"], report.topSections.map((row) => [row.section, row.views])]
+  };
+  const [header, rows] = tables[table] || tables.days;
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+export function startAnalyticsRollups() {
+  if (rollupTimer) return;
+  rollupTimer = setInterval(() => {
+    runAnalyticsMaintenance().catch((error) => console.error("Analytics rollup failed:", error));
+  }, ROLLUP_INTERVAL_MS);
+  rollupTimer.unref?.();
+}
@@ -0,0 +1,91 @@
+import { withSlugs } from "../utils/slugs.js";
+
+const isPost = (post) => !!post && typeof post === "object";
+
+/** Whether a post is on the public site. Posts flagged `published: false` are hidden everywhere. */
+export const isPostVisible = (post) => isPost(post) && post.published !== false;
+
+/**
+ * Blog posts of a content document in display order, each with a slug.
+ * Hidden posts are left out unless `includeHidden` (admin views).
+ */
+export function listPosts(content, { includeHidden = false } = {}) {
+  return withSlugs(content?.blog, "post").filter((post) => isPost(post) && (includeHidden || isPostVisible(post)));
+}
+
+/** `content` as visitors see it, without hidden posts; for whole-document responses. */
+export function publicContent(content) {
+  if (!Array.isArray(content?.blog)) return content;
+  return { ...content, blog: content.blog.filter(isPostVisible) };
+}
+
+/** The post with `slug` plus its neighbours in list order, or null. */
+export function findPost(content, slug) {
+  const posts = listPosts(content);
+  const index = posts.findIndex((post) => post.slug === slug);
+  if (index < 0) return null;
+  return { post: posts[index], previous: posts[index - 1] || null, next: posts[index + 1] || null };
+}
+
+const DEFAULT_PAGE_SIZE = 6;
+const MAX_PAGE_SIZE = 50;
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+export const postTags = (post) => (Array.isArray(post.tags) ? post.tags.filter((tag) => typeof tag === "string" && tag.trim()) : []);
+
+/** `YYYY-MM` of a post's date, or null when the date does not parse. */
+export function postMonth(post) {
+  const date = String(post.date || "");
+  if (/^\d{4}-(0[1-9]|1[0-2])(\b|$)/.test(date)) return date.slice(0, 7);
+  // Free-form dates ("March 5, 2026") parse in local time, so read them back the same way
+  const parsed = new Date(date);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, "0")}`;
+}
+
+// Facet counts in first-seen order; differently cased spellings share the first one.
+function countValues(values) {
+  const counts = [];
+  values.forEach((value) => {
+    const existing = counts.find((entry) => sameText(entry.name, value));
+    if (existing) existing.count += 1;
+    else counts.push({ name: value.trim(), count: 1 });
+  });
+  return counts;
+}
+
+/** Tags, categories and months across all posts, for filters and the archive. */
+export function blogFacets(content) {
+  const posts = listPosts(content);
+  const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+  return {
+    tags: countValues(posts.flatMap(postTags)).sort(byCount),
+    categories: countValues(posts.map((post) => post.category).filter((value) => typeof value === "string" && value.trim())).sort(byCount),
+    archive: countValues(posts.map(postMonth).filter(Boolean)).sort((a, b) => b.name.localeCompare(a.name))
+  };
+}
+
+const toPositiveInt = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * One page of posts matching `tag`, `category` and `month` (`YYYY-MM`), all
+ * optional and case-insensitive. Pages are 1-based; `limit` is capped.
+ */
+export function queryPosts(content, { tag, category, month, page, limit } = {}) {
+  const pageSize = Math.min(toPositiveInt(limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const matching = listPosts(content).filter((post) =>
+    (!tag || postTags(post).some((postTag) => sameText(postTag, tag)))
+    && (!category || sameText(post.category || "", category))
+    && (!month || postMonth(post) === month)
+  );
+  const totalPages = Math.max(1, Math.ceil(matching.length / pageSize));
+  const current = Math.min(toPositiveInt(page, 1), totalPages);
+  return {
+    posts: matching.slice((current - 1) * pageSize, current * pageSize),
+    pagination: { page: current, limit: pageSize, total: matching.length, totalPages }
+  };
+}
@@ -0,0 +1,180 @@
+import * as db from "../database.js";
+import AppError from "../utils/AppError.js";
+import { listPosts } from "./blog.js";
+
+export const COMMENT_STATUSES = ["pending", "approved", "rejected", "spam"];
+
+// Authors can fix typos for a short while; after that a comment is final.
+export const COMMENT_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_COMMENT_LENGTH = 5000;
+
+function cleanBody(body) {
+  const text = typeof body === "string" ? body.trim() : "";
+  if (!text) throw new AppError("Comment cannot be empty", 400);
+  if (text.length > MAX_COMMENT_LENGTH) throw new AppError(`Comment must be at most ${MAX_COMMENT_LENGTH} characters`, 400);
+  return text;
+}
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+const editableUntil = (comment) => new Date(Date.parse(comment.createdAt) + COMMENT_EDIT_WINDOW_MS);
+
+async function findBlock(email) {
+  const [block] = await db.listBlockedCommenters({ email: normalizeEmail(email) });
+  return block || null;
+}
+
+// What readers of a post see; the author's email never leaves the server.
+function publicComment(comment, viewer, now) {
+  const mine = Boolean(viewer) && comment.authorEmail === viewer && !comment.deleted;
+  return {
+    id: comment.id,
+    parentId: comment.parentId || null,
+    authorName: comment.deleted ? null : comment.authorName,
+    body: comment.deleted ? "" : comment.body,
+    deleted: Boolean(comment.deleted),
+    status: comment.status,
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt || null,
+    mine,
+    canEdit: mine && now < editableUntil(comment),
+    replies: []
+  };
+}
+
+/**
+ * Comments of a post as a tree, oldest first at every level. Readers see
+ * approved comments; `viewer` (an email) also sees their own pending ones.
+ * Replies under a comment that is hidden again are hidden with it.
+ */
+export async function listThread(postId, { viewer, now = new Date() } = {}) {
+  const email = viewer ? normalizeEmail(viewer) : null;
+  const visible = (await db.listComments({ postId }))
+    .filter((comment) => comment.status === "approved" || (email && comment.authorEmail === email && comment.status === "pending"));
+  const nodes = new Map(visible.map((comment) => [comment.id, publicComment(comment, email, now)]));
+
+  const roots = [];
+  nodes.forEach((node) => {
+    if (!node.parentId) roots.push(node);
+    else nodes.get(node.parentId)?.replies.push(node);
+  });
+  return roots;
+}
+
+/**
+ * New comments wait in the moderation queue unless `approved` is set (used
+ * for the site admin). Replies must target an approved comment on the same post.
+ */
+export async function addComment({ postId, parentId, author, body, approved = false }) {
+  const email = normalizeEmail(author?.email);
+  if (await findBlock(email)) throw new AppError("You can no longer comment on this site", 403);
+  const text = cleanBody(body);
+
+  if (parentId) {
+    const parent = await db.getComment(parentId);
+    if (!parent || parent.postId !== postId || parent.status !== "approved" || parent.deleted) {
+      throw new AppError("The comment you are replying to is not available", 400);
+    }
+  }
+
+  const comment = await db.addComment({
+    postId,
+    parentId: parentId || null,
+    authorEmail: email,
+    authorName: author.name || email.split("@")[0],
+    body: text,
+    status: approved ? "approved" : "pending"
+  });
+  console.log(`💬 Comment ${comment.id} on post ${postId} by ${email} (${comment.status})`);
+  return publicComment(comment, email, new Date());
+}
+
+async function ownComment(id, email) {
+  const comment = await db.getComment(id);
+  if (!comment || comment.deleted) throw new AppError("Comment not found", 404);
+  if (comment.authorEmail !== normalizeEmail(email)) throw new AppError("You can only change your own comments", 403);
+  return comment;
+}
+
+export async function editComment(id, email, body, now = new Date()) {
+  const comment = await ownComment(id, email);
+  if (!["pending", "approved"].includes(comment.status)) throw new AppError("This comment can no longer be edited", 403);
+  if (now >= editableUntil(comment)) {
+    throw new AppError(`Comments can only be edited for ${COMMENT_EDIT_WINDOW_MS / 60000} minutes after posting`, 403);
+  }
+  const updated = await db.updateComment(id, { body: cleanBody(body), editedAt: now.toISOString() });
+  return publicComment(updated, normalizeEmail(email), now);
+}
+
+// A comment with replies becomes a "deleted" placeholder so the thread stays readable.
+export async function deleteOwnComment(id, email) {
+  const comment = await ownComment(id, email);
+  const replies = await db.listComments({ parentId: comment.id });
+  if (replies.length) {
+    await db.updateComment(id, { deleted: true, body: "", deletedAt: new Date().toISOString() });
+  } else {
+    await db.deleteComment(id);
+  }
+}
+
+// --- Moderation ---
+
+/** Comments with `status` (default: the pending queue), newest first, with their post title. */
+export async function listForModeration({ status = "pending" } = {}) {
+  if (!COMMENT_STATUSES.includes(status)) throw new AppError(`status must be one of: ${COMMENT_STATUSES.join(", ")}`, 400);
+  const [comments, blocked, content] = await Promise.all([
+    db.listComments({ status }),
+    db.listBlockedCommenters(),
+    db.getContent()
+  ]);
+  const titles = new Map(listPosts(content, { includeHidden: true }).map((post) => [post.id, post.title]));
+  const blockedEmails = new Set(blocked.map((block) => block.email));
+  return comments
+    .filter((comment) => !comment.deleted)
+    .reverse()
+    .map((comment) => ({
+      ...comment,
+      postTitle: titles.get(comment.postId) || null,
+      authorBlocked: blockedEmails.has(comment.authorEmail)
+    }));
+}
+
+export async function moderateComment(id, status, moderator) {
+  if (!COMMENT_STATUSES.includes(status)) throw new AppError(`status must be one of: ${COMMENT_STATUSES.join(", ")}`, 400);
+  const updated = await db.updateComment(id, { status, moderatedBy: moderator, moderatedAt: new Date().toISOString() });
+  if (!updated) throw new AppError("Comment not found", 404);
+  console.log(`🛡️ Comment ${id} marked ${status} by ${moderator}`);
+  return updated;
+}
+
+/** Removes a comment and every reply below it. */
+export async function deleteCommentThread(id) {
+  const comment = await db.getComment(id);
+  if (!comment) throw new AppError("Comment not found", 404);
+  const replies = await db.listComments({ parentId: id });
+  for (const reply of replies) await deleteCommentThread(reply.id);
+  await db.deleteComment(id);
+}
+
+export async function listBlockedCommenters() {
+  const blocked = await db.listBlockedCommenters();
+  return blocked.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/** Blocks `email` from commenting and rejects whatever it still has in the queue. */
+export async function blockCommenter(email, { reason, blockedBy } = {}) {
+  const address = normalizeEmail(email);
+  if (!/^\S+@\S+\.\S+$/.test(address)) throw new AppError("A valid email address is required", 400);
+  const existing = await findBlock(address);
+  if (existing) return existing;
+
+  const block = await db.addBlockedCommenter({ email: address, reason: String(reason || "").slice(0, 500), blockedBy });
+  const pending = await db.listComments({ authorEmail: address, status: "pending" });
+  for (const comment of pending) await moderateComment(comment.id, "rejected", blockedBy);
+  console.log(`🚫 Commenter ${address} blocked by ${blockedBy}`);
+  return block;
+}
+
+export async function unblockCommenter(id) {
+  if (!(await db.deleteBlockedCommenter(id))) throw new AppError("Block not found", 404);
+}
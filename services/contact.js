@@ -0,0 +1,90 @@
+import * as db from "../database.js";
+import AppError from "../utils/AppError.js";
+import { sendMail } from "./mailer.js";
+import { contactNotification } from "../views/emails.js";
+
+/** Inbox views: unarchived messages, archived ones, or everything. */
+export const INBOX_FOLDERS = ["inbox", "archived", "all"];
+
+const LIMITS = { name: 100, email: 320, subject: 200, message: 5000 };
+
+function field(input, key, { required = false, label = key } = {}) {
+  const value = typeof input?.[key] === "string" ? input[key].trim() : "";
+  if (required && !value) throw new AppError(`Please enter your ${label}`, 400);
+  if (value.length > LIMITS[key]) throw new AppError(`Your ${label} must be at most ${LIMITS[key]} characters`, 400);
+  return value;
+}
+
+/** Validates and stores a contact form submission; new messages start unread. */
+export async function submitMessage(input, { ip, userAgent } = {}) {
+  const name = field(input, "name", { required: true });
+  const email = field(input, "email", { required: true, label: "email address" }).toLowerCase();
+  if (!/^\S+@\S+\.\S+$/.test(email)) throw new AppError("Please enter a valid email address", 400);
+  const subject = field(input, "subject");
+  const message = field(input, "message", { required: true });
+
+  const saved = await db.addContactMessage({
+    name,
+    email,
+    subject,
+    message,
+    read: false,
+    archived: false,
+    repliedAt: null,
+    ip: ip || null,
+    userAgent: String(userAgent || "").slice(0, 300)
+  });
+  console.log(`✉️ Contact message ${saved.id} from ${email}`);
+  return saved;
+}
+
+// CONTACT_NOTIFY_EMAIL, else the address shown in the site's contact section, else ADMIN_EMAIL.
+async function ownerAddress() {
+  if (process.env.CONTACT_NOTIFY_EMAIL) return process.env.CONTACT_NOTIFY_EMAIL;
+  const published = await db.getPublishedContent();
+  return published?.content?.contact?.email || process.env.ADMIN_EMAIL || null;
+}
+
+/**
+ * Emails the site owner about a new message; resolves to the sendMail result.
+ * Without a trusted `origin` the email leaves out the admin inbox link.
+ */
+export async function notifyOwner(message, { origin }) {
+  const to = await ownerAddress();
+  if (!to) {
+    console.log(`[MAIL] Skipping contact notification for ${message.id}: no owner address.`);
+    return { ok: false, skipped: true, provider: null, error: "No owner address" };
+  }
+  const { subject, html, text } = contactNotification(message, { inboxUrl: origin ? `${origin}/admin` : null });
+  return sendMail({ to, subject, html, text, replyTo: message.email });
+}
+
+/** Messages in `folder`, newest first, plus the unread count across the inbox. */
+export async function listMessages({ folder = "inbox" } = {}) {
+  if (!INBOX_FOLDERS.includes(folder)) throw new AppError(`folder must be one of: ${INBOX_FOLDERS.join(", ")}`, 400);
+  const messages = await db.listContactMessages();
+  return {
+    messages: messages.filter((message) => folder === "all" || message.archived === (folder === "archived")),
+    unread: messages.filter((message) => !message.read && !message.archived).length
+  };
+}
+
+/** Sets `read`, `archived` and/or `replied` (which stamps `repliedAt` and marks the message read). */
+export async function updateMessage(id, changes = {}) {
+  const updates = {};
+  ["read", "archived"].forEach((key) => {
+    if (changes[key] === undefined) return;
+    if (typeof changes[key] !== "boolean") throw new AppError(`${key} must be true or false`, 400);
+    updates[key] = changes[key];
+  });
+  if (changes.replied === true) Object.assign(updates, { read: true, repliedAt: new Date().toISOString() });
+  if (!Object.keys(updates).length) throw new AppError("Nothing to update", 400);
+
+  const message = await db.updateContactMessage(id, updates);
+  if (!message) throw new AppError("Message not found", 404);
+  return message;
+}
+
+export async function deleteMessage(id) {
+  if (!(await db.deleteContactMessage(id))) throw new AppError("Message not found", 404);
+}
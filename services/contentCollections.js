@@ -0,0 +1,26 @@
+import * as db from "../database.js";
+import { commitContent } from "./contentHistory.js";
+import { assignItemIds, hasMissingIds } from "../utils/contentItems.js";
+
+const withoutId = ({ id, ...rest }) => JSON.stringify(rest);
+
+/**
+ * One-off migration for content saved before items had ids: assigns ids to the
+ * draft, then reuses them for identical items in the published copy so both
+ * sides agree on which item is which.
+ */
+export async function ensureStableIds() {
+  const draft = await db.getContentEntry();
+  let draftContent = draft.value || {};
+  if (hasMissingIds(draftContent)) {
+    const result = await commitContent(assignItemIds(draftContent), { author: "system", summary: "Assigned stable item ids" });
+    if (result.content) draftContent = result.content;
+  }
+
+  const published = await db.getPublishedContent();
+  if (published && hasMissingIds(published.content)) {
+    const lookupId = (collection, item) =>
+      (draftContent[collection] || []).find((candidate) => withoutId(candidate) === withoutId(item))?.id;
+    await db.setPublishedContent({ ...published, content: assignItemIds(published.content, lookupId) });
+  }
+}
@@ -0,0 +1,129 @@
+import * as db from "../database.js";
+import { diffContent, summarizeChanges } from "../utils/contentDiff.js";
+import { validateContentUpdate } from "../utils/contentSchema.js";
+import { assignItemIds, assignSlugs } from "../utils/contentItems.js";
+
+// Older documents still carry the view counter that used to live inside the
+// content blob; it is not an edit, so it stays out of diffs and restores.
+const UNTRACKED_KEYS = ["analytics"];
+
+function withoutUntracked(content) {
+  const copy = { ...(content || {}) };
+  UNTRACKED_KEYS.forEach((key) => delete copy[key]);
+  return copy;
+}
+
+export function diffRevisionContent(before, after) {
+  return diffContent(withoutUntracked(before), withoutUntracked(after));
+}
+
+// Oldest revisions beyond this many are dropped after each save
+const REVISION_LIMIT = Math.max(Number.parseInt(process.env.CONTENT_REVISION_LIMIT, 10) || 200, 2);
+
+function toSummary(revision) {
+  const { content, ...meta } = revision;
+  return meta;
+}
+
+// Takes the next free number; a number claimed by a concurrent save is
+// skipped rather than recorded twice.
+async function addRevision(content, { author, summary, changeCount, version }) {
+  for (let number = (await db.getLatestRevisionNumber()) + 1; ; number++) {
+    try {
+      return await db.addContentRevision({ number, author: author || "unknown", summary, changeCount, version, content });
+    } catch (error) {
+      if (!(await db.listContentRevisions({ number })).length) throw error;
+    }
+  }
+}
+
+async function pruneRevisions(latest) {
+  const expired = await db.listContentRevisions({ number: { $lte: latest - REVISION_LIMIT } });
+  for (const revision of expired) await db.deleteContentRevision(revision.number);
+}
+
+/**
+ * Saves site content and records it as a new numbered revision.
+ * Collection items without an id get one assigned, and blog posts and
+ * projects without a slug get one from their title, before saving.
+ * Content failing the schema is not written; `{ invalid }` lists the errors.
+ * Errors the stored content already had do not block the save and are
+ * returned as `warnings` instead.
+ * The write only lands if the stored content is still at `expectedVersion`
+ * (defaults to the version read here); otherwise `{ conflict }` carries the
+ * current entry. The first tracked save also snapshots whatever was stored
+ * before it, so the pre-history state can be restored. Only the newest
+ * CONTENT_REVISION_LIMIT (default 200) revisions are kept.
+ */
+export async function commitContent(candidate, { author, summary, expectedVersion } = {}) {
+  const nextContent = assignSlugs(assignItemIds(candidate));
+  const current = await db.getContentEntry();
+  const previous = current.value || {};
+  const { errors, warnings } = validateContentUpdate(previous, nextContent);
+  if (errors.length) return { invalid: errors };
+
+  const baseVersion = expectedVersion ?? current.version;
+  if (baseVersion !== current.version) return { conflict: current };
+
+  const changes = diffRevisionContent(previous, nextContent);
+  if (!changes.length) return { content: previous, version: current.version, revision: null, warnings };
+
+  const saved = await db.compareAndSetContent(nextContent, baseVersion);
+  if (!saved) return { conflict: await db.getContentEntry() };
+
+  if ((await db.getLatestRevisionNumber()) === 0) {
+    await addRevision(previous, { author: "system", summary: "Baseline before first tracked save", changeCount: 0, version: current.version });
+  }
+
+  const revision = await addRevision(saved.value, {
+    author,
+    summary: summary || summarizeChanges(changes),
+    changeCount: changes.length,
+    version: saved.version
+  });
+  await pruneRevisions(revision.number);
+  return { content: saved.value, version: saved.version, revision: toSummary(revision), warnings };
+}
+
+export async function listRevisions() {
+  return db.listContentRevisions();
+}
+
+export async function getRevision(number) {
+  return db.getContentRevision(number);
+}
+
+/** Diff between two revisions; `to` defaults to the live content. */
+export async function diffRevisions(fromNumber, toNumber) {
+  const from = await db.getContentRevision(fromNumber);
+  if (!from) return null;
+
+  let toContent;
+  if (toNumber === undefined) {
+    toContent = (await db.getContent()) || {};
+  } else {
+    const to = await db.getContentRevision(toNumber);
+    if (!to) return null;
+    toContent = to.content;
+  }
+
+  return {
+    from: fromNumber,
+    to: toNumber ?? "current",
+    changes: diffRevisionContent(from.content, toContent)
+  };
+}
+
+export async function restoreRevision(number, { author } = {}) {
+  const revision = await db.getContentRevision(number);
+  if (!revision) return null;
+
+  const { value: current } = await db.getContentEntry();
+  const restored = { ...revision.content };
+  UNTRACKED_KEYS.forEach((key) => {
+    if (current?.[key] !== undefined) restored[key] = current[key];
+    else delete restored[key];
+  });
+
+  return commitContent(restored, { author, summary: `Restored revision #${number}` });
+}
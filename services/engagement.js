@@ -0,0 +1,91 @@
+import * as db from "../database.js";
+import AppError from "../utils/AppError.js";
+import { listPosts } from "./blog.js";
+import { listProjects } from "./projects.js";
+
+/** Content collections readers can react to and bookmark. */
+export const ENGAGEABLE_TYPES = ["projects", "blog"];
+
+const itemKey = (type, itemId) => `${type}:${itemId}`;
+
+// Title, summary and public link of an item, or null when it is not in `content`.
+function describeItem(content, type, itemId) {
+  if (type === "blog") {
+    const post = listPosts(content).find((candidate) => candidate.id === itemId);
+    return post ? { title: post.title, summary: post.summary || "", link: `/blog/${encodeURIComponent(post.slug)}` } : null;
+  }
+  const project = listProjects(content).find((candidate) => candidate.id === itemId);
+  return project ? { title: project.title, summary: project.description || "", link: `/projects/${encodeURIComponent(project.slug)}` } : null;
+}
+
+function requireItem(content, type, itemId) {
+  const item = ENGAGEABLE_TYPES.includes(type) ? describeItem(content, type, itemId) : null;
+  if (!item) throw new AppError("Item not found", 404);
+  return item;
+}
+
+// One reaction per account and item, even where older data holds duplicates
+function uniqueReactions(reactions) {
+  const seen = new Set();
+  return reactions.filter((reaction) => {
+    const key = `${itemKey(reaction.type, reaction.itemId)}|${reaction.userEmail}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Reaction counts keyed by `type:itemId` (e.g. `blog:post_1a2b`). With a
+ * `viewer` email, each entry also says whether they reacted or bookmarked.
+ */
+export async function getEngagement(viewer) {
+  const [reactions, bookmarks] = await Promise.all([
+    db.listReactions(),
+    viewer ? db.listBookmarks({ userEmail: viewer }) : []
+  ]);
+  const items = {};
+  const entry = (record) => (items[itemKey(record.type, record.itemId)] ||= { reactions: 0, reacted: false, bookmarked: false });
+  uniqueReactions(reactions).forEach((reaction) => {
+    const counts = entry(reaction);
+    counts.reactions += 1;
+    if (reaction.userEmail === viewer) counts.reacted = true;
+  });
+  bookmarks.forEach((bookmark) => {
+    entry(bookmark).bookmarked = true;
+  });
+  return items;
+}
+
+/**
+ * Adds or removes the viewer's reaction; each account counts once per item.
+ * Adding is idempotent in storage (database.js keys reactions by account and
+ * item); removing clears every match, including duplicates stored earlier.
+ */
+export async function setReaction(content, { type, itemId, userEmail }, reacted) {
+  requireItem(content, type, itemId);
+  const existing = await db.listReactions({ type, itemId, userEmail });
+  if (reacted && !existing.length) await db.addReaction({ type, itemId, userEmail });
+  if (!reacted) await Promise.all(existing.map((reaction) => db.deleteReaction(reaction.id)));
+  const reactions = uniqueReactions(await db.listReactions({ type, itemId })).length;
+  return { reactions, reacted };
+}
+
+export async function setBookmark(content, { type, itemId, userEmail }, bookmarked) {
+  requireItem(content, type, itemId);
+  const existing = await db.listBookmarks({ type, itemId, userEmail });
+  if (bookmarked && !existing.length) await db.addBookmark({ type, itemId, userEmail });
+  if (!bookmarked) await Promise.all(existing.map((bookmark) => db.deleteBookmark(bookmark.id)));
+  return { bookmarked };
+}
+
+/** The viewer's bookmarks, newest first. Items since removed from the site are left out. */
+export async function listSaved(content, userEmail) {
+  const bookmarks = await db.listBookmarks({ userEmail });
+  return bookmarks
+    .map((bookmark) => {
+      const item = describeItem(content, bookmark.type, bookmark.itemId);
+      return item && { type: bookmark.type, itemId: bookmark.itemId, savedAt: bookmark.createdAt, ...item };
+    })
+    .filter(Boolean);
+}
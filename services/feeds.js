@@ -0,0 +1,45 @@
+import crypto from "crypto";
+import * as db from "../database.js";
+import { listPosts } from "./blog.js";
+import { publishDueSchedules } from "./publishing.js";
+import { feedEntries, renderRss, renderAtom } from "../views/feeds.js";
+
+const FEED_LIMIT = 20;
+const RENDERERS = { rss: renderRss, atom: renderAtom };
+
+// Latest build per feed type. Saves only touch the draft, so a feed changes
+// when content is published; the cache key follows the published copy.
+const cache = new Map();
+
+/**
+ * RSS or Atom feed of the published blog, built once per published version.
+ * Hidden posts are left out, as everywhere else.
+ * Resolves to `{ body, etag, lastModified }`.
+ */
+export async function getFeed(type, origin) {
+  await publishDueSchedules();
+  const published = await db.getPublishedContent();
+  const key = `${origin}|${published?.publishedAt}|${published?.draftVersion}`;
+  const cached = cache.get(type);
+  if (cached?.key === key) return cached.feed;
+
+  const content = published?.content || {};
+  const updated = published?.publishedAt ? new Date(published.publishedAt) : new Date(0);
+  const posts = listPosts(content).slice(0, FEED_LIMIT);
+  const body = RENDERERS[type]({
+    title: "ARYA | Blog",
+    description: content.hero?.subtitle || "Posts from the portfolio of Arya",
+    author: "Arya",
+    origin,
+    updated,
+    entries: feedEntries(posts, { origin, fallbackDate: updated })
+  });
+
+  const feed = {
+    body,
+    etag: `"${type}-${crypto.createHash("sha1").update(body).digest("hex").slice(0, 16)}"`,
+    lastModified: updated
+  };
+  cache.set(type, { key, feed });
+  return feed;
+}
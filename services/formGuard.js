@@ -0,0 +1,244 @@
+import crypto from "crypto";
+import * as db from "../database.js";
+import AppError from "../utils/AppError.js";
+
+// Screens submissions to public forms before they reach their own service.
+// Checks run cheapest first: honeypot, form token (which also enforces a
+// minimum fill-in time), per-IP and per-email rate limits, disposable email
+// domains, duplicates and a content spam score. Every rejection is logged
+// for review in the admin.
+
+/** Hidden input that people never see and bots tend to fill in. */
+export const HONEYPOT_FIELD = "website";
+/** Signed time the visitor started on the form; fetched from /api/forms/token. */
+export const TOKEN_FIELD = "formToken";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/** Limits per form; `ip` and `email` allow `max` submissions per `windowMs`. */
+export const FORM_RULES = {
+  contact: { ip: { max: 5, windowMs: 10 * MINUTE }, email: { max: 3, windowMs: HOUR } },
+  register: { ip: { max: 5, windowMs: HOUR }, email: { max: 3, windowMs: HOUR } },
+  comment: { ip: { max: 10, windowMs: 10 * MINUTE }, email: { max: 6, windowMs: 10 * MINUTE } },
+  newsletter: { ip: { max: 5, windowMs: HOUR }, email: { max: 3, windowMs: HOUR } }
+};
+
+export const REJECTION_REASONS = ["honeypot", "invalid-token", "too-fast", "rate-limit", "disposable-email", "duplicate", "spam-score"];
+
+const MIN_FILL_MS = (Number(process.env.FORM_MIN_SECONDS) || 3) * 1000;
+const TOKEN_MAX_AGE_MS = 12 * HOUR;
+const DUPLICATE_WINDOW_MS = 24 * HOUR;
+const SPAM_THRESHOLD = Number(process.env.SPAM_SCORE_THRESHOLD) || 5;
+const REJECTION_RETENTION_MS = 30 * 24 * HOUR;
+
+// Throwaway inbox providers; BLOCKED_EMAIL_DOMAINS (comma-separated) adds more.
+const DISPOSABLE_DOMAINS = new Set([
+  "10minutemail.com", "20minutemail.com", "33mail.com", "anonaddy.me", "burnermail.io", "discard.email",
+  "dispostable.com", "dropmail.me", "emailondeck.com", "fakeinbox.com", "getairmail.com", "getnada.com",
+  "guerrillamail.com", "guerrillamail.net", "guerrillamail.org", "harakirimail.com", "incognitomail.org",
+  "mailcatch.com", "maildrop.cc", "mailinator.com", "mailinator.net", "mailnesia.com", "mailpoof.com",
+  "mintemail.com", "mohmal.com", "moakt.com", "mytemp.email", "nada.email", "sharklasers.com",
+  "spam4.me", "spambox.us", "spamgourmet.com", "temp-mail.io", "temp-mail.org", "tempail.com",
+  "tempmail.dev", "tempmailo.com", "tempr.email", "throwawaymail.com", "trashmail.com", "trashmail.de",
+  "yopmail.com", "yopmail.fr", "emailfake.com", "mailsac.com", "inboxkitten.com"
+]);
+
+const extraBlockedDomains = () => (process.env.BLOCKED_EMAIL_DOMAINS || "")
+  .split(",").map((domain) => domain.trim().toLowerCase()).filter(Boolean);
+
+// Phrases that rarely appear in a genuine note to a personal portfolio
+const SPAM_PHRASES = [
+  "viagra", "cialis", "casino", "porn", "escort", "forex", "crypto signals", "bitcoin investment",
+  "payday loan", "seo services", "backlinks", "guest post", "rank your website", "first page of google",
+  "buy now", "click here", "make money", "work from home", "limited time offer", "100% free",
+  "web traffic", "increase your sales", "whatsapp me"
+];
+
+// Recent hits per rate-limit key and recent submissions per duplicate key.
+// Kept in memory: limits reset on restart, which is fine for a single process.
+const limits = new Map();
+const recent = new Map();
+let lastSweep = 0;
+
+function sweep(now) {
+  if (now - lastSweep < MINUTE) return;
+  lastSweep = now;
+  for (const [key, entry] of limits) {
+    if (!entry.hits.length || now - entry.hits[entry.hits.length - 1] > entry.windowMs) limits.delete(key);
+  }
+  for (const [key, at] of recent) {
+    if (now - at > DUPLICATE_WINDOW_MS) recent.delete(key);
+  }
+}
+
+const sign = (value, secret) => crypto.createHmac("sha256", secret).update(`form|${value}`).digest("base64url").slice(0, 32);
+
+/** A token recording when the visitor opened the form, signed so it cannot be backdated. */
+export function issueFormToken(secret) {
+  const issued = Date.now().toString(36);
+  return `${issued}.${sign(issued, secret)}`;
+}
+
+// Milliseconds since the token was issued, or null if it is missing, forged or stale.
+function tokenAge(token, secret, now) {
+  const [issued, signature] = String(token || "").split(".");
+  if (!issued || !signature) return null;
+  const expected = sign(issued, secret);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+  const age = now - parseInt(issued, 36);
+  return age >= 0 && age <= TOKEN_MAX_AGE_MS ? age : null;
+}
+
+// Counts a hit against `key`; returns the wait in ms once the limit is reached.
+function takeHit(key, { max, windowMs }, now) {
+  const entry = limits.get(key) || { hits: [], windowMs, logged: false };
+  entry.hits = entry.hits.filter((at) => now - at < windowMs);
+  if (!entry.hits.length) entry.logged = false;
+  limits.set(key, entry);
+  if (entry.hits.length >= max) return { wait: windowMs - (now - entry.hits[0]), entry };
+  entry.hits.push(now);
+  return null;
+}
+
+export function isDisposableEmail(email) {
+  const domain = String(email || "").toLowerCase().split("@")[1] || "";
+  const blocked = extraBlockedDomains();
+  const parts = domain.split(".");
+  // sub.mailinator.com is as disposable as mailinator.com
+  return parts.some((part, index) => {
+    const candidate = parts.slice(index).join(".");
+    return candidate.includes(".") && (DISPOSABLE_DOMAINS.has(candidate) || blocked.includes(candidate));
+  });
+}
+
+/**
+ * Scores free text for typical spam traits. Returns `{ score, signals }`,
+ * where `signals` names what contributed; `SPAM_SCORE_THRESHOLD` (default 5)
+ * or more is rejected.
+ */
+export function spamScore({ text = "", name = "" } = {}) {
+  const signals = [];
+  const add = (points, signal) => signals.push({ points, signal });
+  const lower = text.toLowerCase();
+
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  if (links >= 3) add(3, `${links} links`);
+  else if (links) add(links, `${links} link${links === 1 ? "" : "s"}`);
+  if (/\[url=|<a\s+href/i.test(text)) add(3, "link markup");
+  if (/https?:\/\/|www\.|\.(com|net|ru|xyz)\b/i.test(name)) add(3, "link in name");
+
+  const phrases = SPAM_PHRASES.filter((phrase) => lower.includes(phrase));
+  if (phrases.length) add(Math.min(phrases.length * 2, 6), `spam phrases: ${phrases.join(", ")}`);
+
+  const letters = text.replace(/[^a-z]/gi, "");
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.6) add(1.5, "mostly capitals");
+  if (/(.)\1{9,}/.test(text)) add(1, "repeated characters");
+  const nonLatin = text.replace(/[\s\d\p{P}\p{Script=Latin}]/gu, "").length;
+  if (links && nonLatin > text.length / 2) add(1, "foreign-script text with links");
+
+  return { score: signals.reduce((total, { points }) => total + points, 0), signals: signals.map(({ signal }) => signal) };
+}
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest("hex").slice(0, 32);
+const normalizeText = (text) => text.toLowerCase().replace(/\s+/g, " ").trim();
+const waitText = (ms) => (ms >= HOUR ? `${Math.ceil(ms / HOUR)} hour${ms > HOUR ? "s" : ""}` : `${Math.max(1, Math.ceil(ms / MINUTE))} minute${ms > MINUTE ? "s" : ""}`);
+
+async function reject({ form, reason, message, statusCode = 400, detail = null, submission }) {
+  const { ip, email, text, name, userAgent } = submission;
+  await db.addFormRejection({
+    form,
+    reason,
+    detail,
+    ip: ip || null,
+    email: email || null,
+    name: name ? String(name).slice(0, 100) : null,
+    excerpt: text ? text.slice(0, 500) : null,
+    userAgent: String(userAgent || "").slice(0, 300)
+  }).catch((error) => console.error("Could not log form rejection:", error));
+  console.log(`🛡️ Rejected ${form} submission (${reason}) from ${email || ip || "unknown"}`);
+  return new AppError(message, statusCode);
+}
+
+/**
+ * Runs every check for a submission to `form` (a FORM_RULES key). `body` is
+ * the raw request body, for the honeypot and token; `text` and `name` are
+ * what the spam score and duplicate check look at. Resolves when the
+ * submission may proceed, otherwise throws an AppError (429 for rate limits,
+ * with `retryAfter` in seconds).
+ */
+export async function screenSubmission(form, { body, ip, email, text = "", name = "", userAgent, secret }) {
+  const rules = FORM_RULES[form];
+  if (!rules) throw new Error(`Unknown form: ${form}`);
+  const now = Date.now();
+  sweep(now);
+  const submission = { ip, email: email ? String(email).trim().toLowerCase() : "", text: String(text || ""), name, userAgent };
+  const generic = "Your submission could not be accepted.";
+
+  if (typeof body?.[HONEYPOT_FIELD] === "string" && body[HONEYPOT_FIELD].trim()) {
+    throw await reject({ form, reason: "honeypot", message: generic, submission });
+  }
+
+  const age = tokenAge(body?.[TOKEN_FIELD], secret, now);
+  if (age === null) {
+    throw await reject({ form, reason: "invalid-token", message: "This form has expired. Please reload the page and try again.", submission });
+  }
+  if (age < MIN_FILL_MS) {
+    throw await reject({ form, reason: "too-fast", message: "That was quick! Please wait a moment and send again.", detail: `${age} ms`, submission });
+  }
+
+  const keys = [["ip", submission.ip], ["email", submission.email]].filter(([kind, value]) => value && rules[kind]);
+  for (const [kind, value] of keys) {
+    const limited = takeHit(`${form}|${kind}|${value}`, rules[kind], now);
+    if (!limited) continue;
+    const message = `Too many submissions. Please try again in ${waitText(limited.wait)}.`;
+    // One log entry per burst, so a flood does not flood the log as well
+    const error = limited.entry.logged
+      ? new AppError(message, 429)
+      : await reject({ form, reason: "rate-limit", message, statusCode: 429, detail: `per ${kind}: ${rules[kind].max} per ${waitText(rules[kind].windowMs)}`, submission });
+    limited.entry.logged = true;
+    error.retryAfter = Math.ceil(limited.wait / 1000);
+    throw error;
+  }
+
+  if (submission.email && isDisposableEmail(submission.email)) {
+    throw await reject({ form, reason: "disposable-email", message: "Please use a permanent email address.", detail: submission.email.split("@")[1], submission });
+  }
+
+  if (submission.text.trim()) {
+    const duplicateKey = `${form}|${submission.email || submission.ip}|${digest(normalizeText(submission.text))}`;
+    if (now - (recent.get(duplicateKey) || -Infinity) < DUPLICATE_WINDOW_MS) {
+      throw await reject({ form, reason: "duplicate", message: "You have already sent this.", submission });
+    }
+
+    const { score, signals } = spamScore({ text: submission.text, name: String(name || "") });
+    if (score >= SPAM_THRESHOLD) {
+      throw await reject({ form, reason: "spam-score", message: generic, detail: `score ${score}: ${signals.join("; ")}`, submission });
+    }
+    recent.set(duplicateKey, now);
+  }
+}
+
+/** Logged rejections, newest first, optionally for one form. Entries past 30 days are dropped. */
+export async function listRejections({ form } = {}) {
+  if (form && !FORM_RULES[form]) throw new AppError(`form must be one of: ${Object.keys(FORM_RULES).join(", ")}`, 400);
+  const cutoff = new Date(Date.now() - REJECTION_RETENTION_MS).toISOString();
+  const all = await db.listFormRejections();
+  const stale = all.filter((rejection) => rejection.createdAt < cutoff);
+  await Promise.all(stale.map((rejection) => db.deleteFormRejection(rejection.id)));
+  const current = all.filter((rejection) => rejection.createdAt >= cutoff);
+  const rejections = form ? current.filter((rejection) => rejection.form === form) : current;
+  const counts = Object.fromEntries(REJECTION_REASONS.map((reason) => [reason, rejections.filter((rejection) => rejection.reason === reason).length]));
+  return { rejections, counts };
+}
+
+export async function deleteRejection(id) {
+  if (!(await db.deleteFormRejection(id))) throw new AppError("Log entry not found", 404);
+}
+
+/** Clears the log, or just one form's entries. Resolves to the number removed. */
+export async function clearRejections({ form } = {}) {
+  const rejections = await db.listFormRejections(form ? { form } : {});
+  await Promise.all(rejections.map((rejection) => db.deleteFormRejection(rejection.id)));
+  return rejections.length;
+}
@@ -1,31 +1,57 @@
-const MAIL_PROVIDER = process.env.MAIL_PROVIDER || "resend";
+import { createTransport } from "../mail/index.js";
 
-export async function sendMail({ to, subject, html, text }) {
-  if (MAIL_PROVIDER !== "resend") {
-    console.error(`[MAIL] Unsupported provider: ${MAIL_PROVIDER}`);
-    return;
+/** Sender for every outgoing email unless a message names its own. */
+export const MAIL_FROM = process.env.MAIL_FROM || "Arya <onboarding@resend.dev>";
+
+// Created on first use; a configuration error is kept and reported instead.
+let transport = null;
+let transportError = null;
+
+function activeTransport() {
+  if (!transport && !transportError) {
+    try {
+      transport = createTransport(process.env.MAIL_PROVIDER, process.env);
+    } catch (error) {
+      transportError = error.message;
+      console.error(`[MAIL] ${transportError}`);
+    }
   }
+  return transport;
+}
 
-  const resp = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      from: "Arya Security <onboarding@resend.dev>",
-      to: [to],
-      subject,
-      html,
-      ...(text ? { text } : {}),
-    }),
-  });
+/** Why mail cannot be sent right now, or null when it can. */
+export function mailSetupProblem() {
+  if (process.env.EMAIL_ENABLED !== "true") return "Email is disabled (set EMAIL_ENABLED=true)";
+  return activeTransport() ? null : transportError;
+}
 
-  if (!resp.ok) {
-    const responseText = await resp.text();
-    console.error("[MAIL] Email API failed:", resp.status, responseText);
-    return;
+/** Whether outgoing mail is switched on (EMAIL_ENABLED) and its transport is set up. */
+export const isMailConfigured = () => mailSetupProblem() === null;
+
+/**
+ * Sends one email through the configured transport. Never throws; resolves
+ * to `{ ok: true, provider, id }` or `{ ok: false, provider, error }`, with
+ * `skipped: true` when mail is switched off or not set up. Failures are
+ * logged as well, so fire-and-forget callers still leave a trace.
+ */
+export async function sendMail({ to, subject, html, text, replyTo, headers, from = MAIL_FROM }) {
+  const problem = mailSetupProblem();
+  const provider = transport?.name || process.env.MAIL_PROVIDER || null;
+  if (problem) {
+    console.log(`[MAIL] Skipping email to ${to}: ${problem}`);
+    return { ok: false, skipped: true, provider, error: problem };
+  }
+  if (!to || !subject || !(html || text)) {
+    console.error(`[MAIL] Not sending "${subject}" to ${to}: recipient, subject and body are required`);
+    return { ok: false, provider, error: "Recipient, subject and body are required" };
   }
 
-  console.log("[MAIL] Email API sent OK");
+  try {
+    const { id } = await transport.send({ from, to, subject, html, text, replyTo, headers });
+    console.log(`[MAIL] Sent "${subject}" to ${to} via ${transport.name}`);
+    return { ok: true, provider: transport.name, id };
+  } catch (error) {
+    console.error(`[MAIL] Sending "${subject}" to ${to} via ${transport.name} failed:`, error.message);
+    return { ok: false, provider: transport.name, error: error.message };
+  }
 }
@@ -0,0 +1,187 @@
+import { createHash } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+import * as db from "../database.js";
+import AppError from "../utils/AppError.js";
+import { imageInfo } from "../utils/imageInfo.js";
+
+/** Uploaded files live here and are served under MEDIA_URL_PREFIX. */
+export const MEDIA_DIR = process.env.MEDIA_DIR || fileURLToPath(new URL("../uploads", import.meta.url));
+export const MEDIA_URL_PREFIX = "/media/";
+export const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES) || 5 * 1024 * 1024;
+
+const MAX_ALT_LENGTH = 300;
+
+/** Widths of the resized copies made of each upload; only those narrower than the original are used. */
+export const MEDIA_WIDTHS = [320, 640, 960, 1280, 1920];
+
+// Output formats for resized copies. GIFs are left alone so animations survive.
+const RESIZABLE = { "image/jpeg": "jpeg", "image/png": "png", "image/webp": "webp", "image/avif": "avif" };
+const EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp", avif: "avif" };
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${Math.floor(bytes / 1024 / 1024)} MB` : `${Math.floor(bytes / 1024)} KB`);
+
+export const uploadTooLarge = () => new AppError(`Files must be at most ${formatBytes(MEDIA_MAX_BYTES)}`, 413);
+
+function cleanAlt(alt) {
+  const text = typeof alt === "string" ? alt.trim() : "";
+  if (text.length > MAX_ALT_LENGTH) throw new AppError(`Alt text must be at most ${MAX_ALT_LENGTH} characters`, 400);
+  return text;
+}
+
+// Content paths (e.g. `blog[2].image`) whose value mentions `url`.
+function findUsage(value, url, at = "") {
+  if (typeof value === "string") return value.includes(url) ? [at] : [];
+  if (Array.isArray(value)) return value.flatMap((item, index) => findUsage(item, url, `${at}[${index}]`));
+  if (value && typeof value === "object") {
+    return Object.keys(value).flatMap((key) => findUsage(value[key], url, at ? `${at}.${key}` : key));
+  }
+  return [];
+}
+
+async function writeMediaFile(filename, data) {
+  await fs.mkdir(MEDIA_DIR, { recursive: true });
+  await fs.writeFile(path.join(MEDIA_DIR, filename), data, { flag: "wx" }).catch((error) => {
+    if (error.code !== "EEXIST") throw error;
+  });
+}
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, "0")).join("")}`;
+
+/**
+ * Resized copies of an image (`<base>-<width>.<ext>`) in its own format plus
+ * WebP, and its dominant colour as a loading placeholder. Failures are logged
+ * and leave the upload usable at full size.
+ */
+async function makeDerivatives(buffer, { base, type }) {
+  const variants = [];
+  try {
+    const image = sharp(buffer);
+    const [{ width, height }, { dominant }] = await Promise.all([image.metadata(), image.stats()]);
+    const formats = [...new Set([RESIZABLE[type], RESIZABLE[type] && "webp"].filter(Boolean))];
+    for (const format of formats) {
+      // WebP also gets a full-size copy so browsers that take it never need the original
+      const widths = MEDIA_WIDTHS.filter((target) => target < width);
+      if (format !== RESIZABLE[type]) widths.push(width);
+      for (const target of widths) {
+        const { data, info } = await sharp(buffer).resize({ width: target }).toFormat(format).toBuffer({ resolveWithObject: true });
+        const filename = `${base}-${target}.${EXTENSIONS[format]}`;
+        await writeMediaFile(filename, data);
+        variants.push({ width: info.width, height: info.height, type: `image/${format}`, filename, url: `${MEDIA_URL_PREFIX}${filename}` });
+      }
+    }
+    return { width, height, placeholder: toHex(dominant), variants };
+  } catch (error) {
+    console.error(`Image variants failed for ${base}:`, error.message);
+    return { placeholder: null, variants };
+  }
+}
+
+// Draft and published content, where uploaded files may be referenced.
+async function siteContents() {
+  const [draft, published] = await Promise.all([db.getContent(), db.getPublishedContent()]);
+  return [draft || {}, published?.content || {}];
+}
+
+const usedIn = (contents, url) => [...new Set(contents.flatMap((content) => findUsage(content, url)))];
+
+/** The media index, newest first, with where each file is still referenced. */
+export async function listMedia() {
+  const [media, contents] = await Promise.all([db.listMedia(), siteContents()]);
+  return media.map((item) => ({ ...item, usedIn: usedIn(contents, item.url) }));
+}
+
+/**
+ * Stores an uploaded image as `<content hash>.<ext>`, so the same file
+ * uploaded twice maps to one entry (returned with `duplicate: true`). The
+ * type comes from the file's own bytes; anything but a supported raster
+ * image is refused.
+ */
+export async function saveUpload(buffer, { originalName, alt, uploadedBy } = {}) {
+  if (!Buffer.isBuffer(buffer) || !buffer.length) throw new AppError("Choose a file to upload", 400);
+  if (buffer.length > MEDIA_MAX_BYTES) throw uploadTooLarge();
+  const info = imageInfo(buffer);
+  if (!info) throw new AppError("Only PNG, JPEG, GIF, WebP and AVIF images can be uploaded", 415);
+  const altText = cleanAlt(alt);
+
+  const hash = createHash("sha256").update(buffer).digest("hex");
+  const [existing] = await db.listMedia({ hash });
+  if (existing) return { ...existing, duplicate: true };
+
+  const base = hash.slice(0, 20);
+  const filename = `${base}.${info.ext}`;
+  await writeMediaFile(filename, buffer);
+  const derived = await makeDerivatives(buffer, { base, type: info.type });
+
+  return db.addMedia({
+    filename,
+    url: `${MEDIA_URL_PREFIX}${filename}`,
+    hash,
+    type: info.type,
+    size: buffer.length,
+    width: info.width || derived.width || null,
+    height: info.height || derived.height || null,
+    placeholder: derived.placeholder,
+    variants: derived.variants,
+    alt: altText,
+    originalName: String(originalName || "").trim().slice(0, 200) || filename,
+    uploadedBy: uploadedBy || "unknown"
+  });
+}
+
+export async function updateMediaAlt(id, alt) {
+  const media = await db.updateMedia(id, { alt: cleanAlt(alt) });
+  if (!media) throw new AppError("Media not found", 404);
+  return media;
+}
+
+/**
+ * Removes a file and its index entry. Files still referenced by the draft or
+ * the published site are kept unless `force` is set, since deleting them
+ * would leave broken images behind.
+ */
+export async function deleteMedia(id, { force = false } = {}) {
+  const media = await db.getMedia(id);
+  if (!media) throw new AppError("Media not found", 404);
+  if (!force) {
+    const paths = usedIn(await siteContents(), media.url);
+    if (paths.length) throw new AppError(`Still used in ${paths.slice(0, 3).join(", ")}${paths.length > 3 ? ` and ${paths.length - 3} more` : ""}`, 409);
+  }
+  await db.deleteMedia(id);
+  const filenames = [media.filename, ...(media.variants || []).map((variant) => variant.filename)];
+  await Promise.all(filenames.map((filename) => fs.unlink(path.join(MEDIA_DIR, filename)).catch((error) => {
+    if (error.code !== "ENOENT") throw error;
+  })));
+}
+
+/**
+ * Intrinsic size, placeholder colour and resized variants of every uploaded
+ * image `content` refers to, keyed by URL, for building srcset markup
+ * (utils/responsiveImage.js). Unused and unpublished uploads stay out.
+ */
+export async function responsiveImages(content) {
+  const text = JSON.stringify(content || {});
+  const media = await db.listMedia();
+  return Object.fromEntries(media
+    .filter((item) => text.includes(item.url))
+    .map((item) => [item.url, {
+      type: item.type,
+      width: item.width,
+      height: item.height,
+      placeholder: item.placeholder || null,
+      variants: (item.variants || []).map(({ url, width, height, type }) => ({ url, width, height, type }))
+    }]));
+}
+
+/** Creates variants for uploads stored before resizing existed. */
+export async function backfillDerivatives() {
+  const pending = (await db.listMedia()).filter((item) => !Array.isArray(item.variants));
+  for (const item of pending) {
+    const buffer = await fs.readFile(path.join(MEDIA_DIR, item.filename)).catch(() => null);
+    if (!buffer) continue;
+    const { width, height, placeholder, variants } = await makeDerivatives(buffer, { base: item.filename.replace(/\.[^.]+$/, ""), type: item.type });
+    await db.updateMedia(item.id, { width: item.width || width || null, height: item.height || height || null, placeholder, variants });
+  }
+}
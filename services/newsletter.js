@@ -0,0 +1,236 @@
+import crypto from "crypto";
+import * as db from "../database.js";
+import AppError from "../utils/AppError.js";
+import { isMailConfigured, mailSetupProblem, sendMail } from "./mailer.js";
+import { listPosts } from "./blog.js";
+import { publishDueSchedules } from "./publishing.js";
+import { newsletterConfirmation, postAnnouncement } from "../views/emails.js";
+
+// Blog newsletter with double opt-in. Subscribers start `pending` and only
+// become `confirmed` through the emailed link; confirmation and unsubscribe
+// links are HMAC-signed, so no tokens are stored. Sends go out one recipient
+// at a time in the background, with each recipient's outcome on the send.
+
+const CONFIRM_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Links in these emails must not be built from a client-supplied Host header;
+// callers pass `origin: null` when the site's address is not configured.
+const NO_ORIGIN = "set SITE_URL (or MAIL_LINK_HOSTS) so email links point at this site";
+
+// Sends currently being delivered by this process
+const delivering = new Set();
+
+const sign = (purpose, value, secret) => crypto.createHmac("sha256", secret).update(`${purpose}|${value}`).digest("base64url").slice(0, 32);
+
+function signatureMatches(signature, expected) {
+  return typeof signature === "string" && signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+const encodeEmail = (email) => Buffer.from(email).toString("base64url");
+
+function decodeEmail(value) {
+  const email = Buffer.from(String(value || ""), "base64url").toString("utf8");
+  return /^\S+@\S+\.\S+$/.test(email) ? email : null;
+}
+
+// Confirmation links name the request they answer, so a link from before an
+// unsubscribe cannot quietly subscribe the address again.
+function confirmToken(email, requestedAt, secret) {
+  const issued = Date.parse(requestedAt).toString(36);
+  return `${encodeEmail(email)}.${issued}.${sign("confirm", `${email}|${issued}`, secret)}`;
+}
+
+/** Unsubscribe token for `email`; it never expires, as old emails must keep working. */
+export function unsubscribeToken(email, secret) {
+  return `${encodeEmail(email)}.${sign("unsubscribe", email, secret)}`;
+}
+
+const findSubscriber = async (email) => (await db.listSubscribers({ email }))[0] || null;
+
+/**
+ * Starts (or restarts) a subscription and emails the confirmation link. The
+ * reply is the same whether or not the address is already subscribed, so the
+ * form cannot be used to find out who is.
+ */
+export async function subscribe(input, { origin, ip, secret }) {
+  const email = typeof input === "string" ? input.trim().toLowerCase() : "";
+  if (!/^\S+@\S+\.\S+$/.test(email) || email.length > 320) throw new AppError("Please enter a valid email address", 400);
+  if (!origin) console.error(`[MAIL] Newsletter sign-up refused: ${NO_ORIGIN}`);
+  if (!isMailConfigured() || !origin) throw new AppError("Subscriptions are not available right now", 503);
+
+  const existing = await findSubscriber(email);
+  if (existing?.status === "confirmed") return;
+
+  const requestedAt = new Date().toISOString();
+  const subscriber = existing
+    ? await db.updateSubscriber(existing.id, { status: "pending", requestedAt, ip: ip || null })
+    : await db.addSubscriber({ email, status: "pending", requestedAt, confirmedAt: null, unsubscribedAt: null, ip: ip || null });
+
+  const confirmUrl = `${origin}/newsletter/confirm?token=${encodeURIComponent(confirmToken(email, subscriber.requestedAt, secret))}`;
+  const { subject, html, text } = newsletterConfirmation({ confirmUrl });
+  if (!(await sendMail({ to: email, subject, html, text })).ok) throw new AppError("The confirmation email could not be sent. Please try again later", 502);
+  console.log(`📰 Newsletter confirmation sent to ${email}`);
+}
+
+/** Confirms the subscription a link was issued for. Resolves to the subscriber, or null for bad or stale links. */
+export async function confirmSubscription(token, { secret }) {
+  const [encoded, issued, signature] = String(token || "").split(".");
+  const email = decodeEmail(encoded);
+  if (!email || !issued || !signatureMatches(signature, sign("confirm", `${email}|${issued}`, secret))) return null;
+
+  const subscriber = await findSubscriber(email);
+  if (!subscriber || Date.parse(subscriber.requestedAt).toString(36) !== issued) return null;
+  if (subscriber.status === "confirmed") return subscriber;
+  if (subscriber.status !== "pending" || Date.now() - parseInt(issued, 36) > CONFIRM_MAX_AGE_MS) return null;
+  console.log(`📰 Newsletter subscription confirmed: ${email}`);
+  return db.updateSubscriber(subscriber.id, { status: "confirmed", confirmedAt: new Date().toISOString(), unsubscribedAt: null });
+}
+
+/** One-click unsubscribe. Resolves to the address, or null for a bad link. */
+export async function unsubscribe(token, { secret }) {
+  const [encoded, signature] = String(token || "").split(".");
+  const email = decodeEmail(encoded);
+  if (!email || !signatureMatches(signature, sign("unsubscribe", email, secret))) return null;
+
+  const subscriber = await findSubscriber(email);
+  if (subscriber && subscriber.status !== "unsubscribed") {
+    await db.updateSubscriber(subscriber.id, { status: "unsubscribed", unsubscribedAt: new Date().toISOString() });
+    console.log(`📰 Newsletter unsubscribe: ${email}`);
+  }
+  return email;
+}
+
+// Published posts that can be sent; drafts and posts flagged `published: false` cannot.
+async function sendablePosts() {
+  await publishDueSchedules();
+  const published = await db.getPublishedContent();
+  return listPosts(published?.content || {});
+}
+
+const countRecipients = (recipients) => ({
+  sent: recipients.filter((recipient) => recipient.status === "sent").length,
+  failed: recipients.filter((recipient) => recipient.status === "failed").length,
+  pending: recipients.filter((recipient) => recipient.status === "pending").length
+});
+
+// Send log entries without the (possibly long) recipient list
+const summarize = ({ recipients, ...send }) => ({ ...send, counts: countRecipients(recipients || []) });
+
+/** Subscribers, status counts, the posts that can be sent and the send log. */
+export async function getNewsletterOverview() {
+  const [subscribers, posts, sends] = await Promise.all([db.listSubscribers(), sendablePosts(), db.listNewsletterSends()]);
+  const counts = Object.fromEntries(["pending", "confirmed", "unsubscribed"].map((status) => [status, subscribers.filter((subscriber) => subscriber.status === status).length]));
+  return {
+    subscribers,
+    counts,
+    posts: posts.map((post) => ({
+      id: post.id,
+      slug: post.slug,
+      title: post.title,
+      date: post.date || null,
+      lastSentAt: sends.find((send) => send.postId === post.id)?.startedAt || null
+    })),
+    sends: sends.map(summarize)
+  };
+}
+
+export async function removeSubscriber(id) {
+  if (!(await db.deleteSubscriber(id))) throw new AppError("Subscriber not found", 404);
+}
+
+export async function getSend(id) {
+  const send = await db.getNewsletterSend(id);
+  if (!send) throw new AppError("Send not found", 404);
+  return { ...send, counts: countRecipients(send.recipients || []), delivering: delivering.has(id) };
+}
+
+// Mails every pending recipient in turn, saving each outcome as it happens
+// so the admin can follow progress.
+async function deliver(send, post, { origin, secret }) {
+  delivering.add(send.id);
+  const recipients = send.recipients.map((recipient) => ({ ...recipient }));
+  const postUrl = `${origin}/blog/${encodeURIComponent(post.slug)}`;
+  try {
+    for (const recipient of recipients) {
+      if (recipient.status !== "pending") continue;
+      const unsubscribeUrl = `${origin}/newsletter/unsubscribe?token=${encodeURIComponent(unsubscribeToken(recipient.email, secret))}`;
+      const { subject, html, text } = postAnnouncement(post, { postUrl, unsubscribeUrl });
+      const result = await sendMail({
+        to: recipient.email,
+        subject,
+        html,
+        text,
+        headers: { "List-Unsubscribe": `<${unsubscribeUrl}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" }
+      });
+      Object.assign(recipient, result.ok
+        ? { status: "sent", sentAt: new Date().toISOString(), error: null }
+        : { status: "failed", error: result.error });
+      await db.updateNewsletterSend(send.id, { recipients });
+    }
+  } finally {
+    const { sent, failed, pending } = countRecipients(recipients);
+    const status = pending ? "interrupted" : !failed ? "sent" : sent ? "partial" : "failed";
+    await db.updateNewsletterSend(send.id, { status, finishedAt: new Date().toISOString() }).catch((error) => console.error("Newsletter send log update failed:", error));
+    delivering.delete(send.id);
+    console.log(`📰 Newsletter "${post.title}": ${sent} sent, ${failed} failed`);
+  }
+}
+
+function startDelivery(send, post, options) {
+  deliver(send, post, options).catch((error) => console.error(`Newsletter send ${send.id} failed:`, error));
+}
+
+function requireMail(origin) {
+  const problem = mailSetupProblem() || (origin ? null : NO_ORIGIN);
+  if (problem) throw new AppError(`Newsletters cannot be sent: ${problem}`, 400);
+}
+
+/**
+ * Sends a published post to every confirmed subscriber. A post that already
+ * went out is only sent again with `resend`. Resolves to the new send (status
+ * `sending`) while delivery carries on in the background.
+ */
+export async function sendPost(slug, { resend = false, sentBy, origin, secret }) {
+  requireMail(origin);
+  const post = (await sendablePosts()).find((candidate) => candidate.slug === slug);
+  if (!post) throw new AppError("Only published posts can be sent", 404);
+  const [previous] = await db.listNewsletterSends({ postId: post.id });
+  if (previous && !resend) throw new AppError(`This post was already sent on ${new Date(previous.startedAt).toLocaleString()}`, 409);
+
+  const subscribers = await db.listSubscribers({ status: "confirmed" });
+  if (!subscribers.length) throw new AppError("There are no confirmed subscribers yet", 400);
+
+  const send = await db.addNewsletterSend({
+    postId: post.id,
+    slug: post.slug,
+    title: post.title,
+    status: "sending",
+    sentBy: sentBy || "unknown",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    recipients: subscribers.map(({ email }) => ({ email, status: "pending", sentAt: null, error: null }))
+  });
+  startDelivery(send, post, { origin, secret });
+  return summarize(send);
+}
+
+/** Tries the failed (and, after a restart, never attempted) recipients of a send again. */
+export async function retrySend(id, { origin, secret }) {
+  requireMail(origin);
+  const send = await db.getNewsletterSend(id);
+  if (!send) throw new AppError("Send not found", 404);
+  if (delivering.has(id)) throw new AppError("This send is still in progress", 409);
+  const post = (await sendablePosts()).find((candidate) => candidate.id === send.postId);
+  if (!post) throw new AppError("The post is no longer published", 409);
+
+  // Recipients who unsubscribed since are dropped rather than retried
+  const confirmed = new Set((await db.listSubscribers({ status: "confirmed" })).map(({ email }) => email));
+  const recipients = send.recipients
+    .filter((recipient) => recipient.status === "sent" || confirmed.has(recipient.email))
+    .map((recipient) => (recipient.status === "sent" ? recipient : { ...recipient, status: "pending", error: null }));
+  if (!recipients.some((recipient) => recipient.status === "pending")) throw new AppError("Nothing left to retry", 400);
+
+  const updated = await db.updateNewsletterSend(id, { status: "sending", finishedAt: null, recipients });
+  startDelivery(updated, post, { origin, secret });
+  return summarize(updated);
+}
@@ -0,0 +1,14 @@
+import { withSlugs } from "../utils/slugs.js";
+
+/** Projects of a content document in display order, each with a slug. */
+export function listProjects(content) {
+  return withSlugs(content?.projects, "project").filter((project) => project && typeof project === "object");
+}
+
+/** The project with `slug` plus its neighbours in list order, or null. */
+export function findProject(content, slug) {
+  const projects = listProjects(content);
+  const index = projects.findIndex((project) => project.slug === slug);
+  if (index < 0) return null;
+  return { project: projects[index], previous: projects[index - 1] || null, next: projects[index + 1] || null };
+}
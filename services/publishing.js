@@ -0,0 +1,119 @@
+import * as db from "../database.js";
+import { diffRevisionContent } from "./contentHistory.js";
+
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+let schedulerTimer = null;
+
+async function publishSnapshot(content, { author, draftVersion, scheduleId }) {
+  const published = {
+    content,
+    draftVersion,
+    publishedAt: new Date().toISOString(),
+    publishedBy: author || "unknown",
+    ...(scheduleId ? { scheduleId } : {})
+  };
+  await db.setPublishedContent(published);
+  return published;
+}
+
+/** Copies the current draft to the published slot. */
+export async function publishNow({ author } = {}) {
+  const draft = await db.getContentEntry();
+  const published = await publishSnapshot(draft.value || {}, { author, draftVersion: draft.version });
+  console.log(`✅ Content published (draft v${draft.version}) by ${published.publishedBy}`);
+  return published;
+}
+
+/**
+ * Schedules the draft as it is right now to go live at `at`. Later draft edits
+ * are not included; schedule again to pick them up.
+ */
+export async function schedulePublish(at, { author } = {}) {
+  const draft = await db.getContentEntry();
+  const schedule = await db.addPublishSchedule({
+    at: at.toISOString(),
+    status: "pending",
+    draftVersion: draft.version,
+    scheduledBy: author || "unknown",
+    content: draft.value || {}
+  });
+  console.log(`🕒 Publish of draft v${draft.version} scheduled for ${schedule.at} by ${schedule.scheduledBy}`);
+  return withoutContent(schedule);
+}
+
+export async function cancelSchedule(id) {
+  const cancelled = await db.compareAndSetPublishSchedule(id, { status: "pending" }, { status: "cancelled", cancelledAt: new Date().toISOString() });
+  return cancelled && withoutContent(cancelled);
+}
+
+/**
+ * Publishes every pending schedule whose time has come, oldest first, and
+ * returns how many went live. Public page loads all call this, so each
+ * schedule is first claimed by moving it out of "pending" (compare-and-set);
+ * only the caller that wins the claim publishes it. A schedule of a draft
+ * older than the one already live is skipped rather than rolling the site back.
+ */
+export async function publishDueSchedules(now = new Date()) {
+  const due = (await db.listPublishSchedules({ status: "pending" })).filter((s) => new Date(s.at) <= now);
+  let published = 0;
+  for (const schedule of due) {
+    const claimed = await db.compareAndSetPublishSchedule(schedule.id, { status: "pending" }, { status: "publishing" });
+    if (!claimed) continue;
+
+    const live = await db.getPublishedContent();
+    if (live?.draftVersion > schedule.draftVersion) {
+      await db.updatePublishSchedule(schedule.id, { status: "skipped", skippedAt: new Date().toISOString(), liveDraftVersion: live.draftVersion });
+      console.log(`⏭️ Scheduled publish ${schedule.id} skipped: draft v${live.draftVersion} is already live, newer than v${schedule.draftVersion}`);
+      continue;
+    }
+
+    try {
+      await publishSnapshot(schedule.content, {
+        author: schedule.scheduledBy,
+        draftVersion: schedule.draftVersion,
+        scheduleId: schedule.id
+      });
+    } catch (error) {
+      await db.updatePublishSchedule(schedule.id, { status: "pending" });
+      throw error;
+    }
+    await db.updatePublishSchedule(schedule.id, { status: "published", publishedAt: new Date().toISOString() });
+    console.log(`✅ Scheduled publish ${schedule.id} (draft v${schedule.draftVersion}) is live`);
+    published += 1;
+  }
+  return published;
+}
+
+export async function getPublishedContent() {
+  const published = await db.getPublishedContent();
+  return published?.content || {};
+}
+
+export async function getPublishStatus() {
+  const [draft, published, pending] = await Promise.all([
+    db.getContentEntry(),
+    db.getPublishedContent(),
+    db.listPublishSchedules({ status: "pending" })
+  ]);
+  const changes = diffRevisionContent(published?.content || {}, draft.value || {});
+
+  return {
+    draftVersion: draft.version,
+    published: published ? withoutContent(published) : null,
+    unpublishedChanges: changes.length,
+    scheduled: pending.map(withoutContent)
+  };
+}
+
+function withoutContent(record) {
+  const { content, ...meta } = record;
+  return meta;
+}
+
+export function startPublishScheduler() {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(() => {
+    publishDueSchedules().catch((error) => console.error("Scheduled publish failed:", error));
+  }, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref?.();
+}
@@ -0,0 +1,94 @@
+// Consent manager: necessary cookies are always on; analytics and embeds wait
+// for the visitor's choice, which can be changed later from the footer link.
+import {
+  CONSENT_COOKIE,
+  CONSENT_MAX_AGE_DAYS,
+  OPTIONAL_CATEGORIES,
+  parseConsent,
+  serializeConsent,
+  optedOutOfTracking
+} from '../utils/consent.js';
+
+const readCookie = (name) => {
+  const row = document.cookie.split('; ').find((item) => item.startsWith(`${name}=`));
+  return row ? row.slice(name.length + 1) : '';
+};
+
+export const getConsent = () => parseConsent(readCookie(CONSENT_COOKIE));
+
+export const hasConsent = (category) => category === 'necessary' || getConsent()[category] === true;
+
+// Do-Not-Track and Global Privacy Control override an "analytics" opt-in.
+export const trackingAllowed = () => hasConsent('analytics')
+  && !optedOutOfTracking(navigator.doNotTrack || window.doNotTrack, navigator.globalPrivacyControl);
+
+export const setConsent = (choices) => {
+  const next = { ...getConsent(), ...choices };
+  const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+  document.cookie = `${CONSENT_COOKIE}=${serializeConsent(next)}; Max-Age=${CONSENT_MAX_AGE_DAYS * 24 * 60 * 60}; Path=/; SameSite=Lax${secure}`;
+  const consent = getConsent();
+  window.dispatchEvent(new CustomEvent('consentchange', { detail: consent }));
+  return consent;
+};
+
+export const onConsentChange = (listener) => {
+  window.addEventListener('consentchange', (event) => listener(event.detail));
+};
+
+const hideBanner = () => {
+  document.getElementById('cookie-banner')?.classList.remove('show');
+};
+
+export const openConsentSettings = () => {
+  const banner = document.getElementById('cookie-banner');
+  const form = document.getElementById('consent-options');
+  if (!banner || !form) return;
+  const consent = getConsent();
+  OPTIONAL_CATEGORIES.forEach((category) => {
+    if (form.elements[category]) form.elements[category].checked = consent[category];
+  });
+  form.hidden = false;
+  document.getElementById('consent-customize')?.setAttribute('aria-expanded', 'true');
+  banner.classList.add('show');
+};
+
+export const initConsentManager = () => {
+  const banner = document.getElementById('cookie-banner');
+  const form = document.getElementById('consent-options');
+  if (!banner || !form) return;
+
+  // The old banner only stored an unscoped "accepted" flag; ask again per category.
+  localStorage.removeItem('cookieConsent');
+  localStorage.removeItem('cookieConcent');
+
+  if (!getConsent().decided) {
+    setTimeout(() => {
+      banner.classList.add('show');
+    }, 2000);
+  }
+
+  const allOptional = (value) => Object.fromEntries(OPTIONAL_CATEGORIES.map((category) => [category, value]));
+
+  document.getElementById('consent-accept-all')?.addEventListener('click', () => {
+    setConsent(allOptional(true));
+    hideBanner();
+  });
+
+  document.getElementById('consent-reject')?.addEventListener('click', () => {
+    setConsent(allOptional(false));
+    hideBanner();
+  });
+
+  document.getElementById('consent-customize')?.addEventListener('click', (event) => {
+    form.hidden = !form.hidden;
+    event.currentTarget.setAttribute('aria-expanded', String(!form.hidden));
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    setConsent(Object.fromEntries(OPTIONAL_CATEGORIES.map((category) => [category, Boolean(form.elements[category]?.checked)])));
+    hideBanner();
+  });
+
+  document.getElementById('consent-settings-link')?.addEventListener('click', openConsentSettings);
+};
@@ -1,3 +1,5 @@
+import { initConsentManager } from './consent.js';
+
 // Touch-input detection keeps the custom cursor disabled on touch devices (mobile layout up to 1024px).
 // Custom Cursor Setup
 let cursorDot;
@@ -314,32 +316,11 @@ const observer = new IntersectionObserver((entries) => {
 }, observerOptions);
 
 
-// Cookie Banner Logic
-const initCookieBanner = () => {
-  const banner = document.getElementById('cookie-banner');
-  const acceptBtn = document.getElementById('accept-cookies');
-
-  if (!banner || !acceptBtn) return;
-
-  // Check if already accepted
-  const hasConsent = localStorage.getItem('cookieConsent') || localStorage.getItem('cookieConcent');
-  if (!hasConsent) {
-    setTimeout(() => {
-      banner.classList.add('show');
-    }, 2000);
-  }
-
-  acceptBtn.addEventListener('click', () => {
-    localStorage.setItem('cookieConsent', 'true');
-    banner.classList.remove('show');
-  });
-};
-
 // Initialization logic
 const initAll = () => {
   startCursorSystem();
   addScrollListeners();
-  initCookieBanner();
+  initConsentManager();
 
   // Re-check for new elements when DOM changes (Ajax/Renderer)
   const observer_all = new MutationObserver(() => {
@@ -1,8 +1,107 @@
+import { hasConsent, trackingAllowed, setConsent, onConsentChange } from './consent.js';
+import { renderRichText } from '../utils/richText.js';
+import { withSlugs } from '../utils/slugs.js';
+import { PROJECT_SORTS, showcaseFacets, filterProjects } from '../utils/projectShowcase.js';
+import { responsiveImage } from '../utils/responsiveImage.js';
+import { escapeHtml } from '../utils/escapeHtml.js';
+import { parseVideo } from '../utils/videoEmbed.js';
+
 // Mobile navigation now targets large phones/tablets up to 1024px and touch devices for consistent layouts.
+// The admin preview iframe loads /?preview=draft; the server only honours it for admins.
+const isDraftPreview = new URLSearchParams(window.location.search).get('preview') === 'draft';
+
+// The contact form posts to /api/contact unless the content names an external
+// form service in `contact.formEndpoint`.
+let contactEndpoint = '/api/contact';
+
+// Where each site form posts, and what it tells the visitor along the way.
+const FORMS = {
+    'contact-form': {
+        endpoint: () => contactEndpoint,
+        pending: 'Sending…',
+        sent: 'Thanks! Your message has been sent.',
+        failed: 'Your message could not be sent.'
+    },
+    'newsletter-form': {
+        endpoint: () => '/api/newsletter/subscribe',
+        pending: 'Subscribing…',
+        sent: 'Almost done! Check your inbox to confirm.',
+        failed: 'You could not be subscribed.'
+    }
+};
+
+// Our own endpoints want a signed start time (/api/forms/token), fetched the
+// first time the visitor focuses one of the forms.
+let formToken = null;
+
+function loadFormToken() {
+    formToken ||= fetch('/api/forms/token')
+        .then((response) => response.json())
+        .then((result) => result.token || '')
+        .catch((error) => {
+            console.error('Error loading form token:', error);
+            formToken = null;
+            return '';
+        });
+    return formToken;
+}
+
+const isOwnEndpoint = (endpoint) => endpoint.startsWith('/api/');
+
+document.addEventListener('focusin', (event) => {
+    const config = FORMS[event.target.form?.id];
+    if (config && isOwnEndpoint(config.endpoint())) loadFormToken();
+});
+
+document.addEventListener('submit', async (event) => {
+    const form = event.target;
+    const config = FORMS[form.id];
+    if (!config) return;
+    event.preventDefault();
+    const endpoint = config.endpoint();
+    const status = form.querySelector('[role="status"]');
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    status.classList.remove('error');
+    status.textContent = config.pending;
+    try {
+        if (isOwnEndpoint(endpoint)) form.elements.formToken.value = await loadFormToken();
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify(Object.fromEntries(new FormData(form)))
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.message || result.error || config.failed);
+        form.reset();
+        status.textContent = result.message || config.sent;
+    } catch (error) {
+        status.classList.add('error');
+        status.textContent = error.message;
+    } finally {
+        button.disabled = false;
+    }
+});
+
+// Intrinsic sizes, placeholders and resized variants of uploaded images, by URL
+let mediaImages = {};
+
+async function loadMediaImages() {
+    try {
+        const response = await fetch(isDraftPreview ? '/api/media?view=draft' : '/api/media');
+        mediaImages = (await response.json()).images || {};
+    } catch (error) {
+        console.error('Error loading image sizes:', error);
+    }
+}
+
 // Fetch and populate content
 async function loadContent() {
     try {
-        const response = await fetch('/api/content');
+        const [response] = await Promise.all([
+            fetch(isDraftPreview ? '/api/content?view=draft' : '/api/content'),
+            loadMediaImages()
+        ]);
         const data = await response.json();
 
         // Hero
@@ -21,6 +120,13 @@ async function loadContent() {
         document.querySelector('.hero h2').innerText = data.hero.subtitle;
         document.querySelector('#hero-desc').innerText = data.hero.description;
 
+        const heroMedia = document.querySelector('#hero-media');
+        if (heroMedia) {
+            heroMedia.innerHTML = data.hero.image
+                ? responsiveImage(data.hero.image, mediaImages, { className: 'hero-image', sizes: '(max-width: 640px) 100vw, 600px', loading: 'eager' })
+                : '';
+        }
+
         const focusList = document.querySelector('#hero-focus-list');
 
         const heroActions = document.querySelector('.hero-actions');
@@ -53,52 +159,8 @@ async function loadContent() {
         data.about.apartList.forEach(item => apartList.innerHTML += `<li style="margin-bottom: 0.5rem;">• ${item}</li>`);
 
         // Projects
-        const projectsContainer = document.querySelector('#projects-container');
-        projectsContainer.innerHTML = '';
-        if (data.projects && Array.isArray(data.projects)) {
-            data.projects.forEach((project, index) => {
-                let featuresHtml = '';
-                if (project.features && project.features.length > 0) {
-                    featuresHtml = `
-                 <div>
-                    <h4 style="font-size: 0.9rem; color: var(--color-secondary); margin-bottom: 0.5rem;">FEATURES</h4>
-                    <ul style="font-size: 0.9rem; line-height: 1.6; color: #ddd; padding-left: 1.2rem;">
-                        ${project.features.map(f => `<li>${f}</li>`).join('')}
-                    </ul>
-                 </div>`;
-                }
-
-                let roleHtml = '';
-                if (project.role && project.role.length > 0) {
-                    roleHtml = `
-                 <div>
-                    <h4 style="font-size: 0.9rem; color: var(--color-secondary); margin-bottom: 0.5rem;">MY ROLE</h4>
-                     <ul style="font-size: 0.9rem; line-height: 1.6; color: #ddd; padding-left: 1.2rem;">
-                        ${project.role.map(r => `<li>${r}</li>`).join('')}
-                    </ul>
-                 </div>`;
-                }
-
-                const card = `
-            <div class="glass-card" style="transition-delay: ${index * 0.12}s">
-              <div style="display: flex; justify-content: space-between; align-items: flex-start; flex-wrap: wrap;">
-                <h3>${project.title}</h3>
-                <span style="font-size: 0.8rem; border: 1px solid var(--color-primary); padding: 0.2rem 0.5rem; border-radius: 4px; color: var(--color-primary);">${project.tag}</span>
-              </div>
-              <p style="margin: 1rem 0; color: #aaa; font-style: italic;">${project.description}</p>
-              
-              <div class="project-details-grid">
-                 ${featuresHtml}
-                 ${roleHtml}
-              </div>
-              
-              <div style="margin-top: 1.5rem; border-top: 1px solid var(--color-glass-border); padding-top: 1rem;">
-                 <p style="font-size: 0.8rem;"><strong>Stack:</strong> ${project.stack}</p>
-              </div>
-            </div>`;
-                projectsContainer.innerHTML += card;
-            });
-        }
+        projectList = withSlugs(Array.isArray(data.projects) ? data.projects : [], 'project');
+        renderProjects();
 
         // Skills
         const skillsContainer = document.querySelector('#skills-container');
@@ -113,66 +175,8 @@ async function loadContent() {
             });
         }
 
-        // Blog
-        const blogContainer = document.querySelector('#blog-container');
-        blogContainer.innerHTML = '';
-        if (data.blog && Array.isArray(data.blog)) {
-            data.blog.forEach((post, index) => {
-                const content = post.content || 'Content coming soon...';
-
-                // Optional media (only show if URL provided)
-                let imageHtml = '';
-                let videoHtml = '';
-
-                if (post.image && post.image.trim() !== '') {
-                    imageHtml = `<img src="${post.image}" alt="${post.title}" style="width: 100%; border-radius: 8px; margin-top: 1rem; max-height: 300px; object-fit: cover;">`;
-                }
-
-                if (post.video && post.video.trim() !== '') {
-                    const getEmbedUrl = (url) => {
-                        if (url.includes('youtube.com/watch?v=')) {
-                            return url.replace('watch?v=', 'embed/');
-                        }
-                        if (url.includes('youtu.be/')) {
-                            return url.replace('youtu.be/', 'youtube.com/embed/');
-                        }
-                        if (url.includes('vimeo.com/')) {
-                            return url.replace('vimeo.com/', 'player.vimeo.com/video/');
-                        }
-                        return url;
-                    };
-
-                    const embedUrl = getEmbedUrl(post.video);
-                    videoHtml = `<div style="margin-top: 1rem; position: relative; padding-bottom: 56.25%; height: 0; overflow: hidden; border-radius: 8px;">
-                    <iframe src="${embedUrl}" style="position: absolute; top: 0; left: 0; width: 100%; height: 100%; border: none;" allowfullscreen></iframe>
-                </div>`;
-                }
-
-                blogContainer.innerHTML += `
-            <div class="glass-card" style="transition-delay: ${index * 0.12}s">
-                <h3>${post.title}</h3>
-                <p style="margin-top: 1rem; color: #aaa;">${post.summary}</p>
-                ${imageHtml}
-                ${videoHtml}
-                <div id="blog-content-${index}" style="display: none; margin-top: 1.5rem; padding-top: 1rem; border-top: 1px solid var(--color-glass-border); color: #ddd; line-height: 1.6;">
-                    ${content}
-                </div>
-                <button class="btn" onclick="toggleBlog(${index})" style="margin-top: 1.5rem; padding: 0.5rem 1.5rem; font-size: 0.7rem;">Read More</button>
-            </div>`;
-            });
-        }
-
-        // Helper for Blog Toggle
-        window.toggleBlog = (index) => {
-            const el = document.getElementById(`blog-content-${index}`);
-            if (el.style.display === 'none') {
-                el.style.display = 'block';
-                event.target.innerText = 'Read Less';
-            } else {
-                el.style.display = 'none';
-                event.target.innerText = 'Read More';
-            }
-        };
+        // Blog (its own request, so a failure there leaves the rest of the page intact)
+        await renderBlog().catch((error) => console.error('Error loading blog:', error));
 
         // Experience
         const expContainer = document.querySelector('#experience-list');
@@ -200,6 +204,7 @@ async function loadContent() {
         document.querySelector('#contact a.btn').innerText = data.contact.email;
         document.querySelector('#contact a.btn').href = `https://mail.google.com/mail/?view=cm&to=${data.contact.email}`;
         document.querySelector('#contact a.btn').target = '_blank';
+        contactEndpoint = data.contact.formEndpoint || '/api/contact';
 
         // Socials
         const socialsContainer = document.querySelector('#socials-container');
@@ -244,7 +249,7 @@ async function loadContent() {
                 <section id="${section.id}" class="container custom-section" style="padding: 4rem 0; ${wrapperStyle}">
                     <div class="${styleClass}">
                         <h2 style="margin-bottom: 2rem; text-align: center;">${section.title}</h2>
-                        <div style="line-height: 1.8; color: #ccc;">${section.content}</div>
+                        <div class="rich-text" style="line-height: 1.8; color: #ccc;">${renderRichText(section.content, section.format)}</div>
                     </div>
                 </section>`;
 
@@ -273,6 +278,9 @@ async function loadContent() {
         console.warn('Falling back to static markup content due to API failure.');
     }
 
+    // Runs after custom sections are inserted so they are observed too
+    startAnalytics();
+
     // Mobile Menu Toggle
     const hamburger = document.querySelector('.hamburger');
     const navLinks = document.querySelector('.nav-links');
@@ -353,6 +361,343 @@ async function loadContent() {
     }
 }
 
+// Filter chip for the projects (`scope` "project") or blog ("blog") section.
+function filterChip(scope, key, value, label, active) {
+    return `<button type="button" class="blog-chip${active ? ' active' : ''}" data-${scope}-filter="${key}" data-value="${escapeHtml(value)}" aria-pressed="${active}">${escapeHtml(label)}</button>`;
+}
+
+// Projects section: filters, search and sort live in the URL as
+// ?project_tag=, ?project_tech=, ?project_q= and ?project_sort=.
+const PROJECT_PARAMS = { tag: 'project_tag', tech: 'project_tech', query: 'project_q', sort: 'project_sort' };
+let projectList = [];
+
+function projectState() {
+    const params = new URLSearchParams(window.location.search);
+    return Object.fromEntries(Object.entries(PROJECT_PARAMS).map(([key, param]) => [key, params.get(param) || '']));
+}
+
+// Typing in the search box replaces the history entry instead of adding one per keystroke
+function setProjectState(changes, { replace = false } = {}) {
+    const params = new URLSearchParams(window.location.search);
+    const next = { ...projectState(), ...changes };
+    Object.entries(PROJECT_PARAMS).forEach(([key, param]) => {
+        if (next[key] && !(key === 'sort' && next[key] === 'featured')) params.set(param, next[key]);
+        else params.delete(param);
+    });
+    const query = params.toString();
+    history[replace ? 'replaceState' : 'pushState'](null, '', `${window.location.pathname}${query ? `?${query}` : ''}#projects`);
+    renderProjects();
+}
+
+function projectCard(project, index) {
+    const featured = project.featured === true || project.featured === 'true';
+    const detailLink = `/projects/${encodeURIComponent(project.slug)}${isDraftPreview ? '?preview=draft' : ''}`;
+    let featuresHtml = '';
+    if (project.features && project.features.length > 0) {
+        featuresHtml = `
+     <div>
+        <h4 style="font-size: 0.9rem; color: var(--color-secondary); margin-bottom: 0.5rem;">FEATURES</h4>
+        <ul style="font-size: 0.9rem; line-height: 1.6; color: #ddd; padding-left: 1.2rem;">
+            ${project.features.map(f => `<li>${f}</li>`).join('')}
+        </ul>
+     </div>`;
+    }
+
+    let roleHtml = '';
+    if (project.role && project.role.length > 0) {
+        roleHtml = `
+     <div>
+        <h4 style="font-size: 0.9rem; color: var(--color-secondary); margin-bottom: 0.5rem;">MY ROLE</h4>
+         <ul style="font-size: 0.9rem; line-height: 1.6; color: #ddd; padding-left: 1.2rem;">
+            ${project.role.map(r => `<li>${r}</li>`).join('')}
+        </ul>
+     </div>`;
+    }
+
+    return `
+        <div class="glass-card${featured ? ' project-featured' : ''}" style="transition-delay: ${index * 0.12}s">
+          ${featured ? '<p class="project-featured-label">Featured</p>' : ''}
+          ${project.image ? `<a href="${detailLink}" tabindex="-1">${responsiveImage(project.image, mediaImages, { sizes: '(max-width: 1200px) 100vw, 1136px', style: 'width: 100%; height: auto; border-radius: 8px; margin-bottom: 1rem; max-height: 220px; object-fit: cover;' })}</a>` : ''}
+          <div style="display: flex; justify-content: space-between; align-items: flex-start; flex-wrap: wrap;">
+            <h3><a href="${detailLink}" style="color: inherit; text-decoration: none;">${project.title}</a></h3>
+            ${project.tag ? `<button type="button" class="project-tag-chip" data-project-filter="tag" data-value="${escapeHtml(project.tag)}">${escapeHtml(project.tag)}</button>` : ''}
+          </div>
+          <p style="margin: 1rem 0; color: #aaa; font-style: italic;">${project.description}</p>
+  
+          <div class="project-details-grid">
+             ${featuresHtml}
+             ${roleHtml}
+          </div>
+  
+          <div style="margin-top: 1.5rem; border-top: 1px solid var(--color-glass-border); padding-top: 1rem;">
+             <p style="font-size: 0.8rem;"><strong>Stack:</strong> ${project.stack}</p>
+          </div>
+          <a class="btn" href="${detailLink}" style="display: inline-block; margin-top: 1.5rem; padding: 0.5rem 1.5rem; font-size: 0.7rem;">View Project</a>
+          ${engagementBar('projects', project.id)}
+        </div>`;
+}
+
+function renderProjectControls(state) {
+    const controls = document.querySelector('#project-controls');
+    if (!controls) return;
+    const { tags, technologies } = showcaseFacets(projectList);
+    const chips = (key, values) => values.map(({ name, count }) => filterChip('project', key, name, `${name} (${count})`, name.toLowerCase() === state[key].toLowerCase())).join('');
+
+    // The search box is only built once so typing keeps focus and caret position
+    if (!controls.dataset.ready) {
+        controls.dataset.ready = 'true';
+        controls.innerHTML = `
+            <div class="project-toolbar">
+                <label class="sr-only" for="project-search">Search projects</label>
+                <input id="project-search" type="search" placeholder="Search projects…" autocomplete="off">
+                <label class="sr-only" for="project-sort">Sort projects</label>
+                <select id="project-sort">
+                    <option value="featured">Featured</option>
+                    <option value="newest">Newest</option>
+                    <option value="alphabetical">A–Z</option>
+                </select>
+            </div>
+            <div class="blog-filters" data-project-facet="tag" role="group" aria-label="Filter projects by tag"></div>
+            <div class="blog-filters" data-project-facet="tech" role="group" aria-label="Filter projects by technology"></div>`;
+        controls.querySelector('#project-search').addEventListener('input', (event) => setProjectState({ query: event.target.value }, { replace: true }));
+        controls.querySelector('#project-sort').addEventListener('change', (event) => setProjectState({ sort: event.target.value }));
+    }
+
+    const search = controls.querySelector('#project-search');
+    if (document.activeElement !== search) search.value = state.query;
+    controls.querySelector('#project-sort').value = PROJECT_SORTS.includes(state.sort) ? state.sort : 'featured';
+    controls.querySelector('[data-project-facet="tag"]').innerHTML = tags.length > 1 || state.tag ? chips('tag', tags) : '';
+    controls.querySelector('[data-project-facet="tech"]').innerHTML = technologies.length > 1 || state.tech ? chips('tech', technologies) : '';
+}
+
+function renderProjects() {
+    const projectsContainer = document.querySelector('#projects-container');
+    if (!projectsContainer) return;
+    const state = projectState();
+    renderProjectControls(state);
+    const projects = filterProjects(projectList, state);
+    projectsContainer.innerHTML = projects.length
+        ? projects.map(projectCard).join('')
+        : `<p class="blog-empty">${projectList.length ? 'No projects match these filters.' : 'No projects yet.'}</p>`;
+    applyEngagement(projectsContainer);
+}
+
+document.addEventListener('click', (event) => {
+    const chip = event.target.closest?.('[data-project-filter]');
+    if (!chip) return;
+    const key = chip.dataset.projectFilter;
+    // Clicking the active filter again clears it
+    setProjectState({ [key]: projectState()[key].toLowerCase() === chip.dataset.value.toLowerCase() ? '' : chip.dataset.value });
+});
+
+// Blog listing (served paginated by /api/blog). Filters live in the URL as
+// ?blog_tag=, ?blog_category=, ?blog_month= and ?blog_page= so filtered views
+// can be shared and the back button steps through them.
+const BLOG_PARAMS = { tag: 'blog_tag', category: 'blog_category', month: 'blog_month', page: 'blog_page' };
+const BLOG_PAGE_SIZE = 6;
+
+function blogState() {
+    const params = new URLSearchParams(window.location.search);
+    return Object.fromEntries(Object.entries(BLOG_PARAMS).map(([key, param]) => [key, params.get(param) || '']));
+}
+
+function setBlogState(changes) {
+    const params = new URLSearchParams(window.location.search);
+    // Any filter change starts again from the first page
+    const next = { ...blogState(), page: '', ...changes };
+    Object.entries(BLOG_PARAMS).forEach(([key, param]) => {
+        if (next[key]) params.set(param, next[key]);
+        else params.delete(param);
+    });
+    const query = params.toString();
+    history.pushState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}#blog`);
+    renderBlog();
+}
+
+const monthLabel = (month) => new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+
+function blogCard(post, index) {
+    const permalink = `/blog/${encodeURIComponent(post.slug)}${isDraftPreview ? '?preview=draft' : ''}`;
+
+    // Optional media (only show if URL provided)
+    let imageHtml = '';
+    let videoHtml = '';
+
+    if (post.image && post.image.trim() !== '') {
+        imageHtml = responsiveImage(post.image, mediaImages, {
+            alt: post.title,
+            sizes: '(max-width: 768px) 100vw, 460px',
+            style: 'width: 100%; height: auto; border-radius: 8px; margin-top: 1rem; max-height: 300px; object-fit: cover;'
+        });
+    }
+
+    // Unsupported URLs are rejected on save; older ones are simply not shown
+    const video = parseVideo(post.video);
+    if (video) {
+        videoHtml = videoPlayer(video);
+    }
+
+    const tags = Array.isArray(post.tags) ? post.tags : [];
+    const tagsHtml = tags.length
+        ? `<div class="blog-card-tags">${tags.map((tag) => filterChip('blog', 'tag', tag, `#${tag}`, false)).join('')}</div>`
+        : '';
+
+    return `
+            <div class="glass-card" style="transition-delay: ${index * 0.12}s">
+                ${post.category ? `<button type="button" class="blog-card-category" data-blog-filter="category" data-value="${escapeHtml(post.category)}">${escapeHtml(post.category)}</button>` : ''}
+                <h3><a href="${permalink}" style="color: inherit; text-decoration: none;">${post.title}</a></h3>
+                <p style="margin-top: 1rem; color: #aaa;">${post.summary}</p>
+                ${imageHtml}
+                ${videoHtml}
+                ${tagsHtml}
+                <a class="btn" href="${permalink}" style="display: inline-block; margin-top: 1.5rem; padding: 0.5rem 1.5rem; font-size: 0.7rem;">Read More</a>
+                ${engagementBar('blog', post.id)}
+            </div>`;
+}
+
+async function renderBlog() {
+    const blogContainer = document.querySelector('#blog-container');
+    if (!blogContainer) return;
+    const state = blogState();
+    const params = new URLSearchParams({ limit: BLOG_PAGE_SIZE });
+    Object.entries(state).forEach(([key, value]) => value && params.set(key, value));
+    if (isDraftPreview) params.set('view', 'draft');
+
+    const response = await fetch(`/api/blog?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+        blogContainer.innerHTML = `<p class="blog-empty">${escapeHtml(data.message || 'Posts could not be loaded.')}</p>`;
+        return;
+    }
+
+    const filtered = Boolean(state.tag || state.category || state.month);
+    blogContainer.innerHTML = data.posts.length
+        ? data.posts.map(blogCard).join('')
+        : `<p class="blog-empty">${filtered ? 'No posts match these filters.' : 'No posts yet.'}</p>`;
+    applyEngagement(blogContainer);
+
+    const filters = document.querySelector('#blog-filters');
+    if (filters) {
+        const lower = (value) => value.toLowerCase();
+        const tagButtons = data.tags.map((tag) => filterChip('blog', 'tag', tag.name, `#${tag.name} (${tag.count})`, lower(tag.name) === lower(state.tag)));
+        const categoryButtons = data.categories.map((category) => filterChip('blog', 'category', category.name, category.name, lower(category.name) === lower(state.category)));
+        filters.innerHTML = tagButtons.length || categoryButtons.length || filtered
+            ? [
+                filterChip('blog', 'all', '', 'All posts', !filtered),
+                ...categoryButtons,
+                ...tagButtons,
+                state.month ? filterChip('blog', 'month', state.month, monthLabel(state.month), true) : ''
+            ].join('')
+            : '';
+    }
+
+    const archive = document.querySelector('#blog-archive');
+    if (archive) {
+        archive.hidden = !data.archive.length;
+        archive.innerHTML = data.archive.length
+            ? `<h3>Archive</h3><ul>${data.archive.map((month) => `<li>${filterChip('blog', 'month', month.name, `${monthLabel(month.name)} (${month.count})`, month.name === state.month)}</li>`).join('')}</ul>`
+            : '';
+    }
+
+    const pager = document.querySelector('#blog-pagination');
+    if (pager) {
+        const { page, totalPages } = data.pagination;
+        pager.hidden = totalPages < 2;
+        pager.innerHTML = totalPages < 2 ? '' : `
+            <button type="button" class="btn" data-blog-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>Newer</button>
+            <span>Page ${page} of ${totalPages}</span>
+            <button type="button" class="btn" data-blog-page="${page + 1}" ${page >= totalPages ? 'disabled' : ''}>Older</button>`;
+    }
+}
+
+document.addEventListener('click', (event) => {
+    const filter = event.target.closest?.('[data-blog-filter]');
+    if (filter) {
+        const { blogFilter: key, value } = filter.dataset;
+        if (key === 'all') return setBlogState({ tag: '', category: '', month: '' });
+        // Clicking the active filter again clears it
+        const active = blogState()[key].toLowerCase() === value.toLowerCase();
+        return setBlogState({ [key]: active ? '' : value });
+    }
+    const pageButton = event.target.closest?.('[data-blog-page]');
+    if (pageButton) {
+        setBlogState({ page: pageButton.dataset.blogPage });
+        document.querySelector('#blog')?.scrollIntoView({ behavior: 'smooth' });
+    }
+});
+
+window.addEventListener('popstate', () => {
+    renderProjects();
+    renderBlog().catch((error) => console.error('Error loading blog:', error));
+});
+
+// Reactions and bookmarks on project and blog cards. Counts are public;
+// reacting or saving needs an account, so signed-out clicks go to the login page.
+let engagement = null;
+let engagementRequest = null;
+
+function engagementBar(type, id) {
+    if (!id) return '';
+    return `<div class="engage" data-engage-type="${type}" data-engage-id="${escapeHtml(id)}">
+                <button type="button" class="engage-btn" data-react aria-pressed="false" aria-label="Like"><span aria-hidden="true">♥</span> <span class="engage-count">0</span></button>
+                <button type="button" class="engage-btn" data-bookmark aria-pressed="false">Save</button>
+            </div>`;
+}
+
+function paintEngagement(bar) {
+    const counts = engagement?.items[`${bar.dataset.engageType}:${bar.dataset.engageId}`] || { reactions: 0, reacted: false, bookmarked: false };
+    const react = bar.querySelector('[data-react]');
+    const bookmark = bar.querySelector('[data-bookmark]');
+    react.setAttribute('aria-pressed', String(counts.reacted));
+    react.querySelector('.engage-count').textContent = counts.reactions;
+    bookmark.setAttribute('aria-pressed', String(counts.bookmarked));
+    bookmark.textContent = counts.bookmarked ? 'Saved' : 'Save';
+}
+
+async function applyEngagement(root) {
+    try {
+        // Projects and blog render separately but share one request
+        engagementRequest ||= fetch('/api/engagement').then((res) => res.json());
+        engagement = await engagementRequest;
+        root.querySelectorAll('.engage').forEach(paintEngagement);
+    } catch (error) {
+        engagementRequest = null;
+        console.warn('Reactions unavailable:', error);
+    }
+}
+
+document.addEventListener('click', async (event) => {
+    const button = event.target.closest?.('.engage [data-react], .engage [data-bookmark]');
+    if (!button || !engagement) return;
+    if (!engagement.viewer) {
+        window.location.href = `/login.html?next=${encodeURIComponent(`${window.location.pathname}${window.location.search}#${button.closest('section')?.id || ''}`)}`;
+        return;
+    }
+
+    const bar = button.closest('.engage');
+    const key = `${bar.dataset.engageType}:${bar.dataset.engageId}`;
+    const counts = engagement.items[key] ||= { reactions: 0, reacted: false, bookmarked: false };
+    const isReaction = button.hasAttribute('data-react');
+    const on = !(isReaction ? counts.reacted : counts.bookmarked);
+    const url = `/api/${isReaction ? 'reactions' : 'bookmarks'}/${bar.dataset.engageType}/${encodeURIComponent(bar.dataset.engageId)}`;
+
+    button.disabled = true;
+    try {
+        const res = await fetch(url, { method: on ? 'PUT' : 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || data.message);
+        Object.assign(counts, data);
+        document.querySelectorAll('.engage').forEach((other) => {
+            if (`${other.dataset.engageType}:${other.dataset.engageId}` === key) paintEngagement(other);
+        });
+    } catch (error) {
+        console.error('Reaction failed:', error);
+    } finally {
+        button.disabled = false;
+    }
+});
+
 // Check Auth and Update Nav
 async function checkLoginStatus() {
     try {
@@ -414,6 +759,104 @@ async function checkLoginStatus() {
     }
 }
 
+// Videos parsed by utils/videoEmbed.js. Self-hosted files play in <video>;
+// third-party embeds stay click-to-load placeholders until the visitor allows
+// the "embeds" consent category.
+function videoPlayer(video) {
+    if (video.kind === 'video') {
+        return `<video class="video-embed" controls preload="metadata" playsinline>
+            <source src="${escapeHtml(video.src)}" type="${video.type}">
+        </video>`;
+    }
+    const portrait = video.aspectRatio === '9 / 16';
+    return `<div class="video-embed${portrait ? ' video-embed-portrait' : ''}" style="aspect-ratio: ${video.aspectRatio}">
+            ${hasConsent('embeds') ? embedFrame(video.src) : embedPlaceholder(video)}
+        </div>`;
+}
+
+function embedFrame(src) {
+    return `<iframe src="${escapeHtml(src)}" style="position: absolute; top: 0; left: 0; width: 100%; height: 100%; border: none;" allow="fullscreen; picture-in-picture; encrypted-media" allowfullscreen loading="lazy"></iframe>`;
+}
+
+function embedPlaceholder(video) {
+    return `<div class="embed-placeholder" data-embed-src="${escapeHtml(video.src)}">
+        <p>This video is hosted on ${video.label}, which may set cookies.</p>
+        <button type="button" class="btn" data-embed-load>Load video</button>
+        <button type="button" class="btn cookie-secondary" data-embed-allow>Always allow embeds</button>
+    </div>`;
+}
+
+function loadEmbed(placeholder) {
+    placeholder.outerHTML = embedFrame(placeholder.dataset.embedSrc);
+}
+
+document.addEventListener('click', (event) => {
+    const placeholder = event.target.closest?.('.embed-placeholder');
+    if (!placeholder) return;
+    if (event.target.closest('[data-embed-allow]')) setConsent({ embeds: true });
+    else if (event.target.closest('[data-embed-load]')) loadEmbed(placeholder);
+});
+
+onConsentChange((consent) => {
+    if (consent.embeds) document.querySelectorAll('.embed-placeholder').forEach(loadEmbed);
+    startAnalytics();
+});
+
+// Analytics beacons, sent only with "analytics" consent and without DNT/GPC
+// (the server checks the same and also skips admin sessions and crawlers)
+let analyticsStarted = false;
+
+function startAnalytics() {
+    if (analyticsStarted || isDraftPreview || !trackingAllowed()) return;
+    analyticsStarted = true;
+    trackPageView();
+    trackSectionViews();
+}
+
+function sendAnalytics(url, data) {
+    const payload = JSON.stringify(data);
+    const blob = new Blob([payload], { type: 'application/json' });
+    if (!navigator.sendBeacon?.(url, blob)) {
+        fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: payload, keepalive: true }).catch(() => {});
+    }
+}
+
+function trackPageView() {
+    sendAnalytics('/api/analytics/pageview', { path: window.location.pathname, referrer: document.referrer });
+}
+
+// Each section counts once per page load when 40% of it (or of the viewport,
+// for sections taller than the screen) is visible; sightings are batched and flushed after a short pause or when leaving the page.
+function trackSectionViews() {
+    if (!('IntersectionObserver' in window)) return;
+    const seen = new Set();
+    let pending = [];
+    let flushTimer;
+
+    const flush = () => {
+        clearTimeout(flushTimer);
+        if (!pending.length) return;
+        sendAnalytics('/api/analytics/sections', { sections: pending });
+        pending = [];
+    };
+
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+            const id = entry.target.id;
+            const needed = Math.min(entry.boundingClientRect.height, window.innerHeight) * 0.4;
+            if (!entry.isIntersecting || entry.intersectionRect.height < needed || seen.has(id)) return;
+            seen.add(id);
+            pending.push(id);
+            observer.unobserve(entry.target);
+        });
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(flush, 2000);
+    }, { threshold: [0, 0.1, 0.2, 0.4, 0.6] });
+
+    document.querySelectorAll('section[id]').forEach((section) => observer.observe(section));
+    window.addEventListener('pagehide', flush);
+}
+
 // Ensure loadContent is called
 loadContent();
 checkLoginStatus();
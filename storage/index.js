@@ -0,0 +1,22 @@
+import { createMongoAdapter } from "./mongoAdapter.js";
+import { createSqliteAdapter } from "./sqliteAdapter.js";
+import { createMemoryAdapter } from "./memoryAdapter.js";
+
+// DB_DRIVER picks the storage backend: "mongo", "sqlite" or "memory".
+// Without it we use Mongo when a URI is configured and a local SQLite file otherwise.
+export function createAdapter(driver, env = process.env) {
+  const mongoUri = env.MONGODB_URI || env.MONGO_URI;
+  const selected = (driver || (mongoUri ? "mongo" : "sqlite")).toLowerCase();
+
+  switch (selected) {
+    case "mongo":
+    case "mongodb":
+      return createMongoAdapter({ uri: mongoUri });
+    case "sqlite":
+      return createSqliteAdapter({ filename: env.SQLITE_PATH || "./database.sqlite" });
+    case "memory":
+      return createMemoryAdapter();
+    default:
+      throw new Error(`Unknown DB_DRIVER "${selected}" (expected mongo, sqlite or memory)`);
+  }
+}
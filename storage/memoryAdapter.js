@@ -0,0 +1,130 @@
+import { randomUUID } from "crypto";
+import { pickUserFields } from "./userFields.js";
+import { matchesFilter } from "./records.js";
+
+// Process-local storage for tests and throwaway dev servers. Values are
+// cloned on the way in and out so callers can't mutate stored state.
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+const toJson = (value) => JSON.parse(JSON.stringify(value));
+
+export function createMemoryAdapter() {
+  const users = new Map();
+  const content = new Map();
+  const records = new Map();
+
+  const recordsOf = (collection) => {
+    if (!records.has(collection)) records.set(collection, []);
+    return records.get(collection);
+  };
+
+  const findUserRecord = (email) => [...users.values()].find((u) => u.email === email) || null;
+
+  return {
+    name: "memory",
+
+    async connect() {},
+
+    async close() {},
+
+    async findUserByEmail(email) {
+      return clone(findUserRecord(email));
+    },
+
+    async createUser(profile) {
+      const fields = pickUserFields(profile);
+      if (!fields.email) throw new Error("User email is required");
+      if (findUserRecord(fields.email)) throw new Error(`Duplicate user email: ${fields.email}`);
+
+      const user = { id: randomUUID(), isAdmin: false, ...fields, createdAt: new Date() };
+      users.set(user.id, user);
+      return clone(user);
+    },
+
+    async getUserById(id) {
+      return clone(users.get(id) || null);
+    },
+
+    async getAllUsers() {
+      return [...users.values()]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(clone);
+    },
+
+    async updateUser(id, updates) {
+      const user = users.get(id);
+      if (!user) return null;
+      Object.assign(user, pickUserFields(updates));
+      return clone(user);
+    },
+
+    async getContent(key) {
+      return clone(content.get(key)?.value ?? null);
+    },
+
+    async getContentEntry(key) {
+      return clone(content.get(key) ?? null);
+    },
+
+    async compareAndSetContent(key, value, expectedVersion) {
+      const version = content.get(key)?.version ?? 0;
+      if (version !== expectedVersion) return null;
+      content.set(key, { value: clone(value), version: version + 1 });
+      return clone(content.get(key));
+    },
+
+    async setContent(key, value) {
+      content.set(key, { value: clone(value), version: content.get(key)?.version ?? 0 });
+      return clone(value);
+    },
+
+    async insertRecord(collection, record) {
+      const stored = toJson({ ...record, id: record.id || randomUUID(), createdAt: record.createdAt || new Date().toISOString() });
+      const list = recordsOf(collection);
+      if (list.some((r) => r.id === stored.id)) throw new Error(`Duplicate record id: ${stored.id}`);
+      list.push(stored);
+      return clone(stored);
+    },
+
+    async upsertRecord(collection, record) {
+      if (!record.id) throw new Error("upsertRecord needs a record id");
+      const stored = toJson({ ...record, createdAt: record.createdAt || new Date().toISOString() });
+      const list = recordsOf(collection);
+      const index = list.findIndex((r) => r.id === stored.id);
+      if (index < 0) list.push(stored);
+      else list[index] = stored;
+      return clone(stored);
+    },
+
+    async listRecords(collection, filter = {}) {
+      return recordsOf(collection).filter((r) => matchesFilter(r, filter)).map(clone);
+    },
+
+    async getRecord(collection, id) {
+      return clone(recordsOf(collection).find((r) => r.id === id) || null);
+    },
+
+    async updateRecord(collection, id, updates) {
+      const record = recordsOf(collection).find((r) => r.id === id);
+      if (!record) return null;
+      const { id: ignoreId, ...rest } = toJson(updates);
+      Object.assign(record, rest);
+      return clone(record);
+    },
+
+    async compareAndSetRecord(collection, id, expected, updates) {
+      const record = recordsOf(collection).find((r) => r.id === id);
+      if (!record || !matchesFilter(record, expected)) return null;
+      const { id: ignoreId, ...rest } = toJson(updates);
+      Object.assign(record, rest);
+      return clone(record);
+    },
+
+    async deleteRecord(collection, id) {
+      const list = recordsOf(collection);
+      const index = list.findIndex((r) => r.id === id);
+      if (index < 0) return false;
+      list.splice(index, 1);
+      return true;
+    }
+  };
+}
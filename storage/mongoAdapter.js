@@ -0,0 +1,192 @@
+import { randomUUID } from "crypto";
+import mongoose from "mongoose";
+import { pickUserFields } from "./userFields.js";
+
+const UserSchema = new mongoose.Schema(
+  {
+    email: { type: String, unique: true, index: true, required: true },
+    password: { type: String },
+    name: { type: String },
+    avatar: { type: String },
+    isAdmin: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now }
+  },
+  { collection: "users" }
+);
+
+const ContentSchema = new mongoose.Schema(
+  {
+    key: { type: String, unique: true, index: true, required: true },
+    value: { type: mongoose.Schema.Types.Mixed, required: true },
+    version: { type: Number, default: 0 }
+  },
+  { timestamps: true, collection: "content" }
+);
+
+const User = mongoose.models.User || mongoose.model("User", UserSchema);
+const Content = mongoose.models.Content || mongoose.model("Content", ContentSchema);
+
+function toUser(doc) {
+  if (!doc) return null;
+  return {
+    id: doc._id.toString(),
+    email: doc.email,
+    password: doc.password,
+    name: doc.name,
+    avatar: doc.avatar,
+    isAdmin: doc.isAdmin === true,
+    createdAt: doc.createdAt
+  };
+}
+
+function toRecord(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id, ...rest };
+}
+
+function toRecordFilter(filter) {
+  const { id, ...rest } = filter;
+  return id === undefined ? rest : { _id: id, ...rest };
+}
+
+export function createMongoAdapter({ uri } = {}) {
+  let isConnected = false;
+
+  return {
+    name: "mongo",
+
+    async connect() {
+      if (isConnected) return;
+      if (!uri) throw new Error("MONGODB_URI missing (set it in Render env vars / .env)");
+
+      mongoose.set("strictQuery", true);
+      await mongoose.connect(uri, { serverSelectionTimeoutMS: 10000 });
+
+      isConnected = true;
+      console.log("✅ MongoDB connected");
+    },
+
+    async close() {
+      if (!isConnected) return;
+      await mongoose.disconnect();
+      isConnected = false;
+    },
+
+    async findUserByEmail(email) {
+      return toUser(await User.findOne({ email }).lean());
+    },
+
+    async createUser(profile) {
+      const created = await User.create(pickUserFields(profile));
+      return toUser(created.toObject());
+    },
+
+    async getUserById(id) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      return toUser(await User.findById(id).lean());
+    },
+
+    async getAllUsers() {
+      const users = await User.find({}).sort({ createdAt: -1 }).lean();
+      return users.map(toUser);
+    },
+
+    async updateUser(id, updates) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      const updated = await User.findOneAndUpdate(
+        { _id: id },
+        { $set: pickUserFields(updates) },
+        { new: true }
+      ).lean();
+      return toUser(updated);
+    },
+
+    async getContent(key) {
+      const doc = await Content.findOne({ key }).lean();
+      return doc?.value ?? null;
+    },
+
+    async getContentEntry(key) {
+      const doc = await Content.findOne({ key }).lean();
+      return doc ? { value: doc.value, version: doc.version || 0 } : null;
+    },
+
+    async compareAndSetContent(key, value, expectedVersion) {
+      // Documents written before versioning have no version field; treat that as 0.
+      const versionFilter = expectedVersion === 0
+        ? { $or: [{ version: 0 }, { version: { $exists: false } }] }
+        : { version: expectedVersion };
+      try {
+        const updated = await Content.findOneAndUpdate(
+          { key, ...versionFilter },
+          { $set: { value, version: expectedVersion + 1 } },
+          { upsert: expectedVersion === 0, new: true }
+        ).lean();
+        return updated ? { value: updated.value, version: updated.version } : null;
+      } catch (error) {
+        // An upsert racing an existing document trips the unique key index.
+        if (error?.code === 11000) return null;
+        throw error;
+      }
+    },
+
+    async setContent(key, value) {
+      const updated = await Content.findOneAndUpdate(
+        { key },
+        { $set: { value } },
+        { upsert: true, new: true }
+      ).lean();
+      return updated?.value ?? value;
+    },
+
+    async insertRecord(collection, record) {
+      const { id, ...rest } = JSON.parse(JSON.stringify(record));
+      const doc = { _id: id || randomUUID(), ...rest, createdAt: rest.createdAt || new Date().toISOString() };
+      await mongoose.connection.collection(collection).insertOne(doc);
+      return toRecord(doc);
+    },
+
+    async upsertRecord(collection, record) {
+      if (!record.id) throw new Error("upsertRecord needs a record id");
+      const { id, ...rest } = JSON.parse(JSON.stringify(record));
+      const doc = { _id: id, ...rest, createdAt: rest.createdAt || new Date().toISOString() };
+      await mongoose.connection.collection(collection).replaceOne({ _id: id }, doc, { upsert: true });
+      return toRecord(doc);
+    },
+
+    async listRecords(collection, filter = {}) {
+      const docs = await mongoose.connection
+        .collection(collection)
+        .find(toRecordFilter(filter))
+        .sort({ createdAt: 1 })
+        .toArray();
+      return docs.map(toRecord);
+    },
+
+    async getRecord(collection, id) {
+      return toRecord(await mongoose.connection.collection(collection).findOne({ _id: id }));
+    },
+
+    async updateRecord(collection, id, updates) {
+      const { id: ignoreId, ...rest } = JSON.parse(JSON.stringify(updates));
+      const updated = await mongoose.connection
+        .collection(collection)
+        .findOneAndUpdate({ _id: id }, { $set: rest }, { returnDocument: "after" });
+      return toRecord(updated);
+    },
+
+    async compareAndSetRecord(collection, id, expected, updates) {
+      const { id: ignoreId, ...rest } = JSON.parse(JSON.stringify(updates));
+      const updated = await mongoose.connection
+        .collection(collection)
+        .findOneAndUpdate({ ...toRecordFilter(expected), _id: id }, { $set: rest }, { returnDocument: "after" });
+      return toRecord(updated);
+    },
+
+    async deleteRecord(collection, id) {
+      const result = await mongoose.connection.collection(collection).deleteOne({ _id: id });
+      return result.deletedCount > 0;
+    }
+  };
+}
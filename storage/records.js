@@ -0,0 +1,20 @@
+// Records are plain JSON documents grouped by collection name. Filters are
+// field equality, or an inclusive range written `{ $gte, $lte }` (either bound
+// optional), so every adapter can evaluate them the same way; Mongo reads
+// the same filter natively.
+const RANGE_OPERATORS = {
+  $gte: (value, bound) => value >= bound,
+  $lte: (value, bound) => value <= bound
+};
+
+export const isRange = (condition) => !!condition && typeof condition === "object" && !Array.isArray(condition)
+  && Object.keys(condition).length > 0 && Object.keys(condition).every((op) => op in RANGE_OPERATORS);
+
+export function matchesFilter(record, filter = {}) {
+  return Object.keys(filter).every((key) => {
+    const condition = filter[key];
+    if (!isRange(condition)) return record[key] === condition;
+    const value = record[key];
+    return value !== undefined && value !== null && Object.keys(condition).every((op) => RANGE_OPERATORS[op](value, condition[op]));
+  });
+}
@@ -0,0 +1,254 @@
+import { randomUUID } from "crypto";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { USER_FIELDS, pickUserFields } from "./userFields.js";
+import { isRange, matchesFilter } from "./records.js";
+
+const COLUMN_FOR = {
+  email: "email",
+  password: "password",
+  name: "name",
+  avatar: "avatar",
+  isAdmin: "is_admin"
+};
+
+function toUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: row.email,
+    password: row.password ?? undefined,
+    name: row.name ?? undefined,
+    avatar: row.avatar ?? undefined,
+    isAdmin: row.is_admin === 1,
+    createdAt: new Date(row.created_at)
+  };
+}
+
+function toRowValue(field, value) {
+  return field === "isAdmin" ? (value ? 1 : 0) : value;
+}
+
+// Only plain field names are spliced into a JSON path literal; a literal path
+// (not a bound parameter) is what lets SQLite use the expression index below.
+const SQL_FIELD = /^[A-Za-z_]\w*$/;
+const SQL_SCALAR = (value) => typeof value === "string" || typeof value === "number";
+
+// WHERE clauses for the parts of a records filter SQLite can evaluate on its
+// own. Rows it returns still go through matchesFilter, which stays the one
+// definition of what a filter means; this only keeps the rest from being read.
+function toRecordWhere(filter) {
+  const clauses = [];
+  const params = [];
+  Object.entries(filter).forEach(([key, condition]) => {
+    if (!SQL_FIELD.test(key)) return;
+    const field = `json_extract(data, '$.${key}')`;
+    if (isRange(condition)) {
+      [["$gte", ">="], ["$lte", "<="]].forEach(([op, sql]) => {
+        if (!SQL_SCALAR(condition[op])) return;
+        clauses.push(`${field} ${sql} ?`);
+        params.push(condition[op]);
+      });
+    } else if (SQL_SCALAR(condition)) {
+      clauses.push(`${field} = ?`);
+      params.push(condition);
+    } else if (typeof condition === "boolean") {
+      clauses.push(`json_type(data, '$.${key}') = ?`);
+      params.push(String(condition));
+    }
+  });
+  return { where: clauses.map((clause) => ` AND ${clause}`).join(""), params };
+}
+
+export function createSqliteAdapter({ filename = "./database.sqlite" } = {}) {
+  let db = null;
+
+  return {
+    name: "sqlite",
+
+    async connect() {
+      if (db) return;
+      db = await open({ filename, driver: sqlite3.Database });
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id TEXT PRIMARY KEY,
+          email TEXT UNIQUE NOT NULL,
+          password TEXT,
+          name TEXT,
+          avatar TEXT,
+          is_admin INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS content (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          version INTEGER NOT NULL DEFAULT 0,
+          updated_at TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS records (
+          collection TEXT NOT NULL,
+          id TEXT NOT NULL,
+          data TEXT NOT NULL,
+          PRIMARY KEY (collection, id)
+        );
+        CREATE INDEX IF NOT EXISTS records_day ON records (collection, json_extract(data, '$.day'));
+      `);
+      const contentColumns = await db.all("PRAGMA table_info(content)");
+      if (!contentColumns.some((column) => column.name === "version")) {
+        await db.exec("ALTER TABLE content ADD COLUMN version INTEGER NOT NULL DEFAULT 0");
+      }
+      console.log(`✅ SQLite connected (${filename})`);
+    },
+
+    async close() {
+      if (!db) return;
+      await db.close();
+      db = null;
+    },
+
+    async findUserByEmail(email) {
+      return toUser(await db.get("SELECT * FROM users WHERE email = ?", email));
+    },
+
+    async createUser(profile) {
+      const fields = pickUserFields(profile);
+      const id = randomUUID();
+      await db.run(
+        "INSERT INTO users (id, email, password, name, avatar, is_admin, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        id,
+        fields.email,
+        fields.password ?? null,
+        fields.name ?? null,
+        fields.avatar ?? null,
+        fields.isAdmin ? 1 : 0,
+        new Date().toISOString()
+      );
+      return toUser(await db.get("SELECT * FROM users WHERE id = ?", id));
+    },
+
+    async getUserById(id) {
+      return toUser(await db.get("SELECT * FROM users WHERE id = ?", id));
+    },
+
+    async getAllUsers() {
+      const rows = await db.all("SELECT * FROM users ORDER BY created_at DESC");
+      return rows.map(toUser);
+    },
+
+    async updateUser(id, updates) {
+      const fields = pickUserFields(updates);
+      const keys = USER_FIELDS.filter((field) => fields[field] !== undefined);
+      if (keys.length) {
+        const assignments = keys.map((field) => `${COLUMN_FOR[field]} = ?`).join(", ");
+        const values = keys.map((field) => toRowValue(field, fields[field]));
+        await db.run(`UPDATE users SET ${assignments} WHERE id = ?`, ...values, id);
+      }
+      return toUser(await db.get("SELECT * FROM users WHERE id = ?", id));
+    },
+
+    async getContent(key) {
+      const row = await db.get("SELECT value FROM content WHERE key = ?", key);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    async getContentEntry(key) {
+      const row = await db.get("SELECT value, version FROM content WHERE key = ?", key);
+      return row ? { value: JSON.parse(row.value), version: row.version } : null;
+    },
+
+    async compareAndSetContent(key, value, expectedVersion) {
+      const now = new Date().toISOString();
+      const result = expectedVersion === 0
+        ? await db.run(
+          `INSERT INTO content (key, value, version, updated_at) VALUES (?, ?, 1, ?)
+           ON CONFLICT(key) DO UPDATE SET value = excluded.value, version = 1, updated_at = excluded.updated_at
+           WHERE content.version = 0`,
+          key,
+          JSON.stringify(value),
+          now
+        )
+        : await db.run(
+          "UPDATE content SET value = ?, version = version + 1, updated_at = ? WHERE key = ? AND version = ?",
+          JSON.stringify(value),
+          now,
+          key,
+          expectedVersion
+        );
+      if (!result.changes) return null;
+      return { value, version: expectedVersion + 1 };
+    },
+
+    async setContent(key, value) {
+      await db.run(
+        `INSERT INTO content (key, value, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+        key,
+        JSON.stringify(value),
+        new Date().toISOString()
+      );
+      return value;
+    },
+
+    async insertRecord(collection, record) {
+      const stored = { ...record, id: record.id || randomUUID(), createdAt: record.createdAt || new Date().toISOString() };
+      await db.run("INSERT INTO records (collection, id, data) VALUES (?, ?, ?)", collection, stored.id, JSON.stringify(stored));
+      return JSON.parse(JSON.stringify(stored));
+    },
+
+    async upsertRecord(collection, record) {
+      if (!record.id) throw new Error("upsertRecord needs a record id");
+      const stored = { ...record, createdAt: record.createdAt || new Date().toISOString() };
+      await db.run(
+        `INSERT INTO records (collection, id, data) VALUES (?, ?, ?)
+         ON CONFLICT(collection, id) DO UPDATE SET data = excluded.data`,
+        collection,
+        stored.id,
+        JSON.stringify(stored)
+      );
+      return JSON.parse(JSON.stringify(stored));
+    },
+
+    async listRecords(collection, filter = {}) {
+      const { where, params } = toRecordWhere(filter);
+      const rows = await db.all(`SELECT data FROM records WHERE collection = ?${where} ORDER BY rowid`, collection, ...params);
+      return rows.map((row) => JSON.parse(row.data)).filter((r) => matchesFilter(r, filter));
+    },
+
+    async getRecord(collection, id) {
+      const row = await db.get("SELECT data FROM records WHERE collection = ? AND id = ?", collection, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async updateRecord(collection, id, updates) {
+      const existing = await this.getRecord(collection, id);
+      if (!existing) return null;
+      const { id: ignoreId, ...rest } = updates;
+      const next = { ...existing, ...JSON.parse(JSON.stringify(rest)) };
+      await db.run("UPDATE records SET data = ? WHERE collection = ? AND id = ?", JSON.stringify(next), collection, id);
+      return next;
+    },
+
+    async compareAndSetRecord(collection, id, expected, updates) {
+      const { id: ignoreId, ...rest } = updates;
+      // The write only lands if the row still holds what was read; otherwise re-read and re-check.
+      for (;;) {
+        const row = await db.get("SELECT data FROM records WHERE collection = ? AND id = ?", collection, id);
+        if (!row || !matchesFilter(JSON.parse(row.data), expected)) return null;
+        const next = { ...JSON.parse(row.data), ...JSON.parse(JSON.stringify(rest)) };
+        const result = await db.run(
+          "UPDATE records SET data = ? WHERE collection = ? AND id = ? AND data = ?",
+          JSON.stringify(next),
+          collection,
+          id,
+          row.data
+        );
+        if (result.changes) return next;
+      }
+    },
+
+    async deleteRecord(collection, id) {
+      const result = await db.run("DELETE FROM records WHERE collection = ? AND id = ?", collection, id);
+      return result.changes > 0;
+    }
+  };
+}
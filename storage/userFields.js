@@ -0,0 +1,12 @@
+// Columns every adapter persists for a user. Anything else in an update payload
+// (ids, stray form fields) is dropped so adapters behave the same.
+export const USER_FIELDS = ["email", "password", "name", "avatar", "isAdmin"];
+
+export function pickUserFields(input = {}) {
+  const picked = {};
+  USER_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) picked[field] = input[field];
+  });
+  if (picked.isAdmin !== undefined) picked.isAdmin = [true, "true", 1, "1"].includes(picked.isAdmin);
+  return picked;
+}
@@ -0,0 +1,43 @@
+// Visitor consent, stored in a plain cookie so the server sees the same choice
+// as the page. Shared by src/consent.js (banner) and server.js (analytics
+// beacons), so keep this module free of Node-only imports.
+
+export const CONSENT_COOKIE = 'site_consent';
+export const CONSENT_MAX_AGE_DAYS = 180;
+
+// `necessary` is always on and never stored.
+export const OPTIONAL_CATEGORIES = ['analytics', 'embeds'];
+
+/** `analytics=1&embeds=0` -> `{ decided: true, necessary: true, analytics: true, embeds: false }`. */
+export function parseConsent(value) {
+    const consent = { decided: false, necessary: true };
+    OPTIONAL_CATEGORIES.forEach((category) => { consent[category] = false; });
+    if (typeof value !== 'string' || !value) return consent;
+
+    let params;
+    try {
+        params = new URLSearchParams(decodeURIComponent(value));
+    } catch {
+        return consent;
+    }
+    OPTIONAL_CATEGORIES.forEach((category) => {
+        if (params.has(category)) consent.decided = true;
+        consent[category] = params.get(category) === '1';
+    });
+    return consent;
+}
+
+export function serializeConsent(consent) {
+    const params = new URLSearchParams();
+    OPTIONAL_CATEGORIES.forEach((category) => params.set(category, consent[category] ? '1' : '0'));
+    return encodeURIComponent(params.toString());
+}
+
+/**
+ * Whether the visitor asked not to be tracked, via Do-Not-Track or Global
+ * Privacy Control. Takes header values (`DNT`, `Sec-GPC`) or their navigator
+ * equivalents; either one set to `1` wins over a stored consent.
+ */
+export function optedOutOfTracking(doNotTrack, globalPrivacyControl) {
+    return String(doNotTrack) === '1' || ['1', 'true'].includes(String(globalPrivacyControl));
+}
@@ -0,0 +1,171 @@
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const joinPath = (base, key) => {
+    if (typeof key === 'number') return `${base}[${key}]`;
+    return base ? `${base}.${key}` : key;
+};
+
+// Collection items (projects, blog, ...) carry a unique `id` (utils/contentItems.js).
+// Such arrays are compared item by item through that id, so inserting or
+// removing one item doesn't make every later index look changed.
+const isIdList = (value) => Array.isArray(value)
+    && value.every((item) => isPlainObject(item) && typeof item.id === 'string' && item.id)
+    && new Set(value.map((item) => item.id)).size === value.length;
+
+const idPath = (base, id) => `${base}[${id}]`;
+
+// Ids both lists hold, in the order `items` has them.
+const sharedOrder = (items, other) => {
+    const ids = new Set(other.map((item) => item.id));
+    return items.map((item) => item.id).filter((id) => ids.has(id));
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Structural diff between two content documents.
+ * Objects are compared key by key, id-keyed collections item by item (as
+ * `projects[proj_1a2b3c4d5e].title`) and other arrays index by index, so the
+ * result lists leaf-level changes.
+ */
+export function diffContent(before, after, basePath = '') {
+    if (isIdList(before) && isIdList(after)) {
+        const beforeById = new Map(before.map((item) => [item.id, item]));
+        const afterIds = new Set(after.map((item) => item.id));
+        const changes = before.filter((item) => !afterIds.has(item.id))
+            .map((item) => ({ path: idPath(basePath, item.id), op: 'removed', before: item }));
+        after.forEach((item) => {
+            const path = idPath(basePath, item.id);
+            if (!beforeById.has(item.id)) changes.push({ path, op: 'added', after: item });
+            else changes.push(...diffContent(beforeById.get(item.id), item, path));
+        });
+        const [beforeOrder, afterOrder] = [sharedOrder(before, after), sharedOrder(after, before)];
+        if (!sameValue(beforeOrder, afterOrder)) changes.push({ path: basePath, op: 'reordered', before: beforeOrder, after: afterOrder });
+        return changes;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const changes = [];
+        const length = Math.max(before.length, after.length);
+        for (let i = 0; i < length; i++) {
+            const path = joinPath(basePath, i);
+            if (i >= before.length) changes.push({ path, op: 'added', after: after[i] });
+            else if (i >= after.length) changes.push({ path, op: 'removed', before: before[i] });
+            else changes.push(...diffContent(before[i], after[i], path));
+        }
+        return changes;
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const changes = [];
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach((key) => {
+            const path = joinPath(basePath, key);
+            if (!(key in before)) changes.push({ path, op: 'added', after: after[key] });
+            else if (!(key in after)) changes.push({ path, op: 'removed', before: before[key] });
+            else changes.push(...diffContent(before[key], after[key], path));
+        });
+        return changes;
+    }
+
+    if (sameValue(before, after)) return [];
+    return [{ path: basePath, op: 'changed', before, after }];
+}
+
+/** Top-level section a diff path belongs to, e.g. `projects[2].title` -> `projects`. */
+export function sectionOf(path) {
+    return path.split(/[.[]/)[0];
+}
+
+/** One-line human summary of a change list, used for revision history. */
+export function summarizeChanges(changes) {
+    if (!changes.length) return 'No changes';
+    const sections = [...new Set(changes.map((change) => sectionOf(change.path)))];
+    const shown = sections.slice(0, 4).join(', ');
+    const more = sections.length > 4 ? ` +${sections.length - 4} more` : '';
+    const count = `${changes.length} change${changes.length === 1 ? '' : 's'}`;
+    return `Updated ${shown}${more} (${count})`;
+}
+
+/** Splits a diff path into keys and array indexes: `projects[2].title` -> ['projects', 2, 'title']. */
+export function parsePath(path) {
+    const segments = [];
+    path.replace(/([^.[\]]+)|\[(\d+)\]/g, (match, key, index) => {
+        segments.push(index !== undefined ? Number(index) : key);
+        return match;
+    });
+    return segments;
+}
+
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Missing values are `undefined` throughout, so a deleted key or item merges
+// like any other value and simply stays out of the result.
+function merge(base, mine, theirs, path, state) {
+    if (sameValue(mine, theirs) || sameValue(base, theirs)) return copy(mine);
+    if (sameValue(base, mine)) return copy(theirs);
+
+    if (isPlainObject(mine) && isPlainObject(theirs) && (base === undefined || isPlainObject(base))) {
+        const merged = {};
+        new Set([...Object.keys(theirs), ...Object.keys(mine)]).forEach((key) => {
+            const value = merge(base?.[key], mine[key], theirs[key], joinPath(path, key), state);
+            if (value !== undefined) merged[key] = value;
+        });
+        return merged;
+    }
+    if (isIdList(mine) && isIdList(theirs) && (base === undefined || isIdList(base))) {
+        return mergeById(base || [], mine, theirs, path, state);
+    }
+    if (Array.isArray(mine) && Array.isArray(theirs) && (base === undefined || Array.isArray(base))) {
+        const merged = [];
+        for (let i = 0; i < Math.max(mine.length, theirs.length, base?.length || 0); i++) {
+            const value = merge(base?.[i], mine[i], theirs[i], joinPath(path, i), state);
+            if (value !== undefined) merged.push(value);
+        }
+        return merged;
+    }
+
+    state.conflicts.push({ path, base: copy(base), mine: copy(mine), theirs: copy(theirs) });
+    return copy(state.resolutions[path] === 'mine' ? mine : theirs);
+}
+
+// Items are merged by id. The result follows theirs' order unless only mine
+// reordered; items just one side added go in after their neighbour there.
+function mergeById(base, mine, theirs, path, state) {
+    const byId = (items) => new Map(items.map((item) => [item.id, item]));
+    const [baseItems, mineItems, theirItems] = [byId(base), byId(mine), byId(theirs)];
+    const merged = new Map();
+    new Set([...theirItems.keys(), ...mineItems.keys(), ...baseItems.keys()]).forEach((id) => {
+        const value = merge(baseItems.get(id), mineItems.get(id), theirItems.get(id), idPath(path, id), state);
+        if (value !== undefined) merged.set(id, value);
+    });
+
+    const reordered = (items) => !sameValue(sharedOrder(base, items), sharedOrder(items, base));
+    const [lead, other] = reordered(mine) && !reordered(theirs) ? [mine, theirs] : [theirs, mine];
+    const order = lead.map((item) => item.id).filter((id) => merged.has(id));
+    other.forEach((item, index) => {
+        if (!merged.has(item.id) || order.includes(item.id)) return;
+        const previous = other.slice(0, index).reverse().find((candidate) => order.includes(candidate.id));
+        order.splice(previous ? order.indexOf(previous.id) + 1 : 0, 0, item.id);
+    });
+    return order.map((id) => merged.get(id));
+}
+
+/**
+ * Fields both sides changed relative to a common base, with differing results.
+ * Each entry carries the base, mine and theirs values at that path; a side
+ * that deleted the field or item has `undefined` there.
+ */
+export function findConflicts(base, mine, theirs) {
+    const state = { conflicts: [], resolutions: {} };
+    merge(base, mine, theirs || {}, '', state);
+    return state.conflicts;
+}
+
+/**
+ * Three-way merge: start from `theirs`, replay my non-conflicting changes and
+ * apply `resolutions[path] === 'mine'` for conflicting ones (default keeps theirs).
+ */
+export function mergeContent(base, mine, theirs, resolutions = {}) {
+    return merge(base, mine, theirs || {}, '', { conflicts: [], resolutions }) ?? {};
+}
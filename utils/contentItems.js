@@ -0,0 +1,60 @@
+import { randomBytes } from 'crypto';
+import { withSlugs } from './slugs.js';
+
+// Array sections of the content document that are addressable item by item,
+// mapped to the prefix used for their server-assigned ids.
+export const COLLECTIONS = {
+    projects: 'proj',
+    blog: 'post',
+    skills: 'skill',
+    experience: 'exp',
+    achievements: 'ach'
+};
+
+export function newItemId(collection, items = []) {
+    const taken = new Set(items.map((item) => item?.id));
+    let id;
+    do {
+        id = `${COLLECTIONS[collection]}_${randomBytes(5).toString('hex')}`;
+    } while (taken.has(id));
+    return id;
+}
+
+const isItem = (item) => !!item && typeof item === 'object' && !Array.isArray(item);
+
+/**
+ * Returns content where every collection item has a unique id. Items that
+ * already carry one keep it; duplicates (e.g. a copied item) get a fresh id.
+ * `lookupId(collection, item)` can supply an id for items that lack one.
+ */
+export function assignItemIds(content, lookupId = () => undefined) {
+    if (!isItem(content)) return content;
+    const next = { ...content };
+    Object.keys(COLLECTIONS).forEach((collection) => {
+        if (!Array.isArray(next[collection])) return;
+        const seen = [];
+        next[collection] = next[collection].map((item) => {
+            if (!isItem(item)) return item;
+            let id = typeof item.id === 'string' && item.id ? item.id : lookupId(collection, item);
+            if (!id || seen.includes(id)) id = newItemId(collection, [...next[collection], ...seen.map((taken) => ({ id: taken }))]);
+            seen.push(id);
+            return id === item.id ? item : { ...item, id };
+        });
+    });
+    return next;
+}
+
+export function hasMissingIds(content) {
+    return Object.keys(COLLECTIONS).some((collection) =>
+        Array.isArray(content?.[collection]) && content[collection].some((item) => isItem(item) && !item.id)
+    );
+}
+
+/** Fills in missing or duplicate slugs so every post and project has a permalink. */
+export function assignSlugs(content) {
+    if (!isItem(content)) return content;
+    const next = { ...content };
+    if (Array.isArray(content.blog)) next.blog = withSlugs(content.blog, 'post');
+    if (Array.isArray(content.projects)) next.projects = withSlugs(content.projects, 'project');
+    return next;
+}
@@ -0,0 +1,212 @@
+// Formal shape of the site content document. Shared by services/contentHistory.js
+// (enforced on every write) and admin/admin.js (inline field errors before
+// saving), so keep this module free of Node-only imports.
+
+import { isSupportedVideo, SUPPORTED_VIDEO_HINT } from './videoEmbed.js';
+
+/** How long-form `content` is written; see utils/richText.js. Items without a format are HTML. */
+export const CONTENT_FORMATS = ['markdown', 'html', 'plain'];
+
+const string = (rules = {}) => ({ type: 'string', ...rules });
+const boolean = () => ({ type: 'boolean' });
+const list = (items, rules = {}) => ({ type: 'array', items, ...rules });
+const object = (properties, rules = {}) => ({ type: 'object', properties, ...rules });
+const oneOf = (...options) => ({ oneOf: options });
+
+const LINK_PATTERN = /^(https?:\/\/|mailto:|tel:|#|\/)/;
+const IMAGE_PATTERN = /^(https?:\/\/|\/|data:image\/)/;
+
+const text = (maxLength = 2000) => string({ maxLength });
+const title = () => string({ minLength: 1, maxLength: 200 });
+const link = () => string({ maxLength: 2000, pattern: LINK_PATTERN, patternMessage: 'must be a URL, mailto:, tel:, #anchor or /path' });
+const image = () => string({ maxLength: 2000, pattern: IMAGE_PATTERN, patternMessage: 'must be an http(s) URL or /path' });
+const color = () => string({ pattern: /^#[0-9a-fA-F]{6}$/, patternMessage: 'must be a hex colour like #00f3ff' });
+const lines = () => list(text(500), { maxItems: 100 });
+const itemId = () => string({ minLength: 1, maxLength: 64, pattern: /^[\w-]+$/, patternMessage: 'must use only letters, digits, - or _' });
+const flag = () => oneOf(boolean(), string({ enum: ['true', 'false'] }));
+const format = () => string({ enum: ['', ...CONTENT_FORMATS] });
+const video = () => string({ maxLength: 2000, check: isSupportedVideo, checkMessage: `must be ${SUPPORTED_VIDEO_HINT}` });
+const slug = () => string({ maxLength: 120, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, patternMessage: 'must be lowercase words separated by dashes' });
+
+export const contentSchema = object({
+    hero: object({
+        titlePrefix: text(200),
+        titleSuffix: text(200),
+        subtitle: text(300),
+        description: text(),
+        image: image(),
+        focusList: lines(),
+        buttons: list(object({ text: title(), link: link() }, { required: ['text'] }), { maxItems: 6 })
+    }),
+    about: object({
+        title: text(200),
+        p1: text(),
+        p2: text(),
+        enjoyList: lines(),
+        apartList: lines()
+    }),
+    projects: list(object({
+        id: itemId(),
+        title: title(),
+        description: text(),
+        tag: text(100),
+        tags: list(text(100)),
+        date: text(50),
+        stack: text(500),
+        features: lines(),
+        role: lines(),
+        slug: slug(),
+        content: text(100000),
+        format: format(),
+        link: link(),
+        repo: link(),
+        demo: link(),
+        image: image(),
+        gallery: list(object({ src: image(), alt: text(300), caption: text(300) }, { required: ['src'] }), { maxItems: 40 }),
+        featured: boolean()
+    }, { required: ['title'] })),
+    skills: list(object({
+        id: itemId(),
+        category: title(),
+        items: oneOf(text(), list(text(200)))
+    }, { required: ['category'] })),
+    experience: list(object({
+        id: itemId(),
+        title: title(),
+        subtitle: text(300),
+        role: text(200),
+        company: text(200),
+        dates: text(100),
+        items: lines(),
+        link: link()
+    }, { required: ['title', 'items'] })),
+    achievements: list(object({
+        id: itemId(),
+        title: title(),
+        year: text(50),
+        date: text(50),
+        description: text(),
+        items: lines(),
+        link: link()
+    }, { required: ['title'] })),
+    blog: list(object({
+        id: itemId(),
+        title: title(),
+        date: text(50),
+        summary: text(),
+        excerpt: text(),
+        tags: list(string({ minLength: 1, maxLength: 50 }), { maxItems: 20 }),
+        category: text(100),
+        slug: slug(),
+        link: link(),
+        image: image(),
+        cover: image(),
+        video: video(),
+        content: text(100000),
+        format: format(),
+        published: boolean()
+    }, { required: ['title'] })),
+    contact: object({
+        title: text(200),
+        subtitle: text(300),
+        email: string({ maxLength: 320, pattern: /^\S+@\S+\.\S+$/, patternMessage: 'must be a valid email address' }),
+        phone: text(50),
+        socials: list(object({ name: title(), link: link() }, { required: ['name', 'link'] }), { maxItems: 30 }),
+        formEndpoint: link()
+    }),
+    customSections: list(object({
+        id: string({ minLength: 1, maxLength: 64, pattern: /^[A-Za-z][\w-]*$/, patternMessage: 'must start with a letter and use only letters, digits, - or _' }),
+        title: title(),
+        content: text(100000),
+        format: format(),
+        style: string({ enum: ['', 'card', 'full', 'highlight'] }),
+        type: string({ enum: ['', 'text', 'cards', 'gallery'] }),
+        enabled: flag()
+    }, { required: ['id', 'title'] })),
+    sectionOrder: list(string({ minLength: 1, maxLength: 64 }), { maxItems: 50 }),
+    theme: object({
+        primary: color(),
+        secondary: color(),
+        bg: color()
+    })
+});
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+const childPath = (base, key) => (typeof key === 'number' ? `${base}[${key}]` : base ? `${base}.${key}` : key);
+
+/**
+ * Validates `value` against a schema node and returns `[{ path, message }]`.
+ * Paths use the same `projects[2].title` form as utils/contentDiff.js.
+ * Unknown object keys are allowed so older documents keep loading.
+ */
+export function validateAgainst(schema, value, path = '') {
+    if (schema.oneOf) {
+        const results = schema.oneOf.map((option) => validateAgainst(option, value, path));
+        if (results.some((errors) => !errors.length)) return [];
+        const expected = schema.oneOf.map((option) => option.type).join(' or ');
+        return [{ path, message: `must be ${expected}` }];
+    }
+
+    const actual = typeOf(value);
+    if (actual !== schema.type) {
+        return [{ path, message: `must be ${schema.type === 'array' ? 'a list' : `a ${schema.type}`}, got ${actual}` }];
+    }
+
+    if (schema.type === 'string') {
+        if (schema.enum && !schema.enum.includes(value)) {
+            return [{ path, message: `must be one of: ${schema.enum.filter(Boolean).join(', ')}` }];
+        }
+        if (schema.minLength && value.trim().length < schema.minLength) return [{ path, message: 'is required' }];
+        if (schema.maxLength && value.length > schema.maxLength) return [{ path, message: `must be at most ${schema.maxLength} characters` }];
+        if (schema.pattern && value !== '' && !schema.pattern.test(value)) return [{ path, message: schema.patternMessage || 'has an invalid format' }];
+        if (schema.check && value !== '' && !schema.check(value)) return [{ path, message: schema.checkMessage || 'has an invalid format' }];
+        return [];
+    }
+
+    if (schema.type === 'array') {
+        const errors = [];
+        if (schema.maxItems && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        value.forEach((item, index) => errors.push(...validateAgainst(schema.items, item, childPath(path, index))));
+        return errors;
+    }
+
+    if (schema.type === 'object') {
+        const errors = [];
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined) errors.push({ path: childPath(path, key), message: 'is required' });
+        });
+        Object.entries(schema.properties).forEach(([key, child]) => {
+            if (value[key] === undefined) return;
+            errors.push(...validateAgainst(child, value[key], childPath(path, key)));
+        });
+        return errors;
+    }
+
+    return [];
+}
+
+export function validateContent(content) {
+    return validateAgainst(contentSchema, content);
+}
+
+const valueAt = (root, path) => (path.match(/[^.[\]]+/g) || []).reduce((node, key) => node?.[key], root);
+
+// Identifies an error by field, message and offending value rather than by
+// index, so a legacy item that moves in its list stays recognised.
+const errorKey = (root, error) => JSON.stringify([error.path.replace(/\[\d+\]/g, '[]'), error.message, valueAt(root, error.path)]);
+
+/**
+ * Validates `next` as a write over the stored `previous` document. Errors the
+ * stored document already had come back as `warnings`, so a value saved before
+ * a rule existed does not block unrelated edits; new or changed values that
+ * fail land in `errors`.
+ */
+export function validateContentUpdate(previous, next) {
+    const stored = previous || {};
+    const legacy = new Set(validateContent(stored).map((error) => errorKey(stored, error)));
+    const errors = [];
+    const warnings = [];
+    validateContent(next).forEach((error) => (legacy.has(errorKey(next, error)) ? warnings : errors).push(error));
+    return { errors, warnings };
+}
@@ -0,0 +1,5 @@
+// Escaping for markup built from strings. Shared by the browser bundles (src/,
+// admin/) and the server-rendered views, so keep it free of DOM and Node-only
+// imports. The result is safe in text and in quoted attribute values.
+
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
@@ -0,0 +1,85 @@
+// Identifies uploaded images from their leading bytes rather than trusting the
+// browser-supplied Content-Type or file extension. SVG is deliberately absent:
+// it can carry scripts and would be served from our own origin.
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+function jpegSize(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+        // Start-of-frame markers carry the dimensions; C4, C8 and CC are not frames
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return {};
+}
+
+function webpSize(buffer) {
+    const chunk = ascii(buffer, 12, 16);
+    if (chunk === 'VP8 ' && buffer.length >= 30) {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && buffer.length >= 25) {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return {};
+}
+
+const FORMATS = [
+    {
+        type: 'image/png',
+        ext: 'png',
+        matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        size: (buffer) => (buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : {})
+    },
+    {
+        type: 'image/jpeg',
+        ext: 'jpg',
+        matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+        size: jpegSize
+    },
+    {
+        type: 'image/gif',
+        ext: 'gif',
+        matches: (buffer) => ['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6)),
+        size: (buffer) => (buffer.length >= 10 ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) } : {})
+    },
+    {
+        type: 'image/webp',
+        ext: 'webp',
+        matches: (buffer) => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP',
+        size: webpSize
+    },
+    {
+        type: 'image/avif',
+        ext: 'avif',
+        matches: (buffer) => ascii(buffer, 4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(buffer, 8, 12)),
+        size: () => ({})
+    }
+];
+
+export const IMAGE_TYPES = FORMATS.map((format) => format.type);
+
+/**
+ * `{ type, ext, width, height }` for a supported image, or null. Width and
+ * height are null when the header does not state them plainly (e.g. AVIF).
+ */
+export function imageInfo(buffer) {
+    const format = FORMATS.find((candidate) => candidate.matches(buffer));
+    if (!format) return null;
+    let size = {};
+    try {
+        size = format.size(buffer);
+    } catch {
+        // Truncated or unusual headers: keep the file, just without dimensions
+    }
+    return { type: format.type, ext: format.ext, width: size.width || null, height: size.height || null };
+}
@@ -0,0 +1,151 @@
+import AppError from './AppError.js';
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Keys that would reach Object.prototype (or a constructor) instead of the document
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * RFC 7386 JSON Merge Patch: objects merge recursively, `null` deletes a key,
+ * anything else (arrays included) replaces the target value.
+ */
+export function applyMergePatch(target, patch) {
+    if (!isPlainObject(patch)) return clone(patch);
+    const result = isPlainObject(target) ? { ...target } : {};
+    Object.keys(patch).forEach((key) => {
+        if (FORBIDDEN_KEYS.includes(key)) throw new AppError(`Merge patch key "${key}" is not allowed`, 400);
+        if (patch[key] === null) delete result[key];
+        else result[key] = applyMergePatch(result[key], patch[key]);
+    });
+    return result;
+}
+
+/** Smallest merge patch turning `before` into `after`; removed keys become `null`. */
+export function createMergePatch(before, after) {
+    if (!isPlainObject(before) || !isPlainObject(after)) return clone(after);
+    const patch = {};
+    Object.keys(before).forEach((key) => {
+        if (!(key in after)) patch[key] = null;
+    });
+    Object.keys(after).forEach((key) => {
+        if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+        patch[key] = isPlainObject(before[key]) && isPlainObject(after[key])
+            ? createMergePatch(before[key], after[key])
+            : clone(after[key]);
+    });
+    return patch;
+}
+
+function parsePointer(pointer, index) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new AppError(`Operation ${index}: invalid JSON pointer "${pointer}"`, 400);
+    }
+    if (pointer === '') return [];
+    const tokens = pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const forbidden = tokens.find((token) => FORBIDDEN_KEYS.includes(token));
+    if (forbidden) throw new AppError(`Operation ${index}: "${forbidden}" is not allowed in a path`, 400);
+    return tokens;
+}
+
+function arrayIndex(array, token, index, { allowEnd = false } = {}) {
+    if (allowEnd && token === '-') return array.length;
+    if (!/^(0|[1-9]\d*)$/.test(token)) throw new AppError(`Operation ${index}: invalid array index "${token}"`, 422);
+    const position = Number(token);
+    const max = allowEnd ? array.length : array.length - 1;
+    if (position > max) throw new AppError(`Operation ${index}: array index ${position} out of range`, 422);
+    return position;
+}
+
+function resolveParent(doc, tokens, index) {
+    let node = doc;
+    tokens.slice(0, -1).forEach((token) => {
+        if (Array.isArray(node)) node = node[arrayIndex(node, token, index)];
+        else if (isPlainObject(node) && Object.hasOwn(node, token)) node = node[token];
+        else throw new AppError(`Operation ${index}: path not found`, 422);
+    });
+    if (!Array.isArray(node) && !isPlainObject(node)) throw new AppError(`Operation ${index}: path not found`, 422);
+    return node;
+}
+
+function getValue(doc, tokens, index) {
+    if (!tokens.length) return doc;
+    const parent = resolveParent(doc, tokens, index);
+    const key = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) return parent[arrayIndex(parent, key, index)];
+    if (!Object.hasOwn(parent, key)) throw new AppError(`Operation ${index}: path not found`, 422);
+    return parent[key];
+}
+
+function addValue(doc, tokens, value, index) {
+    if (!tokens.length) return value;
+    const parent = resolveParent(doc, tokens, index);
+    const key = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, index, { allowEnd: true }), 0, value);
+    else parent[key] = value;
+    return doc;
+}
+
+function removeValue(doc, tokens, index) {
+    if (!tokens.length) throw new AppError(`Operation ${index}: cannot remove the whole document`, 422);
+    const parent = resolveParent(doc, tokens, index);
+    const key = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) return parent.splice(arrayIndex(parent, key, index), 1)[0];
+    if (!Object.hasOwn(parent, key)) throw new AppError(`Operation ${index}: path not found`, 422);
+    const removed = parent[key];
+    delete parent[key];
+    return removed;
+}
+
+/**
+ * RFC 6902 JSON Patch (add, remove, replace, move, copy, test). Operations run
+ * against a copy, so either every operation applies or the input is untouched.
+ * Malformed operations are 400s, unresolvable paths 422s and a failed `test` a 409.
+ */
+export function applyJsonPatch(document, operations) {
+    if (!Array.isArray(operations)) throw new AppError('JSON Patch body must be an array of operations', 400);
+
+    let doc = clone(document);
+    operations.forEach((operation, index) => {
+        if (!isPlainObject(operation)) throw new AppError(`Operation ${index}: must be an object`, 400);
+        const { op, path, from, value } = operation;
+        const tokens = parsePointer(path, index);
+        const needsValue = ['add', 'replace', 'test'].includes(op);
+        if (needsValue && !('value' in operation)) throw new AppError(`Operation ${index}: "${op}" requires a value`, 400);
+
+        switch (op) {
+            case 'add':
+                doc = addValue(doc, tokens, clone(value), index);
+                break;
+            case 'remove':
+                removeValue(doc, tokens, index);
+                break;
+            case 'replace':
+                getValue(doc, tokens, index);
+                if (!tokens.length) doc = clone(value);
+                else {
+                    removeValue(doc, tokens, index);
+                    doc = addValue(doc, tokens, clone(value), index);
+                }
+                break;
+            case 'move': {
+                const fromTokens = parsePointer(from, index);
+                if (path.startsWith(`${from}/`)) throw new AppError(`Operation ${index}: cannot move a value into itself`, 422);
+                const moved = removeValue(doc, fromTokens, index);
+                doc = addValue(doc, tokens, moved, index);
+                break;
+            }
+            case 'copy':
+                doc = addValue(doc, tokens, clone(getValue(doc, parsePointer(from, index), index)), index);
+                break;
+            case 'test':
+                if (JSON.stringify(getValue(doc, tokens, index)) !== JSON.stringify(value)) {
+                    throw new AppError(`Operation ${index}: test failed at "${path}"`, 409);
+                }
+                break;
+            default:
+                throw new AppError(`Operation ${index}: unsupported op "${op}"`, 400);
+        }
+    });
+    return doc;
+}
@@ -0,0 +1,72 @@
+// Filtering and sorting for the projects section (src/renderer.js). Kept free
+// of DOM and Node imports so the rules can be reused on the server.
+
+export const PROJECT_SORTS = ['featured', 'newest', 'alphabetical'];
+
+const lower = (value) => String(value ?? '').trim().toLowerCase();
+
+/** `tag` plus any `tags`, without blanks or case-insensitive duplicates. */
+export function projectTags(project) {
+    const tags = [project?.tag, ...(Array.isArray(project?.tags) ? project.tags : [])]
+        .filter((tag) => typeof tag === 'string' && tag.trim())
+        .map((tag) => tag.trim());
+    return tags.filter((tag, index) => tags.findIndex((other) => lower(other) === lower(tag)) === index);
+}
+
+/** Technologies from the free-text `stack`, e.g. `"React, Node.js / Postgres"`. */
+export function projectTechnologies(project) {
+    const items = String(project?.stack ?? '').split(/[,/|•·;\n]+/).map((item) => item.trim()).filter(Boolean);
+    return items.filter((item, index) => items.findIndex((other) => lower(other) === lower(item)) === index);
+}
+
+// Facet values in first-seen spelling, most used first.
+function countValues(values) {
+    const counts = new Map();
+    values.forEach((value) => {
+        const entry = counts.get(lower(value)) || { name: value, count: 0 };
+        entry.count += 1;
+        counts.set(lower(value), entry);
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+export function showcaseFacets(projects) {
+    return {
+        tags: countValues(projects.flatMap(projectTags)),
+        technologies: countValues(projects.flatMap(projectTechnologies))
+    };
+}
+
+// Timestamp of a project's `date` (or `year`); undated projects sort last.
+function projectTime(project) {
+    const value = String(project.date || project.year || '').trim();
+    const parsed = /^\d{4}$/.test(value) ? Date.UTC(Number(value), 0) : Date.parse(value);
+    return Number.isNaN(parsed) ? -Infinity : parsed;
+}
+
+const isFeatured = (project) => project.featured === true || project.featured === 'true';
+
+/**
+ * Projects matching `tag`, `tech` and the free-text `query` (title,
+ * description, tags and stack), ordered by `sort`. Featured projects are
+ * pinned first in every order; ties keep the editor's list order, except
+ * that "newest" treats later entries as newer when dates are equal or missing.
+ */
+export function filterProjects(projects, { tag = '', tech = '', query = '', sort = 'featured' } = {}) {
+    const words = lower(query).split(/\s+/).filter(Boolean);
+    const matches = projects.filter((project) => {
+        if (tag && !projectTags(project).some((value) => lower(value) === lower(tag))) return false;
+        if (tech && !projectTechnologies(project).some((value) => lower(value) === lower(tech))) return false;
+        const haystack = lower([project.title, project.description, project.stack, ...projectTags(project)].join(' '));
+        return words.every((word) => haystack.includes(word));
+    });
+
+    const order = new Map(projects.map((project, index) => [project, index]));
+    const compare = {
+        featured: (a, b) => order.get(a) - order.get(b),
+        newest: (a, b) => projectTime(b) - projectTime(a) || order.get(b) - order.get(a),
+        alphabetical: (a, b) => String(a.title || '').localeCompare(String(b.title || ''), undefined, { sensitivity: 'base' }) || order.get(a) - order.get(b)
+    }[PROJECT_SORTS.includes(sort) ? sort : 'featured'];
+
+    return [...matches].sort((a, b) => Number(isFeatured(b)) - Number(isFeatured(a)) || compare(a, b));
+}
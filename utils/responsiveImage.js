@@ -0,0 +1,33 @@
+// <img> markup for images from the media library (services/media.js), shared
+// by src/renderer.js and the server-rendered pages. `images` is the map served
+// by /api/media: URL -> { width, height, placeholder, variants }. URLs that
+// are not uploads (or were uploaded before resizing existed) still get a
+// plain lazy-loaded <img>.
+import { escapeHtml } from './escapeHtml.js';
+
+const srcsetOf = (candidates) => candidates.map(({ url, width }) => `${url} ${width}w`).join(', ');
+
+/**
+ * `sizes` should describe the rendered width, e.g. `(max-width: 768px) 100vw, 50vw`.
+ * Pass `loading: 'eager'` for images that are visible on first paint.
+ */
+export function responsiveImage(src, images, { alt = '', sizes = '100vw', className = '', style = '', loading = 'lazy' } = {}) {
+    const info = images?.[src];
+    const attrs = [`src="${escapeHtml(src)}"`, `alt="${escapeHtml(alt)}"`, `loading="${loading}"`, 'decoding="async"'];
+    if (className) attrs.push(`class="${escapeHtml(className)}"`);
+    if (!info) return `<img ${attrs.join(' ')}${style ? ` style="${escapeHtml(style)}"` : ''}>`;
+
+    if (info.width && info.height) attrs.push(`width="${info.width}" height="${info.height}"`);
+    const styles = [style, info.placeholder && `background-color: ${info.placeholder}`].filter(Boolean).join('; ');
+    if (styles) attrs.push(`style="${escapeHtml(styles)}"`);
+
+    const variants = Array.isArray(info.variants) ? info.variants : [];
+    const original = info.width ? [{ url: src, width: info.width }] : [];
+    const sameType = [...variants.filter((variant) => variant.type === info.type), ...original];
+    if (sameType.length > 1) attrs.push(`srcset="${escapeHtml(srcsetOf(sameType))}"`, `sizes="${escapeHtml(sizes)}"`);
+
+    const img = `<img ${attrs.join(' ')}>`;
+    const webp = info.type === 'image/webp' ? [] : variants.filter((variant) => variant.type === 'image/webp');
+    if (!webp.length) return img;
+    return `<picture><source type="image/webp" srcset="${escapeHtml(srcsetOf(webp))}" sizes="${escapeHtml(sizes)}">${img}</picture>`;
+}
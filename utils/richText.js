@@ -0,0 +1,84 @@
+// Long-form text (blog posts, custom sections) to safe HTML. Shared by
+// src/renderer.js and the server-rendered pages in views/, so keep this module
+// free of Node-only imports.
+import { Marked } from 'marked';
+import markedFootnote from 'marked-footnote';
+import { markedHighlight } from 'marked-highlight';
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import c from 'highlight.js/lib/languages/c';
+import cpp from 'highlight.js/lib/languages/cpp';
+import csharp from 'highlight.js/lib/languages/csharp';
+import css from 'highlight.js/lib/languages/css';
+import glsl from 'highlight.js/lib/languages/glsl';
+import go from 'highlight.js/lib/languages/go';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import lua from 'highlight.js/lib/languages/lua';
+import python from 'highlight.js/lib/languages/python';
+import rust from 'highlight.js/lib/languages/rust';
+import sql from 'highlight.js/lib/languages/sql';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+import { FilterXSS } from 'xss';
+import { escapeHtml } from './escapeHtml.js';
+
+// Items without a `format` are HTML, as all content was before Markdown.
+export const DEFAULT_FORMAT = 'html';
+
+Object.entries({ bash, c, cpp, csharp, css, glsl, go, java, javascript, json, lua, python, rust, sql, typescript, xml, yaml })
+    .forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+const marked = new Marked(
+    markedHighlight({
+        langPrefix: 'hljs language-',
+        // Unknown or missing languages are left as escaped plain text.
+        highlight: (code, lang) => (lang && hljs.getLanguage(lang) ? hljs.highlight(code, { language: lang }).value : code)
+    }),
+    markedFootnote(),
+    { gfm: true }
+);
+
+const CLASS_PATTERN = /^[\w -]*$/;
+
+// The HTML subset content may use, tag -> allowed attributes. Anything else is
+// stripped (tags keep their text), so scripts, styles, event handlers and
+// embeds never reach the page.
+const ALLOWED_TAGS = {
+    p: [], br: [], hr: [],
+    h1: ['id'], h2: ['id', 'class'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    strong: [], b: [], em: [], i: [], del: [], s: [], sup: [], sub: [], mark: [], small: [],
+    blockquote: [], ul: [], ol: ['start'], li: ['id'],
+    code: ['class'], pre: [], span: ['class'], div: ['class'],
+    a: ['href', 'title', 'id', 'data-footnote-ref', 'data-footnote-backref', 'aria-describedby', 'aria-label'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+    table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'],
+    section: ['class', 'data-footnotes'],
+    figure: [], figcaption: []
+};
+
+const sanitizer = new FilterXSS({
+    whiteList: ALLOWED_TAGS,
+    stripIgnoreTag: true,
+    stripIgnoreTagBody: ['script', 'style', 'iframe', 'object', 'embed'],
+    onTagAttr: (tag, name, value) => {
+        if (name === 'class' && !CLASS_PATTERN.test(value)) return '';
+        return undefined;
+    }
+});
+
+export const sanitizeHtml = (html) => sanitizer.process(String(html ?? ''));
+
+function renderPlain(text) {
+    return String(text ?? '').split(/\n{2,}/).map((block) => block.trim()).filter(Boolean)
+        .map((block) => `<p>${escapeHtml(block).replace(/\n/g, '<br>')}</p>`).join('\n');
+}
+
+/** Renders `text` written in `format` (see CONTENT_FORMATS in contentSchema.js) to sanitized HTML. */
+export function renderRichText(text, format = DEFAULT_FORMAT) {
+    if (format === 'plain') return renderPlain(text);
+    const html = format === 'markdown' ? marked.parse(String(text ?? '')) : text;
+    return sanitizeHtml(html);
+}
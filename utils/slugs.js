@@ -0,0 +1,44 @@
+// URL slugs for blog posts and projects. Shared by the server (permalinks,
+// slugs filled in on save) and src/renderer.js (card links), so keep it free
+// of Node imports.
+
+const MAX_SLUG_LENGTH = 80;
+
+/** `"Hello, Wörld!"` -> `"hello-world"`; matches the `slug` pattern in contentSchema.js. */
+export function slugify(text, fallback = 'post') {
+    const slug = String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/^-+|-+$/g, '');
+    return slug || fallback;
+}
+
+/**
+ * Returns the items (posts, projects) with a unique `slug` on each. Items keep
+ * the slug they have; missing ones are derived from the title without
+ * colliding with any explicit slug. Later duplicates get a numeric suffix
+ * (`my-post-2`), so the result only depends on list order.
+ */
+export function withSlugs(posts, fallback = 'post') {
+    if (!Array.isArray(posts)) return [];
+    const explicitSlug = (post) => (typeof post?.slug === 'string' && post.slug.trim() ? post.slug.trim() : null);
+    const reserved = new Set(posts.map(explicitSlug).filter(Boolean));
+    const taken = new Set();
+    return posts.map((post) => {
+        if (!post || typeof post !== 'object') return post;
+        const explicit = explicitSlug(post);
+        let slug = explicit;
+        if (!slug || taken.has(slug)) {
+            const base = explicit || slugify(post.title, fallback);
+            slug = base;
+            for (let n = 2; taken.has(slug) || (slug !== explicit && reserved.has(slug)); n++) {
+                slug = `${base.slice(0, MAX_SLUG_LENGTH - 4)}-${n}`;
+            }
+        }
+        taken.add(slug);
+        return slug === post.slug ? post : { ...post, slug };
+    });
+}
@@ -0,0 +1,135 @@
+// Video URLs the site knows how to play. Only these providers are ever put in
+// an iframe or <video>, so a blog post cannot frame an arbitrary origin.
+// Shared by src/renderer.js and utils/contentSchema.js (which rejects other
+// URLs on save), so keep this module free of DOM and Node-only imports.
+
+const YOUTUBE_ID = /^[\w-]{11}$/;
+const VIMEO_ID = /^\d+$/;
+const FILE_TYPES = { mp4: 'video/mp4', webm: 'video/webm' };
+
+// "90", "90s", "1m30s", "1h2m3s" (YouTube/Vimeo `t=`) -> seconds
+function parseTime(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (/^\d+s?$/.test(text)) return parseInt(text, 10);
+    const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!match || !text) return 0;
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+const withQuery = (base, params) => {
+    const query = Object.entries(params).filter(([, value]) => value).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+    return query ? `${base}?${query}` : base;
+};
+
+function youtube(url) {
+    const host = url.hostname.replace(/^(www|m|music)\./, '');
+    const segments = url.pathname.split('/').filter(Boolean);
+    let id = null;
+    let aspectRatio = '16 / 9';
+    if (host === 'youtu.be') {
+        id = segments[0];
+    } else if (['youtube.com', 'youtube-nocookie.com'].includes(host)) {
+        if (segments[0] === 'watch') id = url.searchParams.get('v');
+        else if (['embed', 'live', 'v'].includes(segments[0])) id = segments[1];
+        else if (segments[0] === 'shorts') {
+            id = segments[1];
+            aspectRatio = '9 / 16';
+        } else if (segments[0] !== 'playlist') return null;
+    } else {
+        return null;
+    }
+
+    const list = url.searchParams.get('list');
+    if (id === 'videoseries' || (!id && list)) id = null;
+    else if (!YOUTUBE_ID.test(id || '')) return null;
+    if (!id && !/^[\w-]+$/.test(list || '')) return null;
+
+    const start = parseTime(url.searchParams.get('t') || url.searchParams.get('start'));
+    return {
+        provider: 'youtube',
+        label: 'YouTube',
+        kind: 'iframe',
+        src: withQuery(`https://www.youtube-nocookie.com/embed/${id || 'videoseries'}`, { list, start }),
+        start,
+        aspectRatio
+    };
+}
+
+function vimeo(url) {
+    const host = url.hostname.replace(/^www\./, '');
+    const segments = url.pathname.split('/').filter(Boolean);
+    let id;
+    let hash = url.searchParams.get('h');
+    if (host === 'player.vimeo.com' && segments[0] === 'video') {
+        id = segments[1];
+    } else if (host === 'vimeo.com') {
+        // vimeo.com/123, vimeo.com/123/abcdef (unlisted), vimeo.com/channels/staffpicks/123
+        const index = segments.findIndex((segment) => VIMEO_ID.test(segment));
+        if (index < 0) return null;
+        id = segments[index];
+        hash ||= segments[index + 1];
+    } else {
+        return null;
+    }
+    if (!VIMEO_ID.test(id || '')) return null;
+
+    const start = parseTime(url.hash.match(/t=([\dhms]+)/)?.[1] || url.searchParams.get('t'));
+    return {
+        provider: 'vimeo',
+        label: 'Vimeo',
+        kind: 'iframe',
+        src: withQuery(`https://player.vimeo.com/video/${id}`, { h: /^[\da-f]+$/i.test(hash || '') ? hash : '', dnt: 1 }) + (start ? `#t=${start}s` : ''),
+        start,
+        aspectRatio: '16 / 9'
+    };
+}
+
+// Self-hosted MP4/WebM by site-relative path (e.g. /media/clip.mp4), with an
+// optional #t= start. Files on other hosts would bypass the provider list.
+function file(url, raw) {
+    const extension = url.pathname.split('.').pop().toLowerCase();
+    if (!FILE_TYPES[extension]) return null;
+    const start = parseTime(url.hash.match(/t=([\d.]+)/)?.[1]);
+    const src = raw.split('#')[0];
+    return {
+        provider: 'file',
+        label: null,
+        kind: 'video',
+        src: start ? `${src}#t=${start}` : src,
+        type: FILE_TYPES[extension],
+        start,
+        aspectRatio: null
+    };
+}
+
+const PROVIDERS = [youtube, vimeo];
+
+export const SUPPORTED_VIDEO_HINT = 'a YouTube or Vimeo link, or a /path to an .mp4/.webm file on this site';
+
+/**
+ * What to play for a video URL: `{ provider, label, kind: 'iframe' | 'video',
+ * src, type?, start, aspectRatio }`, or null for unsupported URLs. Start
+ * times survive; `aspectRatio` is null when the file's own shape applies.
+ */
+export function parseVideo(value) {
+    const raw = String(value || '').trim();
+    if (!raw) return null;
+    let url;
+    try {
+        url = new URL(raw, 'https://site.invalid');
+    } catch {
+        return null;
+    }
+    if (!['https:', 'http:'].includes(url.protocol)) return null;
+    // Relative paths can only be self-hosted files; absolute URLs only known providers
+    const relative = url.hostname === 'site.invalid' && !/^[a-z][a-z\d+.-]*:/i.test(raw);
+    const providers = relative ? [file] : PROVIDERS;
+    for (const provider of providers) {
+        const video = provider(url, raw);
+        if (video) return video;
+    }
+    return null;
+}
+
+export const isSupportedVideo = (value) => parseVideo(value) !== null;
@@ -0,0 +1,83 @@
+import { renderPage } from './layout.js';
+import { escapeHtml } from '../utils/escapeHtml.js';
+import { responsiveImage } from '../utils/responsiveImage.js';
+import { renderRichText } from '../utils/richText.js';
+import { subscribeForm } from './newsletter.js';
+
+const textOf = (html) => String(html ?? '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Category and tags link back to the filtered listing on the home page.
+function postTaxonomy(post) {
+    const filterLink = (param, value, label) => `<a class="post-tag" href="/?${param}=${encodeURIComponent(value)}#blog">${escapeHtml(label)}</a>`;
+    const tags = (Array.isArray(post.tags) ? post.tags : []).filter((tag) => typeof tag === 'string' && tag.trim());
+    if (!post.category && !tags.length) return '';
+    return `<p class="post-taxonomy">
+          ${post.category ? filterLink('blog_category', post.category, post.category) : ''}
+          ${tags.map((tag) => filterLink('blog_tag', tag, `#${tag}`)).join('\n          ')}
+        </p>`;
+}
+
+function postLink(post, label, rel, query) {
+    if (!post) return '<span></span>';
+    return `<a class="post-nav-link ${rel}" rel="${rel}" href="/blog/${encodeURIComponent(post.slug)}${query}">
+          <span class="post-nav-label">${label}</span>
+          <span class="post-nav-title">${escapeHtml(post.title)}</span>
+        </a>`;
+}
+
+/**
+ * Permalink page for one post. `origin` (e.g. `https://example.com`) makes
+ * the canonical and preview-image URLs absolute; `query` is appended to
+ * previous/next links so draft previews stay in draft mode. `images` is the
+ * media library map used for responsive covers.
+ */
+export function renderBlogPost({ post, previous, next, theme, origin = '', query = '', images = {} }) {
+    const cover = post.cover || post.image;
+    const description = textOf(post.summary || post.excerpt || renderRichText(post.content, post.format)).slice(0, 200);
+    const absolute = (url) => (url && url.startsWith('/') ? `${origin}${url}` : url);
+
+    const body = `    <article class="post">
+      <header class="post-header">
+        <h1>${escapeHtml(post.title)}</h1>
+        ${post.date ? `<p class="post-date">${escapeHtml(post.date)}</p>` : ''}
+        ${postTaxonomy(post)}
+      </header>
+      ${cover ? responsiveImage(cover, images, { alt: post.title, className: 'post-cover', sizes: '(max-width: 792px) calc(100vw - 2rem), 760px', loading: 'eager' }) : ''}
+      <div class="post-body">
+${post.content ? renderRichText(post.content, post.format) : `<p>${escapeHtml(post.summary || 'Content coming soon...')}</p>`}
+      </div>
+      ${query ? '' : subscribeForm()}
+      <section id="comments" class="comments" data-post="${escapeHtml(post.slug)}" data-preview="${query ? 'draft' : ''}" aria-labelledby="comments-title">
+        <h2 id="comments-title">Comments</h2>
+        <div class="comment-list" aria-live="polite"><p class="comment-note">Loading comments…</p></div>
+        <div class="comment-compose"></div>
+      </section>
+      <nav class="post-nav" aria-label="More posts">
+        ${postLink(previous, 'Previous', 'prev', query)}
+        ${postLink(next, 'Next', 'next', query)}
+      </nav>
+    </article>`;
+
+    return renderPage({
+        title: post.title,
+        description,
+        canonical: `${origin}/blog/${encodeURIComponent(post.slug)}`,
+        image: absolute(cover),
+        type: 'article',
+        theme,
+        body,
+        scripts: ['/comments.js', '/newsletter.js']
+    });
+}
+
+export function renderNotFound({ theme, message = 'This page does not exist or has been removed.' } = {}) {
+    return renderPage({
+        title: 'Not found',
+        theme,
+        body: `    <article class="post not-found">
+      <h1>404</h1>
+      <p>${escapeHtml(message)}</p>
+      <p><a class="btn" href="/#blog">Back to the blog</a></p>
+    </article>`
+    });
+}
@@ -0,0 +1,60 @@
+import { escapeHtml } from '../utils/escapeHtml.js';
+
+// Transactional emails sent through services/mailer.js. Each returns
+// `{ subject, html, text }`; every visitor-supplied field is escaped.
+
+const frame = (inner) => `<div style="font-family: sans-serif; background-color: #050505; color: #fff; padding: 2rem; border-radius: 12px; border: 1px solid #00f3ff;">
+${inner}
+            </div>`;
+
+/** Security notice sent after every successful login. */
+export function loginAlert({ userName, when }) {
+    const subject = '🚀 New Login Detected!';
+    const html = frame(`                <h1 style="color: #00f3ff; margin-bottom: 1rem;">Security Alert</h1>
+                <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
+                <p>We detected a new login to your Arya account on <strong>${escapeHtml(when.toLocaleString())}</strong>.</p>
+                <p>If this was you, you can safely ignore this email.</p>
+                <p style="margin-top: 2rem; font-size: 0.8rem; color: #666;">
+                    If you don't recognize this activity, please change your password immediately.
+                </p>
+                <div style="margin-top: 2rem; border-top: 1px solid #333; padding-top: 1rem; font-size: 0.8rem;">
+                    &copy; Arya — Built with curiosity and code.
+                </div>`);
+    const text = `Hi ${userName},\n\nWe detected a new login to your Arya account on ${when.toLocaleString()}.\nIf this was you, you can safely ignore this email. If not, please change your password immediately.`;
+    return { subject, html, text };
+}
+
+/** Tells the site owner about a contact form message; replies go to the sender. `inboxUrl` is optional. */
+export function contactNotification(message, { inboxUrl }) {
+    const subject = `New message: ${message.subject || `from ${message.name}`}`;
+    const html = frame(`                <h1 style="color: #00f3ff; margin-bottom: 1rem;">New contact message</h1>
+                <p><strong>${escapeHtml(message.name)}</strong> &lt;${escapeHtml(message.email)}&gt;</p>
+                ${message.subject ? `<p><strong>Subject:</strong> ${escapeHtml(message.subject)}</p>` : ''}
+                <p style="white-space: pre-wrap;">${escapeHtml(message.message)}</p>
+                <p style="margin-top: 2rem; font-size: 0.8rem; color: #999;">Reply to this email to answer${inboxUrl ? `, or open the <a href="${escapeHtml(inboxUrl)}" style="color: #00f3ff;">admin inbox</a>` : ''}.</p>`);
+    const text = `From: ${message.name} <${message.email}>\n${message.subject ? `Subject: ${message.subject}\n` : ''}\n${message.message}${inboxUrl ? `\n\nAdmin inbox: ${inboxUrl}` : ''}`;
+    return { subject, html, text };
+}
+
+/** Double opt-in: the subscription only starts once this link is followed. */
+export function newsletterConfirmation({ confirmUrl }) {
+    const subject = 'Confirm your subscription';
+    const html = frame(`                <h1 style="color: #00f3ff; margin-bottom: 1rem;">One more step</h1>
+                <p>Confirm that you want new blog posts from Arya sent to this address:</p>
+                <p style="margin: 2rem 0;"><a href="${escapeHtml(confirmUrl)}" style="background: #00f3ff; color: #050505; padding: 0.75rem 1.5rem; border-radius: 8px; text-decoration: none; font-weight: bold;">Confirm subscription</a></p>
+                <p style="margin-top: 2rem; font-size: 0.8rem; color: #999;">If you did not ask for this, ignore this email and nothing will be sent.</p>`);
+    const text = `Confirm that you want new blog posts from Arya sent to this address:\n${confirmUrl}\n\nIf you did not ask for this, ignore this email and nothing will be sent.`;
+    return { subject, html, text };
+}
+
+/** A published post sent to subscribers, with their one-click unsubscribe link. */
+export function postAnnouncement(post, { postUrl, unsubscribeUrl }) {
+    const summary = post.summary || post.excerpt || '';
+    const html = frame(`                <p style="font-size: 0.8rem; color: #999;">New on the blog</p>
+                <h1 style="color: #00f3ff; margin-bottom: 1rem;">${escapeHtml(post.title)}</h1>
+                ${summary ? `<p>${escapeHtml(summary)}</p>` : ''}
+                <p style="margin: 2rem 0;"><a href="${escapeHtml(postUrl)}" style="background: #00f3ff; color: #050505; padding: 0.75rem 1.5rem; border-radius: 8px; text-decoration: none; font-weight: bold;">Read the post</a></p>
+                <p style="margin-top: 2rem; font-size: 0.8rem; color: #999;">You get these because you subscribed to the blog. <a href="${escapeHtml(unsubscribeUrl)}" style="color: #999;">Unsubscribe</a></p>`);
+    const text = `New on the blog: ${post.title}\n\n${summary ? `${summary}\n\n` : ''}Read it: ${postUrl}\n\nUnsubscribe: ${unsubscribeUrl}`;
+    return { subject: post.title, html, text };
+}
@@ -0,0 +1,78 @@
+import { renderRichText } from '../utils/richText.js';
+
+const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+
+// CDATA cannot contain `]]>`, so split it across two sections.
+const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const textOf = (html) => String(html ?? '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Feed entries from blog posts (already slugged, newest first). Posts without
+ * a parseable `date` fall back to `fallbackDate`.
+ */
+export function feedEntries(posts, { origin, fallbackDate }) {
+    return posts.map((post) => {
+        const parsed = Date.parse(post.date || '');
+        const html = post.content ? renderRichText(post.content, post.format) : '';
+        return {
+            id: post.id || post.slug,
+            title: post.title || 'Untitled',
+            link: `${origin}/blog/${encodeURIComponent(post.slug)}`,
+            date: Number.isNaN(parsed) ? fallbackDate : new Date(parsed),
+            summary: textOf(post.summary || post.excerpt) || textOf(html).slice(0, 280),
+            html
+        };
+    });
+}
+
+export function renderRss({ title, description, origin, updated, entries }) {
+    const items = entries.map((entry) => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.link)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.link)}</guid>
+      <pubDate>${entry.date.toUTCString()}</pubDate>
+      <description>${escapeXml(entry.summary)}</description>
+      <content:encoded>${cdata(entry.html)}</content:encoded>
+    </item>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(origin)}/</link>
+    <description>${escapeXml(description)}</description>
+    <language>en</language>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(origin)}/feed.xml" rel="self" type="application/rss+xml" />
+${items}
+  </channel>
+</rss>
+`;
+}
+
+// Entry ids are tag URIs built from the stable item id, so renaming a slug
+// does not make readers see the post as new.
+export function renderAtom({ title, description, origin, updated, author, entries }) {
+    const items = entries.map((entry) => `  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}" />
+    <id>${escapeXml(`tag:${new URL(origin).host},2024:blog/${entry.id}`)}</id>
+    <updated>${entry.date.toISOString()}</updated>
+    <summary>${escapeXml(entry.summary)}</summary>
+    <content type="html">${escapeXml(entry.html)}</content>
+  </entry>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(origin)}/" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(origin)}/atom.xml" />
+  <id>${escapeXml(origin)}/</id>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${escapeXml(author)}</name></author>
+${items}
+</feed>
+`;
+}
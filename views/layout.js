@@ -0,0 +1,60 @@
+// Shell for pages the server renders itself (blog permalinks and the like).
+// Styling lives in public/pages.css, served at /pages.css in dev and build.
+import { escapeHtml } from '../utils/escapeHtml.js';
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// Site theme colours from the content document, as CSS custom properties.
+function themeStyle(theme = {}) {
+    const vars = [['--color-primary', theme.primary], ['--color-secondary', theme.secondary], ['--color-bg', theme.bg]]
+        .filter(([, value]) => HEX_COLOR.test(value || ''))
+        .map(([name, value]) => `${name}: ${value};`);
+    return vars.length ? `<style>:root { ${vars.join(' ')} }</style>` : '';
+}
+
+/**
+ * Full HTML document. `body` is trusted markup; every other field is escaped.
+ * `canonical` and `image` should be absolute URLs for link previews;
+ * `scripts` are same-site paths under public/, loaded deferred; `back` is
+ * the section link in the top bar.
+ */
+export function renderPage({ title, description = '', canonical, image, type = 'website', theme, body, scripts = [], back = { href: '/#blog', label: 'All posts' } }) {
+    const meta = [
+        description && `<meta name="description" content="${escapeHtml(description)}" />`,
+        canonical && `<link rel="canonical" href="${escapeHtml(canonical)}" />`,
+        `<meta property="og:type" content="${escapeHtml(type)}" />`,
+        `<meta property="og:title" content="${escapeHtml(title)}" />`,
+        description && `<meta property="og:description" content="${escapeHtml(description)}" />`,
+        canonical && `<meta property="og:url" content="${escapeHtml(canonical)}" />`,
+        image && `<meta property="og:image" content="${escapeHtml(image)}" />`,
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}" />`
+    ].filter(Boolean).join('\n  ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1, viewport-fit=cover" />
+  <title>${escapeHtml(title)} | ARYA</title>
+  ${meta}
+  <link rel="alternate" type="application/rss+xml" title="ARYA | Blog" href="/feed.xml" />
+  <link rel="alternate" type="application/atom+xml" title="ARYA | Blog" href="/atom.xml" />
+  <link rel="stylesheet" href="/pages.css" />
+  ${themeStyle(theme)}
+  ${scripts.map((src) => `<script src="${escapeHtml(src)}" defer></script>`).join('\n  ')}
+</head>
+<body>
+  <nav class="page-nav">
+    <a class="logo" href="/">ARYA</a>
+    <a href="${escapeHtml(back.href)}">${escapeHtml(back.label)}</a>
+  </nav>
+  <main class="page">
+${body}
+  </main>
+  <footer class="page-footer">
+    <p>&copy; Arya — Built with curiosity and too much caffeine..</p>
+  </footer>
+</body>
+</html>
+`;
+}
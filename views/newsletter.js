@@ -0,0 +1,36 @@
+import { renderPage } from './layout.js';
+import { escapeHtml } from '../utils/escapeHtml.js';
+
+/**
+ * Sign-up form for blog updates, handled by public/newsletter.js. Mirrors the
+ * one on the home page (index.html), including the honeypot and form token
+ * fields services/formGuard.js checks.
+ */
+export function subscribeForm() {
+    return `<form class="newsletter-form" aria-labelledby="newsletter-title">
+        <h2 id="newsletter-title">Get new posts by email</h2>
+        <p class="comment-note">One email per post, nothing else. Unsubscribe with one click.</p>
+        <div class="newsletter-row">
+          <label class="sr-only" for="newsletter-email">Email address</label>
+          <input id="newsletter-email" name="email" type="email" autocomplete="email" maxlength="320" required placeholder="you@example.com">
+          <button type="submit" class="btn">Subscribe</button>
+        </div>
+        <div class="form-trap" aria-hidden="true"><label>Leave this empty<input name="website" tabindex="-1" autocomplete="off"></label></div>
+        <input type="hidden" name="formToken">
+        <p class="newsletter-status" role="status" aria-live="polite"></p>
+      </form>`;
+}
+
+/** Result page for the confirmation and unsubscribe links. */
+export function renderNewsletterNotice({ theme, title, message }) {
+    return renderPage({
+        title,
+        theme,
+        back: { href: '/#blog', label: 'Blog' },
+        body: `    <article class="post not-found">
+      <h1>${escapeHtml(title)}</h1>
+      <p>${escapeHtml(message)}</p>
+      <p><a class="btn" href="/#blog">Back to the blog</a></p>
+    </article>`
+    });
+}
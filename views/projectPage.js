@@ -0,0 +1,103 @@
+import { renderPage } from './layout.js';
+import { escapeHtml } from '../utils/escapeHtml.js';
+import { renderRichText } from '../utils/richText.js';
+import { responsiveImage } from '../utils/responsiveImage.js';
+
+const textOf = (html) => String(html ?? '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const asList = (value) => (Array.isArray(value) ? value : String(value ?? '').split('\n')).map((item) => String(item).trim()).filter(Boolean);
+
+function bulletSection(title, items) {
+    if (!items.length) return '';
+    return `<section class="project-block">
+          <h2>${title}</h2>
+          <ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+        </section>`;
+}
+
+// Repo and demo links, plus the older generic `link` when it points somewhere else.
+function projectLinks(project) {
+    const links = [
+        [project.demo, 'Live demo'],
+        [project.repo, 'Source code'],
+        [project.link !== project.demo && project.link !== project.repo && project.link, 'Project website']
+    ].filter(([href]) => href);
+    if (!links.length) return '';
+    return `<p class="project-links">${links.map(([href, label]) => `<a class="btn" href="${escapeHtml(href)}" target="_blank" rel="noopener">${label}</a>`).join('')}</p>`;
+}
+
+// Thumbnails open full size in the lightbox (public/lightbox.js) and still
+// work as plain links without scripts.
+function gallery(project, library) {
+    const images = (Array.isArray(project.gallery) ? project.gallery : []).filter((image) => image?.src);
+    if (!images.length) return '';
+    return `<section class="project-block">
+          <h2>Gallery</h2>
+          <div class="gallery" data-lightbox>
+            ${images.map((image, index) => {
+        const alt = image.alt || `${project.title} screenshot ${index + 1}`;
+        return `<figure>
+              <a href="${escapeHtml(image.src)}" data-caption="${escapeHtml(image.caption || '')}">${responsiveImage(image.src, library, { alt, sizes: '(max-width: 600px) 50vw, 250px' })}</a>
+              ${image.caption ? `<figcaption>${escapeHtml(image.caption)}</figcaption>` : ''}
+            </figure>`;
+    }).join('\n            ')}
+          </div>
+        </section>`;
+}
+
+function projectLink(project, label, rel, query) {
+    if (!project) return '<span></span>';
+    return `<a class="post-nav-link ${rel}" rel="${rel}" href="/projects/${encodeURIComponent(project.slug)}${query}">
+          <span class="post-nav-label">${label}</span>
+          <span class="post-nav-title">${escapeHtml(project.title)}</span>
+        </a>`;
+}
+
+/**
+ * Detail page for one project; `origin`, `query` and `images` work as in
+ * renderBlogPost (absolute canonical URLs, draft previews, responsive images).
+ */
+export function renderProjectPage({ project, previous, next, theme, origin = '', query = '', images = {} }) {
+    const cover = project.image || project.gallery?.find((image) => image?.src)?.src;
+    const body = project.content ? renderRichText(project.content, project.format) : '';
+    const description = textOf(project.description || body).slice(0, 200);
+    const absolute = (url) => (url && url.startsWith('/') ? `${origin}${url}` : url);
+    const stack = String(project.stack || '').split(',').map((item) => item.trim()).filter(Boolean);
+    const when = project.year || project.date;
+
+    const page = `    <article class="post project">
+      <header class="post-header">
+        ${project.tag ? `<p class="project-tag">${escapeHtml(project.tag)}</p>` : ''}
+        <h1>${escapeHtml(project.title)}</h1>
+        ${when ? `<p class="post-date">${escapeHtml(when)}</p>` : ''}
+        ${project.description ? `<p class="project-lead">${escapeHtml(project.description)}</p>` : ''}
+        ${projectLinks(project)}
+      </header>
+      ${cover ? responsiveImage(cover, images, { alt: project.title, className: 'post-cover', sizes: '(max-width: 792px) calc(100vw - 2rem), 760px', loading: 'eager' }) : ''}
+      ${body ? `<div class="post-body">
+${body}
+      </div>` : ''}
+      ${bulletSection('Features', asList(project.features))}
+      ${bulletSection('My role', asList(project.role))}
+      ${stack.length ? `<section class="project-block">
+          <h2>Stack</h2>
+          <p class="project-stack">${stack.map((item) => `<span>${escapeHtml(item)}</span>`).join('')}</p>
+        </section>` : ''}
+      ${gallery(project, images)}
+      <nav class="post-nav" aria-label="More projects">
+        ${projectLink(previous, 'Previous', 'prev', query)}
+        ${projectLink(next, 'Next', 'next', query)}
+      </nav>
+    </article>`;
+
+    return renderPage({
+        title: project.title,
+        description,
+        canonical: `${origin}/projects/${encodeURIComponent(project.slug)}`,
+        image: absolute(cover),
+        theme,
+        body: page,
+        scripts: ['/lightbox.js'],
+        back: { href: '/#projects', label: 'All projects' }
+    });
+}